@@ -0,0 +1,76 @@
+const express = require('express');
+const llmCache = require('../services/llm-cache.service');
+
+const router = express.Router();
+
+/**
+ * GET /api/admin/llm-cache - Cache statistics and entries
+ *
+ * Query: provider, limit, offset
+ */
+router.get('/llm-cache', async (req, res) => {
+  try {
+    const { provider, limit = 50, offset = 0 } = req.query;
+
+    const [stats, { entries, total }] = await Promise.all([
+      llmCache.getStats(),
+      llmCache.listEntries({
+        provider,
+        limit: Math.min(parseInt(limit), 200),
+        offset: parseInt(offset)
+      })
+    ]);
+
+    res.json({
+      stats,
+      entries,
+      total,
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
+  } catch (error) {
+    console.error('Error fetching LLM cache:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/admin/llm-cache - Purge cache entries
+ *
+ * Query: expired=true to only remove expired entries, provider to limit to one provider
+ */
+router.delete('/llm-cache', async (req, res) => {
+  try {
+    const { expired, provider } = req.query;
+
+    const deleted = await llmCache.purge({
+      expired: expired === 'true',
+      provider
+    });
+
+    res.json({ deleted });
+  } catch (error) {
+    console.error('Error purging LLM cache:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/admin/llm-cache/:id - Delete one cache entry
+ */
+router.delete('/llm-cache/:id', async (req, res) => {
+  try {
+    const deleted = await llmCache.deleteEntry(req.params.id);
+
+    if (!deleted) {
+      return res.status(404).json({ error: 'Cache entry not found' });
+    }
+
+    res.json({ message: 'Cache entry deleted' });
+  } catch (error) {
+    console.error('Error deleting LLM cache entry:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -157,6 +157,12 @@ router.delete('/:id', async (req, res) => {
       data: { categoryId: null }
     });
 
+    // Unassign subscriptions from this category
+    await prisma.subscription.updateMany({
+      where: { categoryId: id },
+      data: { categoryId: null }
+    });
+
     // Delete category
     await prisma.category.delete({
       where: { id }
@@ -97,6 +97,127 @@ router.post('/:id/message', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/chat/:id/message/stream - Send a message and stream the answer (Server-Sent Events)
+ *
+ * Events: `token` { text } while the answer is generated, then `sources` { sources } and
+ * `done` { message }. Failures send `error` { error }. The exchange is saved to the session
+ * only once the answer is complete; if the client disconnects, generation stops and nothing is saved.
+ */
+router.post('/:id/message/stream', async (req, res) => {
+  const { id } = req.params;
+  const { message } = req.body;
+
+  if (!message) {
+    return res.status(400).json({ error: 'Message is required' });
+  }
+
+  let chatSession;
+  try {
+    chatSession = await prisma.chatSession.findUnique({
+      where: { id }
+    });
+  } catch (error) {
+    console.error('Error fetching chat session:', error);
+    return res.status(500).json({ error: error.message });
+  }
+
+  if (!chatSession) {
+    return res.status(404).json({ error: 'Chat session not found' });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+
+  const send = (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  // Stop generating when the client goes away before the answer is complete
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      controller.abort();
+    }
+  });
+
+  // Comment lines keep proxies from closing the connection while the model is thinking
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
+
+  const userMessage = {
+    role: 'user',
+    content: message,
+    timestamp: new Date().toISOString()
+  };
+
+  try {
+    const queryResult = await ragService.streamQuery(message, JSON.parse(chatSession.videoIds), {
+      signal: controller.signal
+    });
+
+    let content = '';
+
+    if (queryResult.success) {
+      for await (const text of queryResult.stream) {
+        if (controller.signal.aborted) {
+          break;
+        }
+        content += text;
+        send('token', { text });
+      }
+    }
+
+    if (controller.signal.aborted) {
+      console.log(`Chat stream for session ${id} closed by the client, answer discarded`);
+      return;
+    }
+
+    if (!content) {
+      content = 'Sorry, I could not find relevant information.';
+      send('token', { text: content });
+    }
+
+    const assistantMessage = {
+      role: 'assistant',
+      content,
+      sources: queryResult.sources || [],
+      timestamp: new Date().toISOString()
+    };
+
+    send('sources', { sources: assistantMessage.sources });
+
+    // Re-read the session so messages saved while this answer was streaming are kept
+    const current = await prisma.chatSession.findUnique({
+      where: { id }
+    });
+    const messages = JSON.parse(current?.messages || '[]');
+    messages.push(userMessage, assistantMessage);
+
+    await prisma.chatSession.update({
+      where: { id },
+      data: {
+        messages: JSON.stringify(messages)
+      }
+    });
+
+    send('done', { message: assistantMessage });
+  } catch (error) {
+    if (controller.signal.aborted) {
+      console.log(`Chat stream for session ${id} closed by the client, answer discarded`);
+    } else {
+      console.error('Error streaming message:', error);
+      send('error', { error: error.message });
+    }
+  } finally {
+    clearInterval(heartbeat);
+    res.end();
+  }
+});
+
 /**
  * GET /api/chat/:id - Get chat session history
  */
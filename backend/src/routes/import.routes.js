@@ -0,0 +1,48 @@
+const express = require('express');
+const historyImportService = require('../services/history-import.service');
+
+const router = express.Router();
+
+/**
+ * POST /api/import - Import watch history or bookmarks from an export file
+ *
+ * Body: { content, format?, dryRun = true, categoryId?, tags?, fetchMetadata = false }
+ * Defaults to a dry-run preview; send dryRun: false to create the videos.
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { content, format, dryRun, categoryId, tags, fetchMetadata } = req.body;
+
+    if (!content || typeof content !== 'string') {
+      return res.status(400).json({ error: 'File content is required' });
+    }
+
+    const report = await historyImportService.importFile({
+      content,
+      format,
+      dryRun: dryRun !== false,
+      categoryId,
+      tags,
+      fetchMetadata: Boolean(fetchMetadata)
+    });
+
+    res.status(report.dryRun ? 200 : 201).json(report);
+  } catch (error) {
+    console.error('Error importing file:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/import/formats - List supported export formats
+ */
+router.get('/formats', (req, res) => {
+  res.json([
+    { id: 'takeout-json', name: 'Google Takeout watch history (JSON)', watchStatus: 'watched' },
+    { id: 'takeout-html', name: 'Google Takeout watch history (HTML)', watchStatus: 'watched' },
+    { id: 'bookmarks-html', name: 'Browser bookmarks (HTML export)', watchStatus: 'unwatched' },
+    { id: 'bookmarks-json', name: 'Chrome / Firefox bookmarks (JSON)', watchStatus: 'unwatched' }
+  ]);
+});
+
+module.exports = router;
@@ -0,0 +1,89 @@
+const express = require('express');
+const jobService = require('../services/job.service');
+
+const router = express.Router();
+
+/**
+ * GET /api/jobs - List jobs
+ *
+ * Query: status, type, videoId, limit, offset
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { status, type, videoId, limit = 50, offset = 0 } = req.query;
+
+    const { jobs, total } = await jobService.listJobs({
+      status,
+      type,
+      videoId,
+      limit: Math.min(parseInt(limit), 200),
+      offset: parseInt(offset)
+    });
+
+    res.json({
+      jobs: jobs.map(job => jobService.formatJob(job)),
+      total,
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
+  } catch (error) {
+    console.error('Error fetching jobs:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/jobs/:id - Get job status, per-stage progress and result
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const job = await jobService.getJob(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.json(jobService.formatJob(job));
+  } catch (error) {
+    console.error('Error fetching job:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/jobs/:id/cancel - Cancel a queued or running job
+ */
+router.post('/:id/cancel', async (req, res) => {
+  try {
+    const job = await jobService.cancel(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.json(jobService.formatJob(job));
+  } catch (error) {
+    console.error('Error cancelling job:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/jobs/:id/retry - Queue a failed or cancelled job again
+ */
+router.post('/:id/retry', async (req, res) => {
+  try {
+    const job = await jobService.retry(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    res.json(jobService.formatJob(job));
+  } catch (error) {
+    console.error('Error retrying job:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
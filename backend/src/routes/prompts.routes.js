@@ -0,0 +1,139 @@
+const express = require('express');
+const { PrismaClient } = require('@prisma/client');
+const promptService = require('../services/prompt.service');
+const llmService = require('../services/llm.service');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+// Feature each prompt is used by, for usage accounting when a preview is run
+const PROMPT_FEATURES = {
+  summary: 'summary',
+  'summary-chunk': 'summary',
+  'summary-merge': 'summary',
+  'summary-outline': 'formats',
+  'summary-cornell': 'formats',
+  'summary-eli5': 'formats',
+  'summary-mindmap': 'formats',
+  'summary-definitions': 'formats',
+  topics: 'topics',
+  categorization: 'categorize',
+  answer: 'chat',
+  highlight: 'highlights'
+};
+
+/**
+ * GET /api/prompts - All prompts with their active version
+ */
+router.get('/', async (req, res) => {
+  try {
+    const prompts = await promptService.list();
+    res.json({ prompts });
+  } catch (error) {
+    console.error('Error fetching prompts:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/prompts/:key - A prompt's variables and all its versions, newest first
+ */
+router.get('/:key', async (req, res) => {
+  try {
+    const prompt = await promptService.getPrompt(req.params.key);
+    res.json(prompt);
+  } catch (error) {
+    console.error('Error fetching prompt:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * PUT /api/prompts/:key - Save a new version of a prompt and make it active
+ *
+ * Body: template, systemPrompt (optional), note (optional)
+ */
+router.put('/:key', async (req, res) => {
+  try {
+    const { template, systemPrompt, note } = req.body;
+    const version = await promptService.createVersion(req.params.key, { template, systemPrompt, note });
+
+    res.json({ version });
+  } catch (error) {
+    console.error('Error updating prompt:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/prompts/:key/rollback - Make an earlier version active again
+ *
+ * Body: version (optional, defaults to the version before the active one)
+ */
+router.post('/:key/rollback', async (req, res) => {
+  try {
+    const version = req.body.version !== undefined ? parseInt(req.body.version) : undefined;
+    const active = await promptService.rollback(req.params.key, version);
+
+    res.json({ version: active });
+  } catch (error) {
+    console.error('Error rolling back prompt:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/prompts/:key/preview - Render a prompt against a stored video
+ *
+ * Body: videoId (required), template and systemPrompt to try instead of the active version,
+ * question (for the answer prompt), run (also send the prompt to the LLM and return its response)
+ */
+router.post('/:key/preview', async (req, res) => {
+  try {
+    const { key } = req.params;
+    const { videoId, template, systemPrompt, question, run } = req.body;
+
+    if (!videoId) {
+      return res.status(400).json({ error: 'videoId is required' });
+    }
+
+    const active = await promptService.getActive(key);
+
+    if (template !== undefined) {
+      promptService.validateTemplate(key, template);
+    }
+
+    const video = await prisma.video.findUnique({ where: { id: videoId } });
+
+    if (!video) {
+      return res.status(404).json({ error: 'Video not found' });
+    }
+
+    const variables = await promptService.buildSampleVariables(key, video, { question });
+    const prompt = promptService.renderTemplate(template ?? active.template, variables);
+    const system = systemPrompt || (template === undefined && active.systemPrompt) || promptService.getDefinition(key).systemPrompt;
+
+    const preview = {
+      key,
+      version: template === undefined ? active.version : null,
+      prompt,
+      systemPrompt: system
+    };
+
+    if (run) {
+      preview.response = await llmService.generateCompletion(prompt, {
+        systemPrompt: system,
+        cache: false,
+        feature: PROMPT_FEATURES[key],
+        videoId
+      });
+    }
+
+    res.json(preview);
+  } catch (error) {
+    console.error('Error previewing prompt:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,95 @@
+const express = require('express');
+const settingsService = require('../services/settings.service');
+const llmService = require('../services/llm.service');
+
+const router = express.Router();
+
+/**
+ * Settings fields a request may change
+ */
+function pickChanges(body = {}) {
+  const { providers, models, tasks, temperature, maxTokens } = body;
+  return { providers, models, tasks, temperature, maxTokens };
+}
+
+/**
+ * GET /api/settings - Current LLM settings, the environment defaults and the available providers
+ */
+router.get('/', async (req, res) => {
+  try {
+    const settings = await settingsService.get();
+
+    res.json({
+      settings,
+      defaults: settingsService.getDefaults(),
+      tasks: settingsService.tasks,
+      providers: settingsService.providers.map(name => ({
+        name,
+        configured: llmService.isConfigured(name)
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching settings:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/settings/test - Check that the providers and models of (unsaved) settings respond
+ *
+ * Body: settings fields to try instead of the current ones
+ */
+router.post('/test', async (req, res) => {
+  try {
+    const settings = await settingsService.preview(pickChanges(req.body));
+    const results = await llmService.testSettings(settings);
+
+    res.json({ ok: results.every(r => r.ok), results });
+  } catch (error) {
+    console.error('Error testing settings:', error);
+    res.status(error.status || 500).json({ error: error.message, details: error.details });
+  }
+});
+
+/**
+ * PUT /api/settings - Change settings; takes effect immediately
+ *
+ * Body: providers, models, tasks, temperature, maxTokens (all optional), skipTest.
+ * Every provider and model is tested first; nothing is saved if one of them fails (422).
+ */
+router.put('/', async (req, res) => {
+  try {
+    const changes = pickChanges(req.body);
+    let results = [];
+
+    if (!req.body.skipTest) {
+      results = await llmService.testSettings(await settingsService.preview(changes));
+
+      if (!results.every(r => r.ok)) {
+        return res.status(422).json({ error: 'Provider connectivity test failed; settings not saved', results });
+      }
+    }
+
+    const settings = await settingsService.update(changes);
+
+    res.json({ settings, results });
+  } catch (error) {
+    console.error('Error updating settings:', error);
+    res.status(error.status || 500).json({ error: error.message, details: error.details });
+  }
+});
+
+/**
+ * DELETE /api/settings - Discard saved settings and use the environment again
+ */
+router.delete('/', async (req, res) => {
+  try {
+    const settings = await settingsService.reset();
+    res.json({ settings });
+  } catch (error) {
+    console.error('Error resetting settings:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
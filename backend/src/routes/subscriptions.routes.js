@@ -0,0 +1,198 @@
+const express = require('express');
+const { PrismaClient } = require('@prisma/client');
+const subscriptionService = require('../services/subscription.service');
+
+const router = express.Router();
+const prisma = new PrismaClient();
+
+/**
+ * POST /api/subscriptions - Subscribe to a channel's upload feed
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { channel, feedUrl, categoryId, tags, autoProcess, importExisting } = req.body;
+
+    if (!channel && !feedUrl) {
+      return res.status(400).json({ error: 'Channel URL, handle, ID or feed URL is required' });
+    }
+
+    const existing = feedUrl && await prisma.subscription.findUnique({
+      where: { feedUrl }
+    });
+
+    if (existing) {
+      return res.status(409).json({
+        error: 'Subscription already exists',
+        subscription: existing
+      });
+    }
+
+    const { subscription, check } = await subscriptionService.createSubscription({
+      channel,
+      feedUrl,
+      categoryId,
+      tags,
+      autoProcess,
+      importExisting
+    });
+
+    res.status(201).json({
+      ...subscription,
+      tags: JSON.parse(subscription.tags || '[]'),
+      initialImport: check
+        ? { added: check.added, skipped: check.skipped, failed: check.failed, items: check.items }
+        : null
+    });
+  } catch (error) {
+    console.error('Error creating subscription:', error);
+    if (error.code === 'P2002') {
+      return res.status(409).json({ error: 'Subscription already exists' });
+    }
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/subscriptions - List all subscriptions
+ */
+router.get('/', async (req, res) => {
+  try {
+    const subscriptions = await prisma.subscription.findMany({
+      include: { category: true },
+      orderBy: { createdAt: 'desc' }
+    });
+
+    res.json(
+      subscriptions.map(s => ({
+        ...s,
+        tags: JSON.parse(s.tags || '[]')
+      }))
+    );
+  } catch (error) {
+    console.error('Error fetching subscriptions:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/subscriptions/check - Poll all active subscriptions now
+ */
+router.post('/check', async (req, res) => {
+  try {
+    const results = await subscriptionService.checkAll();
+    res.json({ results });
+  } catch (error) {
+    console.error('Error checking subscriptions:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/subscriptions/:id - Get subscription details
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const subscription = await prisma.subscription.findUnique({
+      where: { id },
+      include: { category: true }
+    });
+
+    if (!subscription) {
+      return res.status(404).json({ error: 'Subscription not found' });
+    }
+
+    res.json({
+      ...subscription,
+      tags: JSON.parse(subscription.tags || '[]')
+    });
+  } catch (error) {
+    console.error('Error fetching subscription:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * PUT /api/subscriptions/:id - Update subscription defaults
+ */
+router.put('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { categoryId, tags, autoProcess, active } = req.body;
+
+    const updateData = {};
+
+    if (categoryId !== undefined) {
+      updateData.categoryId = categoryId;
+    }
+
+    if (tags !== undefined) {
+      updateData.tags = JSON.stringify(tags);
+    }
+
+    if (autoProcess !== undefined) {
+      updateData.autoProcess = Boolean(autoProcess);
+    }
+
+    if (active !== undefined) {
+      updateData.active = Boolean(active);
+    }
+
+    const subscription = await prisma.subscription.update({
+      where: { id },
+      data: updateData,
+      include: { category: true }
+    });
+
+    res.json({
+      ...subscription,
+      tags: JSON.parse(subscription.tags || '[]')
+    });
+  } catch (error) {
+    console.error('Error updating subscription:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * DELETE /api/subscriptions/:id - Delete subscription (imported videos are kept)
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    await prisma.subscription.delete({
+      where: { id }
+    });
+
+    res.json({ message: 'Subscription deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting subscription:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/subscriptions/:id/check - Poll one subscription now
+ */
+router.post('/:id/check', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const result = await subscriptionService.checkSubscription(id);
+
+    res.json({
+      ...result,
+      subscription: {
+        ...result.subscription,
+        tags: JSON.parse(result.subscription.tags || '[]')
+      }
+    });
+  } catch (error) {
+    console.error('Error checking subscription:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,36 @@
+const express = require('express');
+const usageService = require('../services/usage.service');
+
+const router = express.Router();
+
+/**
+ * GET /api/usage - LLM token usage and estimated cost, aggregated by day, feature, provider and video
+ *
+ * Query: from, to (dates; default: the current month), feature, videoId
+ */
+router.get('/', async (req, res) => {
+  try {
+    const { from, to, feature, videoId } = req.query;
+
+    const fromDate = from ? new Date(from) : undefined;
+    const toDate = to ? new Date(to) : undefined;
+
+    if ((fromDate && isNaN(fromDate)) || (toDate && isNaN(toDate))) {
+      return res.status(400).json({ error: 'from and to must be valid dates' });
+    }
+
+    // A bare date as upper bound includes that whole day
+    if (toDate && /^\d{4}-\d{2}-\d{2}$/.test(to)) {
+      toDate.setUTCHours(23, 59, 59, 999);
+    }
+
+    const report = await usageService.getReport({ from: fromDate, to: toDate, feature, videoId });
+
+    res.json(report);
+  } catch (error) {
+    console.error('Error fetching LLM usage:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+module.exports = router;
@@ -1,10 +1,17 @@
 const express = require('express');
 const { PrismaClient } = require('@prisma/client');
 const youtubeService = require('../services/youtube.service');
-const transcriptionService = require('../services/transcription.service');
-const llmService = require('../services/llm.service');
-const ragService = require('../services/rag.service');
 const autoCategorizationService = require('../services/auto-categorization.service');
+const videoImportService = require('../services/video-import.service');
+const sourceProviderService = require('../services/source-provider.service');
+const metadataRefreshService = require('../services/metadata-refresh.service');
+const transcriptionService = require('../services/transcription.service');
+const captionService = require('../services/caption.service');
+const speechToTextService = require('../services/speech-to-text.service');
+const translationService = require('../services/translation.service');
+const jobService = require('../services/job.service');
+const videoProcessingService = require('../services/video-processing.service');
+const realtimeService = require('../services/realtime.service');
 
 const router = express.Router();
 const prisma = new PrismaClient();
@@ -14,49 +21,40 @@ const prisma = new PrismaClient();
  */
 router.post('/', async (req, res) => {
   try {
-    const { url, categoryId, tags } = req.body;
+    const { url, source, categoryId, tags } = req.body;
 
     if (!url) {
       return res.status(400).json({ error: 'URL is required' });
     }
 
-    // Extract video ID
-    const videoId = youtubeService.extractVideoId(url);
-    if (!videoId) {
-      return res.status(400).json({ error: 'Invalid YouTube URL' });
+    // Playlist URLs are imported as a batch
+    if ((!source || source === 'youtube') && youtubeService.isPlaylistUrl(url)) {
+      const report = await videoImportService.importPlaylist(
+        youtubeService.extractPlaylistId(url),
+        { categoryId, tags }
+      );
+      return res.status(201).json(report);
     }
 
-    // Check if video already exists
-    const existing = await prisma.video.findUnique({
-      where: { youtubeId: videoId }
+    // Find the source provider (YouTube, local media, podcast) for this URL
+    const resolved = sourceProviderService.resolve(url, source);
+    if (!resolved) {
+      return res.status(400).json({ error: 'Invalid or unsupported video URL' });
+    }
+
+    const { status, video } = await videoImportService.addVideo(resolved.sourceId, {
+      source: resolved.provider.name,
+      categoryId,
+      tags
     });
 
-    if (existing) {
+    if (status === 'duplicate') {
       return res.status(409).json({
         error: 'Video already exists',
-        video: existing
+        video
       });
     }
 
-    // Get video metadata
-    const metadata = await youtubeService.getVideoMetadata(videoId);
-
-    // Create video record
-    const video = await prisma.video.create({
-      data: {
-        youtubeId: metadata.youtubeId,
-        url: metadata.url,
-        title: metadata.title,
-        author: metadata.author,
-        duration: metadata.duration,
-        uploadDate: metadata.uploadDate,
-        categoryId: categoryId || null,
-        tags: JSON.stringify(tags || []),
-        watchStatus: 'unwatched'
-      },
-      include: { category: true }
-    });
-
     res.status(201).json(video);
   } catch (error) {
     console.error('Error adding video:', error);
@@ -69,10 +67,18 @@ router.post('/', async (req, res) => {
  */
 router.get('/', async (req, res) => {
   try {
-    const { categoryId, watchStatus, search, limit = 50, offset = 0 } = req.query;
+    const { categoryId, watchStatus, source, metadataFallback, search, limit = 50, offset = 0 } = req.query;
 
     const where = {};
 
+    if (metadataFallback !== undefined) {
+      where.metadataFallback = metadataFallback === 'true';
+    }
+
+    if (source) {
+      where.source = source;
+    }
+
     if (categoryId) {
       where.categoryId = categoryId;
     }
@@ -102,7 +108,10 @@ router.get('/', async (req, res) => {
       videos: videos.map(v => ({
         ...v,
         tags: JSON.parse(v.tags || '[]'),
-        summaryJson: v.summaryJson ? JSON.parse(v.summaryJson) : null
+        summaryJson: v.summaryJson ? JSON.parse(v.summaryJson) : null,
+        highlightsJson: v.highlightsJson ? JSON.parse(v.highlightsJson) : null,
+        chaptersJson: v.chaptersJson ? JSON.parse(v.chaptersJson) : null,
+        summaryPromptVersions: v.summaryPromptVersions ? JSON.parse(v.summaryPromptVersions) : null
       })),
       total,
       limit: parseInt(limit),
@@ -123,7 +132,7 @@ router.get('/:id', async (req, res) => {
 
     const video = await prisma.video.findUnique({
       where: { id },
-      include: { category: true }
+      include: { category: true, summaryTranslations: true }
     });
 
     if (!video) {
@@ -133,7 +142,11 @@ router.get('/:id', async (req, res) => {
     res.json({
       ...video,
       tags: JSON.parse(video.tags || '[]'),
-      summaryJson: video.summaryJson ? JSON.parse(video.summaryJson) : null
+      summaryJson: video.summaryJson ? JSON.parse(video.summaryJson) : null,
+      highlightsJson: video.highlightsJson ? JSON.parse(video.highlightsJson) : null,
+      chaptersJson: video.chaptersJson ? JSON.parse(video.chaptersJson) : null,
+      summaryPromptVersions: video.summaryPromptVersions ? JSON.parse(video.summaryPromptVersions) : null,
+      summaryTranslations: video.summaryTranslations.map(t => ({ ...t, summaryJson: JSON.parse(t.summaryJson) }))
     });
   } catch (error) {
     console.error('Error fetching video:', error);
@@ -141,6 +154,286 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+/**
+ * Non-negative integer query parameter, the fallback when absent, or null when invalid
+ */
+function parseCount(value, fallback) {
+  if (value === undefined || value === '') {
+    return fallback;
+  }
+
+  return /^\d+$/.test(value) ? parseInt(value) : null;
+}
+
+/**
+ * GET /api/videos/:id/transcript - Get timestamped transcript segments
+ *
+ * Query: limit, offset (pagination), start, end (seconds), language
+ */
+router.get('/:id/transcript', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { language } = req.query;
+    const limit = parseCount(req.query.limit, 200);
+    const offset = parseCount(req.query.offset, 0);
+    const start = req.query.start !== undefined ? Number(req.query.start) : undefined;
+    const end = req.query.end !== undefined ? Number(req.query.end) : undefined;
+
+    if (limit === null || offset === null) {
+      return res.status(400).json({ error: 'limit and offset must be non-negative integers' });
+    }
+
+    if (Number.isNaN(start) || Number.isNaN(end)) {
+      return res.status(400).json({ error: 'start and end must be numbers of seconds' });
+    }
+
+    const video = await prisma.video.findUnique({
+      where: { id },
+      select: { id: true }
+    });
+
+    if (!video) {
+      return res.status(404).json({ error: 'Video not found' });
+    }
+
+    const transcript = await transcriptionService.getStoredTranscript(id, {
+      language,
+      start,
+      end,
+      limit: Math.min(limit, 1000),
+      offset
+    });
+
+    if (!transcript) {
+      return res.status(404).json({ error: 'No transcript stored for this video' });
+    }
+
+    res.json({ videoId: id, ...transcript });
+  } catch (error) {
+    console.error('Error fetching transcript:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/videos/:id/transcript/languages - Transcript languages offered by the source and stored locally
+ */
+router.get('/:id/transcript/languages', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const video = await prisma.video.findUnique({
+      where: { id }
+    });
+
+    if (!video) {
+      return res.status(404).json({ error: 'Video not found' });
+    }
+
+    const { provider, sourceId } = sourceProviderService.getVideoSource(video);
+    const [available, stored] = await Promise.all([
+      transcriptionService.getAvailableLanguages(sourceId, provider.name),
+      transcriptionService.listTranscripts(id)
+    ]);
+
+    res.json({
+      videoId: id,
+      available,
+      stored: stored.map(t => ({
+        transcriptId: t.id,
+        language: t.language,
+        source: t.source,
+        engine: t.engine,
+        translatedFrom: t.translatedFrom,
+        segmentCount: t.segmentCount,
+        createdAt: t.createdAt
+      })),
+      targetLanguage: translationService.getTargetLanguage()
+    });
+  } catch (error) {
+    console.error('Error fetching transcript languages:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/videos/:id/transcript - Upload an SRT, WebVTT or plain text caption file as the transcript
+ *
+ * Body: { content, format?, filename?, language? }
+ */
+router.post('/:id/transcript', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { content, filename, language } = req.body;
+
+    if (!content || typeof content !== 'string') {
+      return res.status(400).json({ error: 'Caption file content is required' });
+    }
+
+    const video = await prisma.video.findUnique({
+      where: { id },
+      select: { id: true }
+    });
+
+    if (!video) {
+      return res.status(404).json({ error: 'Video not found' });
+    }
+
+    const format = req.body.format || captionService.detectFormat(content, filename);
+    if (!['srt', 'vtt', 'txt'].includes(format)) {
+      return res.status(400).json({ error: `Unsupported caption format: ${format}` });
+    }
+
+    const segments = captionService.parse(content, format);
+    if (segments.length === 0) {
+      return res.status(400).json({ error: 'No captions found in file' });
+    }
+
+    const transcript = await transcriptionService.saveTranscript(id, segments, {
+      language: language || 'unknown',
+      source: 'upload'
+    });
+
+    const fullText = segments.map(s => s.text).join(' ').replace(/\s+/g, ' ').trim();
+
+    await prisma.video.update({
+      where: { id },
+      data: { transcription: fullText }
+    });
+
+    res.status(201).json({
+      videoId: id,
+      transcriptId: transcript.id,
+      language: transcript.language,
+      source: transcript.source,
+      format,
+      segmentCount: transcript.segmentCount
+    });
+  } catch (error) {
+    console.error('Error uploading transcript:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/videos/:id/transcribe - Transcribe the video's audio with local speech-to-text
+ *
+ * Send an audio/video file as the raw request body to transcribe it instead of downloading
+ * the audio from the source. Query: language (defaults to auto-detection)
+ */
+router.post(
+  '/:id/transcribe',
+  express.raw({ type: ['audio/*', 'video/*', 'application/octet-stream'], limit: process.env.WHISPER_MAX_UPLOAD || '500mb' }),
+  async (req, res) => {
+    try {
+      const { id } = req.params;
+      const { language } = req.query;
+
+      if (!speechToTextService.isEnabled()) {
+        return res.status(503).json({ error: 'Local speech-to-text is not configured' });
+      }
+
+      const video = await prisma.video.findUnique({
+        where: { id }
+      });
+
+      if (!video) {
+        return res.status(404).json({ error: 'Video not found' });
+      }
+
+      const result = Buffer.isBuffer(req.body) && req.body.length > 0
+        ? await speechToTextService.transcribeBuffer(req.body, { language })
+        : await speechToTextService.transcribeVideo(video, { language });
+
+      if (result.segments.length === 0) {
+        return res.status(422).json({ error: 'No speech detected in the audio' });
+      }
+
+      const transcript = await transcriptionService.saveTranscript(id, result.segments, {
+        language: result.language,
+        source: 'stt',
+        engine: result.engine
+      });
+
+      const fullText = result.segments.map(s => s.text).join(' ').replace(/\s+/g, ' ').trim();
+
+      await prisma.video.update({
+        where: { id },
+        data: { transcription: fullText }
+      });
+
+      res.status(201).json({
+        videoId: id,
+        transcriptId: transcript.id,
+        language: transcript.language,
+        source: transcript.source,
+        engine: transcript.engine,
+        segmentCount: transcript.segmentCount
+      });
+    } catch (error) {
+      console.error('Error transcribing audio:', error);
+      res.status(500).json({ error: error.message });
+    }
+  }
+);
+
+/**
+ * GET /api/videos/:id/transcript/download - Download the stored transcript as SRT, VTT or Markdown
+ *
+ * Query: format (srt | vtt | md), language
+ */
+router.get('/:id/transcript/download', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { format = 'srt', language } = req.query;
+
+    const exporters = {
+      srt: { contentType: 'application/x-subrip', extension: 'srt' },
+      vtt: { contentType: 'text/vtt', extension: 'vtt' },
+      md: { contentType: 'text/markdown', extension: 'md' }
+    };
+
+    if (!exporters[format]) {
+      return res.status(400).json({ error: 'Format must be srt, vtt or md' });
+    }
+
+    const video = await prisma.video.findUnique({
+      where: { id }
+    });
+
+    if (!video) {
+      return res.status(404).json({ error: 'Video not found' });
+    }
+
+    const transcript = await transcriptionService.loadTranscript(id, { language });
+
+    if (!transcript) {
+      return res.status(404).json({ error: 'No transcript stored for this video' });
+    }
+
+    let body;
+    if (format === 'srt') {
+      body = captionService.toSrt(transcript.transcript);
+    } else if (format === 'vtt') {
+      body = captionService.toVtt(transcript.transcript);
+    } else {
+      body = captionService.toMarkdown(transcript.transcript, {
+        title: video.title,
+        linkBuilder: seconds => sourceProviderService.getTimestampUrl(video, seconds)
+      });
+    }
+
+    const filename = `${video.title.replace(/[^a-zA-Z0-9 _-]+/g, '').trim() || 'transcript'}.${exporters[format].extension}`;
+
+    res.setHeader('Content-Type', `${exporters[format].contentType}; charset=utf-8`);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(body);
+  } catch (error) {
+    console.error('Error downloading transcript:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 /**
  * PUT /api/videos/:id - Update video metadata
  */
@@ -169,11 +462,14 @@ router.put('/:id', async (req, res) => {
       include: { category: true }
     });
 
-    res.json({
-      ...video,
-      tags: JSON.parse(video.tags || '[]'),
-      summaryJson: video.summaryJson ? JSON.parse(video.summaryJson) : null
-    });
+    const formatted = realtimeService.formatVideo(video);
+
+    realtimeService.emit('video:updated', { video: formatted });
+    if (categoryId !== undefined || tags !== undefined) {
+      realtimeService.emit('video:categorized', { videoId: id, category: video.category, tags: formatted.tags });
+    }
+
+    res.json(formatted);
   } catch (error) {
     console.error('Error updating video:', error);
     res.status(500).json({ error: error.message });
@@ -197,6 +493,8 @@ router.delete('/:id', async (req, res) => {
       where: { id }
     });
 
+    realtimeService.emit('video:deleted', { videoIds: [id] });
+
     res.json({ message: 'Video deleted successfully' });
   } catch (error) {
     console.error('Error deleting video:', error);
@@ -204,80 +502,320 @@ router.delete('/:id', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/videos/bulk/process - Queue processing jobs for several videos
+ */
+router.post('/bulk/process', async (req, res) => {
+  try {
+    const { videoIds, language } = req.body;
+
+    if (!videoIds || !Array.isArray(videoIds)) {
+      return res.status(400).json({ error: 'Video IDs array is required' });
+    }
+
+    const videos = await prisma.video.findMany({
+      where: { id: { in: videoIds } },
+      select: { id: true }
+    });
+
+    const jobs = [];
+    for (const video of videos) {
+      const { job } = await jobService.enqueue('process-video', { language }, { videoId: video.id });
+      jobs.push(jobService.formatJob(job));
+    }
+
+    res.status(202).json({ jobs });
+  } catch (error) {
+    console.error('Error queueing bulk processing:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
 /**
  * POST /api/videos/:id/process - Process video (transcription + summarization)
+ *
+ * Queues a background job and returns it; poll GET /api/jobs/:id for progress.
+ * Body: { language? }
  */
 router.post('/:id/process', async (req, res) => {
   try {
     const { id } = req.params;
+    const { language } = req.body;
 
     const video = await prisma.video.findUnique({
-      where: { id }
+      where: { id },
+      select: { id: true }
     });
 
     if (!video) {
       return res.status(404).json({ error: 'Video not found' });
     }
 
-    // Get transcription
-    const transcriptResult = await transcriptionService.getTranscript(video.youtubeId);
+    const { job, created } = await jobService.enqueue('process-video', { language }, { videoId: id });
+
+    res.status(202).json({ ...jobService.formatJob(job), existing: !created });
+  } catch (error) {
+    console.error('Error queueing video processing:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Regeneration targets from a request body, or an error message
+ */
+function parseTargets(targets = ['summary']) {
+  const list = Array.isArray(targets) ? targets : [targets];
+  const unknown = list.filter(target => !videoProcessingService.regenerateTargets.includes(target));
+
+  if (list.length === 0 || unknown.length > 0) {
+    return { error: `targets must list one or more of ${videoProcessingService.regenerateTargets.join(', ')}` };
+  }
+
+  return { targets: list };
+}
+
+/**
+ * GET /api/videos/summaries/stale - Summarized videos whose summary was generated with another
+ * provider, model or prompt version, or from another transcript, than the current ones
+ */
+router.get('/summaries/stale', async (req, res) => {
+  try {
+    res.json(await videoProcessingService.findStale());
+  } catch (error) {
+    console.error('Error finding stale summaries:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/videos/bulk/regenerate - Queue regeneration for several videos
+ *
+ * Body: { targets? } as for /:id/regenerate, { videoIds? } (default: every video whose summary is stale),
+ * { onlyStale? } to skip listed videos whose summary is up to date
+ */
+router.post('/bulk/regenerate', async (req, res) => {
+  try {
+    const { videoIds, onlyStale } = req.body;
+    const { targets, error } = parseTargets(req.body.targets);
+
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    if (videoIds !== undefined && !Array.isArray(videoIds)) {
+      return res.status(400).json({ error: 'videoIds must be an array' });
+    }
 
-    if (!transcriptResult.success) {
-      return res.status(400).json({
-        error: 'Failed to get transcript',
-        message: transcriptResult.message
+    let ids;
+    if (!videoIds || onlyStale) {
+      const stale = await videoProcessingService.findStale({ videoIds });
+      ids = stale.videos.map(video => video.id);
+    } else {
+      const videos = await prisma.video.findMany({
+        where: { id: { in: videoIds } },
+        select: { id: true }
       });
+      ids = videos.map(video => video.id);
     }
 
-    // Generate summary
-    const summary = await llmService.generateSummary(
-      transcriptResult.fullText,
-      video.title
-    );
+    const jobs = [];
+    for (const id of ids) {
+      const { job } = await jobService.enqueue('regenerate-video', { targets }, { videoId: id });
+      jobs.push(jobService.formatJob(job));
+    }
+
+    res.status(202).json({ jobs });
+  } catch (error) {
+    console.error('Error queueing bulk regeneration:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/videos/:id/regenerate - Redo the summary, key moments and/or RAG index from the stored transcript
+ *
+ * Queues a background job and returns it.
+ * Body: { targets? } any of summary, highlights, index (default ['summary'])
+ */
+router.post('/:id/regenerate', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { targets, error } = parseTargets(req.body.targets);
+
+    if (error) {
+      return res.status(400).json({ error });
+    }
 
-    // Update video with transcription and summary
-    const updatedVideo = await prisma.video.update({
+    const video = await prisma.video.findUnique({
       where: { id },
-      data: {
-        transcription: transcriptResult.fullText,
-        summaryJson: JSON.stringify(summary)
-      },
-      include: { category: true }
+      select: { id: true }
     });
 
-    // Index in RAG system
-    await ragService.indexVideo(id, transcriptResult.fullText, {
-      title: video.title,
-      author: video.author
-    });
+    if (!video) {
+      return res.status(404).json({ error: 'Video not found' });
+    }
+
+    const { job, created } = await jobService.enqueue('regenerate-video', { targets }, { videoId: id });
+
+    res.status(202).json({ ...jobService.formatJob(job), existing: !created });
+  } catch (error) {
+    console.error('Error queueing regeneration:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * GET /api/videos/:id/summaries - Every summary generated for a video with its provenance, newest first,
+ * and why the current one doesn't match the current settings (empty staleReasons when it does)
+ */
+router.get('/:id/summaries', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const video = await prisma.video.findUnique({ where: { id } });
+
+    if (!video) {
+      return res.status(404).json({ error: 'Video not found' });
+    }
+
+    const current = await videoProcessingService.getCurrentProvenance();
 
     res.json({
-      ...updatedVideo,
-      tags: JSON.parse(updatedVideo.tags || '[]'),
-      summaryJson: summary
+      current,
+      staleReasons: videoProcessingService.getStaleReasons(video, current),
+      versions: await videoProcessingService.getSummaryVersions(id)
     });
   } catch (error) {
-    console.error('Error processing video:', error);
+    console.error('Error fetching summary versions:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
 /**
- * POST /api/videos/batch - Batch import from playlist (placeholder)
+ * GET /api/videos/:id/summaries/:format - Study format of the video: outline, cornell, eli5, mindmap or definitions
+ *
+ * Generated from the transcript on first request, then served from the database until the transcript
+ * or the format's prompt changes. Query: { refresh=true } to generate it again.
  */
-router.post('/batch', async (req, res) => {
+router.get('/:id/summaries/:format', async (req, res) => {
   try {
-    const { playlistId } = req.body;
+    const { id, format } = req.params;
+
+    const result = await videoProcessingService.getSummaryFormat(id, format, {
+      refresh: req.query.refresh === 'true'
+    });
+
+    res.json(result);
+  } catch (error) {
+    console.error('Error generating summary format:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/videos/:id/translate - Translate the transcript and/or summary, keeping the originals
+ *
+ * Body: { language? (defaults to TRANSLATION_TARGET_LANGUAGE), transcript?, summary?, sourceLanguage? }
+ */
+router.post('/:id/translate', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { language, transcript, summary, sourceLanguage } = req.body;
+
+    const video = await prisma.video.findUnique({
+      where: { id },
+      select: { id: true }
+    });
 
-    if (!playlistId) {
-      return res.status(400).json({ error: 'Playlist ID is required' });
+    if (!video) {
+      return res.status(404).json({ error: 'Video not found' });
     }
 
-    // This would require YouTube Data API
-    res.status(501).json({
-      error: 'Playlist import not yet implemented',
-      message: 'This feature requires YouTube Data API key'
+    const result = await translationService.translateVideo(id, {
+      language,
+      transcript: transcript !== false,
+      summary: summary !== false,
+      sourceLanguage
+    });
+
+    res.json({ videoId: id, ...result });
+  } catch (error) {
+    console.error('Error translating video:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/videos/bulk/refresh-metadata - Re-fetch fallback or stale metadata
+ *
+ * Queues a background job; its result is the per-video report.
+ */
+router.post('/bulk/refresh-metadata', async (req, res) => {
+  try {
+    const { videoIds, staleDays, onlyFallback, limit } = req.body;
+
+    const { job } = await jobService.enqueue('refresh-metadata', {
+      videoIds,
+      staleDays,
+      onlyFallback,
+      limit
+    });
+
+    res.status(202).json(jobService.formatJob(job));
+  } catch (error) {
+    console.error('Error queueing metadata refresh:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/videos/:id/refresh-metadata - Re-fetch metadata for one video
+ */
+router.post('/:id/refresh-metadata', async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const result = await metadataRefreshService.refreshVideo(id);
+
+    const video = await prisma.video.findUnique({
+      where: { id },
+      include: { category: true }
     });
+
+    res.json({
+      ...result,
+      video: {
+        ...video,
+        tags: JSON.parse(video.tags || '[]'),
+        summaryJson: video.summaryJson ? JSON.parse(video.summaryJson) : null,
+        highlightsJson: video.highlightsJson ? JSON.parse(video.highlightsJson) : null,
+        chaptersJson: video.chaptersJson ? JSON.parse(video.chaptersJson) : null,
+        summaryPromptVersions: video.summaryPromptVersions ? JSON.parse(video.summaryPromptVersions) : null
+      }
+    });
+  } catch (error) {
+    console.error('Error refreshing video metadata:', error);
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+/**
+ * POST /api/videos/batch - Batch import from playlist
+ */
+router.post('/batch', async (req, res) => {
+  try {
+    const { playlistId, url, categoryId, tags } = req.body;
+
+    const resolvedId = playlistId
+      ? youtubeService.extractPlaylistId(playlistId) || playlistId
+      : url && youtubeService.extractPlaylistId(url);
+
+    if (!resolvedId) {
+      return res.status(400).json({ error: 'Playlist ID or URL is required' });
+    }
+
+    const report = await videoImportService.importPlaylist(resolvedId, { categoryId, tags });
+
+    res.status(201).json(report);
   } catch (error) {
     console.error('Error batch importing:', error);
     res.status(500).json({ error: error.message });
@@ -304,8 +842,9 @@ router.post('/:id/auto-categorize', async (req, res) => {
 
     const suggestion = await autoCategorizationService.suggestCategoryAndTags(
       {
+        id: video.id,
         title: video.title,
-        description: video.author,
+        description: video.description || video.author,
         transcription: video.transcription
       },
       categories
@@ -320,6 +859,8 @@ router.post('/:id/auto-categorize', async (req, res) => {
 
 /**
  * POST /api/videos/bulk/categorize - Bulk categorize videos
+ *
+ * Queues a background job; its result is { suggestions }.
  */
 router.post('/bulk/categorize', async (req, res) => {
   try {
@@ -329,18 +870,11 @@ router.post('/bulk/categorize', async (req, res) => {
       return res.status(400).json({ error: 'Video IDs array is required' });
     }
 
-    const videos = await prisma.video.findMany({
-      where: { id: { in: videoIds } },
-      include: { category: true }
-    });
-
-    const categories = await prisma.category.findMany();
-
-    const suggestions = await autoCategorizationService.batchCategorize(videos, categories);
+    const { job } = await jobService.enqueue('categorize-videos', { videoIds });
 
-    res.json({ suggestions });
+    res.status(202).json(jobService.formatJob(job));
   } catch (error) {
-    console.error('Error bulk categorizing:', error);
+    console.error('Error queueing bulk categorization:', error);
     res.status(500).json({ error: error.message });
   }
 });
@@ -377,6 +911,15 @@ router.put('/bulk/update', async (req, res) => {
       include: { category: true }
     });
 
+    for (const video of updatedVideos) {
+      const formatted = realtimeService.formatVideo(video);
+
+      realtimeService.emit('video:updated', { video: formatted });
+      if (updates.categoryId !== undefined || updates.tags !== undefined) {
+        realtimeService.emit('video:categorized', { videoId: video.id, category: video.category, tags: formatted.tags });
+      }
+    }
+
     res.json({
       updated: updatedVideos.map(v => ({
         ...v,
@@ -410,6 +953,8 @@ router.delete('/bulk/delete', async (req, res) => {
       where: { id: { in: videoIds } }
     });
 
+    realtimeService.emit('video:deleted', { videoIds });
+
     res.json({
       message: 'Videos deleted successfully',
       count: result.count
@@ -11,7 +11,7 @@ const PORT = process.env.PORT || 4000;
 
 // Middleware
 app.use(cors());
-app.use(express.json());
+app.use(express.json({ limit: '50mb' })); // watch-history exports can be large
 app.use(express.urlencoded({ extended: true }));
 
 // Import routes
@@ -19,12 +19,31 @@ const videosRoutes = require('./routes/videos.routes');
 const categoriesRoutes = require('./routes/categories.routes');
 const graphRoutes = require('./routes/graph.routes');
 const chatRoutes = require('./routes/chat.routes');
+const subscriptionsRoutes = require('./routes/subscriptions.routes');
+const importRoutes = require('./routes/import.routes');
+const subscriptionService = require('./services/subscription.service');
+const metadataRefreshService = require('./services/metadata-refresh.service');
+const jobsRoutes = require('./routes/jobs.routes');
+const adminRoutes = require('./routes/admin.routes');
+const usageRoutes = require('./routes/usage.routes');
+const settingsRoutes = require('./routes/settings.routes');
+const promptsRoutes = require('./routes/prompts.routes');
+const jobService = require('./services/job-handlers');
+const realtimeService = require('./services/realtime.service');
+const settingsService = require('./services/settings.service');
 
 // API Routes
 app.use('/api/videos', videosRoutes);
 app.use('/api/categories', categoriesRoutes);
 app.use('/api/graph', graphRoutes);
 app.use('/api/chat', chatRoutes);
+app.use('/api/subscriptions', subscriptionsRoutes);
+app.use('/api/import', importRoutes);
+app.use('/api/jobs', jobsRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/usage', usageRoutes);
+app.use('/api/settings', settingsRoutes);
+app.use('/api/prompts', promptsRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -43,8 +62,28 @@ app.use((err, req, res, next) => {
 });
 
 // Start server
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`Backend server is running on port ${PORT}`);
+
+  // Poll channel subscriptions for new uploads
+  subscriptionService.startPolling();
+
+  // Periodically re-fetch placeholder or stale video metadata
+  metadataRefreshService.startSchedule();
+
+  // Saved LLM settings (provider, models) replace the environment defaults, so load them
+  // before running queued background jobs (video processing, bulk categorization, metadata refresh)
+  settingsService.get()
+    .catch(error => {
+      console.error('Error loading LLM settings:', error);
+    })
+    .then(() => jobService.start())
+    .catch(error => {
+      console.error('Error starting job worker:', error);
+    });
 });
 
+// Live updates for the frontend (socket.io shares the HTTP server)
+realtimeService.attach(server);
+
 module.exports = app;
@@ -1,60 +1,64 @@
 const llmService = require('./llm.service');
+const promptService = require('./prompt.service');
+
+const SUGGESTION_SCHEMA = {
+  type: 'object',
+  required: ['suggestedCategory', 'tags'],
+  properties: {
+    suggestedCategory: { type: 'string', minLength: 1 },
+    isNewCategory: { type: 'boolean' },
+    tags: { type: 'array', items: { type: 'string' } },
+    confidence: { type: 'number', minimum: 0, maximum: 1 },
+    reason: { type: 'string' }
+  }
+};
 
 class AutoCategorizationService {
   /**
    * Auto-categorize a video based on title, description, and transcript
-   * @param {Object} videoData - Video data
+   * @param {Object} videoData - Video data (id, if set, is used for usage accounting)
    * @param {Array} existingCategories - Existing categories
    * @returns {Promise<Object>} - Suggested category and tags
    */
   async suggestCategoryAndTags(videoData, existingCategories = []) {
     try {
-      const { title, description, transcription } = videoData;
-
-      const categoryList = existingCategories.length > 0
-        ? existingCategories.map(c => c.name).join(', ')
-        : 'No existing categories';
-
-      const prompt = `
-Analyze this YouTube video and suggest:
-1. The most appropriate category from the existing list (or suggest a new one)
-2. 5-7 relevant tags
-
-Video Title: ${title}
-Description: ${description || 'Not available'}
-Transcript Preview: ${transcription?.substring(0, 1000) || 'Not available'}
-
-Existing Categories: ${categoryList}
-
-Respond in JSON format:
-{
-  "suggestedCategory": "category name",
-  "isNewCategory": true/false,
-  "tags": ["tag1", "tag2", ...],
-  "confidence": 0.0-1.0,
-  "reason": "brief explanation"
-}
-`;
+      const { prompt, systemPrompt } = await promptService.render(
+        'categorization',
+        this.getPromptVariables(videoData, existingCategories)
+      );
 
-      const response = await llmService.generateCompletion(prompt, {
+      return await llmService.generateStructured(prompt, SUGGESTION_SCHEMA, {
         temperature: 0.3,
         maxTokens: 500,
-        systemPrompt: 'You are an expert at categorizing educational content. Always respond with valid JSON.'
+        systemPrompt,
+        feature: 'categorize',
+        videoId: videoData.id
       });
-
-      try {
-        const suggestion = JSON.parse(response);
-        return suggestion;
-      } catch (parseError) {
-        console.error('Error parsing categorization response:', parseError);
-        return this.getFallbackCategorization(title);
-      }
     } catch (error) {
       console.error('Error in auto-categorization:', error.message);
       return this.getFallbackCategorization(videoData.title);
     }
   }
 
+  /**
+   * Categorization prompt variables for a video
+   * @param {Object} videoData - Video data (title, description, transcription)
+   * @param {Array} existingCategories - Existing categories
+   * @returns {Object}
+   */
+  getPromptVariables(videoData, existingCategories = []) {
+    const { title, description, transcription } = videoData;
+
+    return {
+      title,
+      description: description || 'Not available',
+      transcript: transcription?.substring(0, 1000) || 'Not available',
+      categories: existingCategories.length > 0
+        ? existingCategories.map(c => c.name).join(', ')
+        : 'No existing categories'
+    };
+  }
+
   /**
    * Fallback categorization when LLM fails
    */
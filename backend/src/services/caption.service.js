@@ -0,0 +1,216 @@
+class CaptionService {
+  /**
+   * Detect caption format from file name or content
+   * @param {string} content - Caption file content
+   * @param {string} filename - Optional file name
+   * @returns {string} - srt, vtt or txt
+   */
+  detectFormat(content, filename = '') {
+    const extension = filename.toLowerCase().split('.').pop();
+
+    if (['srt', 'vtt', 'txt'].includes(extension)) {
+      return extension;
+    }
+
+    const head = content.trimStart();
+
+    if (head.startsWith('WEBVTT')) {
+      return 'vtt';
+    }
+
+    if (/^\d+\s*\r?\n\d{1,2}:\d{2}:\d{2}[,.]\d{1,3}\s*-->/.test(head)) {
+      return 'srt';
+    }
+
+    return 'txt';
+  }
+
+  /**
+   * Parse a caption file into transcript segments
+   * @param {string} content - Caption file content
+   * @param {string} format - srt, vtt or txt
+   * @returns {Array} - Segments: { text, offset, duration } (seconds)
+   */
+  parse(content, format) {
+    switch (format) {
+      case 'srt':
+      case 'vtt':
+        return this.parseCues(content);
+
+      case 'txt':
+        return this.parsePlainText(content);
+
+      default:
+        throw new Error(`Unknown caption format: ${format}`);
+    }
+  }
+
+  /**
+   * Parse SRT or WebVTT cues (both use "start --> end" timing lines)
+   * @param {string} content - Caption file content
+   * @returns {Array} - Transcript segments
+   */
+  parseCues(content) {
+    const segments = [];
+    const blocks = content.replace(/\r/g, '').split(/\n{2,}/);
+
+    for (const block of blocks) {
+      const lines = block.split('\n');
+      const timingIndex = lines.findIndex(line => line.includes('-->'));
+
+      if (timingIndex === -1) {
+        continue;
+      }
+
+      const [start, end] = lines[timingIndex].split('-->').map(part => part.trim().split(/\s+/)[0]);
+      const offset = this.parseTimestamp(start);
+      const endTime = this.parseTimestamp(end);
+
+      const text = lines
+        .slice(timingIndex + 1)
+        .join(' ')
+        .replace(/<[^>]+>/g, '') // strip VTT voice/styling tags
+        .replace(/\{\\[^}]+\}/g, '') // strip SSA-style tags some SRT files carry
+        .replace(/\s+/g, ' ')
+        .trim();
+
+      if (text && offset !== null) {
+        segments.push({
+          text,
+          offset,
+          duration: endTime !== null ? Math.max(0, endTime - offset) : 0
+        });
+      }
+    }
+
+    return segments;
+  }
+
+  /**
+   * Parse plain text, honouring optional "[hh:mm:ss]" or "mm:ss" line prefixes
+   * @param {string} content - Text content
+   * @returns {Array} - Transcript segments
+   */
+  parsePlainText(content) {
+    const lines = content.replace(/\r/g, '').split('\n').map(line => line.trim()).filter(Boolean);
+    const segments = [];
+
+    for (const line of lines) {
+      const match = line.match(/^\[?((?:\d{1,2}:)?\d{1,2}:\d{2}(?:[.,]\d{1,3})?)\]?\s+(.*)$/);
+
+      if (match) {
+        segments.push({ text: match[2], offset: this.parseTimestamp(match[1]), duration: 0 });
+      } else {
+        segments.push({ text: line, offset: segments.length ? segments[segments.length - 1].offset : 0, duration: 0 });
+      }
+    }
+
+    // Derive durations from the next timestamped line
+    for (let i = 0; i < segments.length - 1; i++) {
+      segments[i].duration = Math.max(0, segments[i + 1].offset - segments[i].offset);
+    }
+
+    return segments;
+  }
+
+  /**
+   * Serialize transcript segments as SubRip (SRT)
+   * @param {Array} segments - Segments ({ text, offset, duration })
+   * @returns {string} - SRT content
+   */
+  toSrt(segments) {
+    return segments
+      .map((segment, index) => [
+        index + 1,
+        `${this.formatTimestamp(segment.offset, ',')} --> ${this.formatTimestamp(this.getEnd(segments, index), ',')}`,
+        segment.text
+      ].join('\n'))
+      .join('\n\n') + '\n';
+  }
+
+  /**
+   * Serialize transcript segments as WebVTT
+   * @param {Array} segments - Segments ({ text, offset, duration })
+   * @returns {string} - VTT content
+   */
+  toVtt(segments) {
+    const cues = segments.map((segment, index) => [
+      `${this.formatTimestamp(segment.offset, '.')} --> ${this.formatTimestamp(this.getEnd(segments, index), '.')}`,
+      segment.text
+    ].join('\n'));
+
+    return ['WEBVTT', ...cues].join('\n\n') + '\n';
+  }
+
+  /**
+   * Serialize transcript segments as timestamped Markdown
+   * @param {Array} segments - Segments ({ text, offset, duration })
+   * @param {Object} options - { title, linkBuilder(seconds) -> url }
+   * @returns {string} - Markdown content
+   */
+  toMarkdown(segments, options = {}) {
+    const { title, linkBuilder } = options;
+
+    // Import transcription service dynamically to avoid circular dependency
+    const transcriptionService = require('./transcription.service');
+
+    const lines = segments.map(segment => {
+      const time = transcriptionService.formatTimestamp(segment.offset);
+      const stamp = linkBuilder ? `[${time}](${linkBuilder(segment.offset)})` : time;
+      return `- **${stamp}** ${segment.text}`;
+    });
+
+    return `${title ? `# ${title}\n\n` : ''}${lines.join('\n')}\n`;
+  }
+
+  /**
+   * End time of a segment, falling back to the next segment's start when duration is missing
+   */
+  getEnd(segments, index) {
+    const segment = segments[index];
+
+    if (segment.duration > 0) {
+      return segment.offset + segment.duration;
+    }
+
+    const next = segments[index + 1];
+    return next ? Math.max(segment.offset, next.offset) : segment.offset + 2;
+  }
+
+  /**
+   * Format seconds as "hh:mm:ss,mmm" (SRT) or "hh:mm:ss.mmm" (VTT)
+   * @param {number} seconds - Seconds
+   * @param {string} separator - Millisecond separator
+   * @returns {string} - Timestamp
+   */
+  formatTimestamp(seconds, separator) {
+    const totalMs = Math.round(seconds * 1000);
+    const hrs = Math.floor(totalMs / 3600000);
+    const mins = Math.floor((totalMs % 3600000) / 60000);
+    const secs = Math.floor((totalMs % 60000) / 1000);
+    const ms = totalMs % 1000;
+
+    return `${hrs.toString().padStart(2, '0')}:${mins.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}${separator}${ms.toString().padStart(3, '0')}`;
+  }
+
+  /**
+   * Parse "hh:mm:ss,mmm", "hh:mm:ss.mmm" or "mm:ss.mmm" into seconds
+   * @param {string} timestamp - Timestamp text
+   * @returns {number|null} - Seconds or null if invalid
+   */
+  parseTimestamp(timestamp) {
+    if (!timestamp) {
+      return null;
+    }
+
+    const parts = timestamp.replace(',', '.').split(':').map(Number);
+
+    if (parts.some(isNaN)) {
+      return null;
+    }
+
+    return parts.reduce((total, part) => total * 60 + part, 0);
+  }
+}
+
+module.exports = new CaptionService();
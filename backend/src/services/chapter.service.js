@@ -0,0 +1,259 @@
+const llmService = require('./llm.service');
+const transcriptionService = require('./transcription.service');
+const usageService = require('./usage.service');
+
+// Characters of timestamped transcript sent to the LLM for segmentation
+const SEGMENTATION_BUDGET = 12000;
+
+const SEGMENTATION_SCHEMA = {
+  type: 'array',
+  minItems: 1,
+  items: {
+    type: 'object',
+    required: ['start', 'title'],
+    properties: {
+      start: { type: ['string', 'number'] },
+      title: { type: 'string', minLength: 1 }
+    }
+  }
+};
+
+class ChapterService {
+  /**
+   * Parse chapter markers ("0:00 Intro", "(12:30) Results", "Results - 12:30") from a video description
+   *
+   * Follows YouTube's rules loosely: at least two markers in ascending order.
+   * @param {string} description - Video description
+   * @returns {Array} - [{ start, title }] or [] if the description has no chapter list
+   */
+  parseDescriptionChapters(description) {
+    if (!description) {
+      return [];
+    }
+
+    const time = '(\\d{1,2}(?::\\d{2}){1,2})';
+    const leading = new RegExp(`^[\\s\\-•*]*[\\[(]?${time}[\\])]?\\s*[-–—:|.]?\\s*(.+)$`);
+    const trailing = new RegExp(`^(.+?)\\s*[-–—:|]?\\s*[\\[(]?${time}[\\])]?$`);
+
+    const chapters = [];
+
+    for (const line of description.split(/\r?\n/).map(l => l.trim()).filter(Boolean)) {
+      let match = line.match(leading);
+      let start;
+      let title;
+
+      if (match) {
+        start = transcriptionService.parseTimestamp(match[1]);
+        title = match[2];
+      } else if ((match = line.match(trailing))) {
+        start = transcriptionService.parseTimestamp(match[2]);
+        title = match[1];
+      } else {
+        continue;
+      }
+
+      title = title.replace(/^[-–—:|.\s]+|[-–—:|\s]+$/g, '').trim();
+
+      if (start === null || !title) {
+        continue;
+      }
+
+      // A marker earlier than the previous one starts a new list (e.g. a second timestamp block)
+      if (chapters.length && start <= chapters[chapters.length - 1].start) {
+        if (chapters.length >= 2) {
+          break;
+        }
+        chapters.length = 0;
+      }
+
+      chapters.push({ start, title });
+    }
+
+    return chapters.length >= 2 ? chapters : [];
+  }
+
+  /**
+   * Ask the LLM to split a timestamped transcript into titled chapters
+   * @param {Array} transcript - Transcript segments ({ text, offset, duration })
+   * @param {string} title - Video title
+   * @param {string} videoId - Video record ID for usage accounting
+   * @returns {Promise<Array>} - [{ start, title }]
+   */
+  async segmentTranscript(transcript, title, videoId) {
+    const lines = this.condenseTranscript(transcript);
+
+    const prompt = `
+Split this transcript of the video "${title}" into chapters, the way a lecture or talk would be divided
+into sections. Use 3-12 chapters depending on length; each chapter should cover one topic.
+
+Transcript (each line starts with its timestamp):
+${lines.join('\n')}
+
+Respond with a JSON array in chronological order, starting at 0:00:
+[
+  { "start": "0:00", "title": "short chapter title" }
+]
+`;
+
+    const result = await llmService.generateStructured(prompt, SEGMENTATION_SCHEMA, {
+      temperature: 0.3,
+      maxTokens: 1000,
+      systemPrompt: 'You structure video transcripts into chapters. Always respond with a valid JSON array.',
+      feature: 'chapters',
+      videoId
+    });
+
+    const chapters = [];
+
+    for (const item of result) {
+      const start = typeof item.start === 'number' ? item.start : transcriptionService.parseTimestamp(item.start);
+
+      if (start === null || !item.title || (chapters.length && start <= chapters[chapters.length - 1].start)) {
+        continue;
+      }
+
+      chapters.push({ start, title: String(item.title).trim() });
+    }
+
+    if (chapters.length) {
+      chapters[0].start = 0;
+    }
+
+    return chapters;
+  }
+
+  /**
+   * Merge segments into ~30 second lines and thin them out to fit the segmentation budget
+   * @param {Array} transcript - Transcript segments
+   * @returns {Array<string>} - "[m:ss] text" lines
+   */
+  condenseTranscript(transcript) {
+    const lines = [];
+    let current = null;
+
+    for (const segment of transcript) {
+      if (!current || segment.offset - current.start >= 30) {
+        current = { start: segment.offset, texts: [] };
+        lines.push(current);
+      }
+      current.texts.push(segment.text);
+    }
+
+    const formatted = lines.map(line => `[${transcriptionService.formatTimestamp(line.start)}] ${line.texts.join(' ').replace(/\s+/g, ' ').trim()}`);
+
+    if (formatted.join('\n').length <= SEGMENTATION_BUDGET) {
+      return formatted;
+    }
+
+    // Keep lines evenly spread over the whole video, shortened to their opening words
+    const maxLines = Math.min(formatted.length, Math.floor(SEGMENTATION_BUDGET / 200));
+    const step = formatted.length / maxLines;
+    return Array.from({ length: maxLines }, (_, i) => formatted[Math.floor(i * step)].substring(0, 190));
+  }
+
+  /**
+   * Write a short summary for one chapter
+   * @param {string} text - Chapter transcript text
+   * @param {string} chapterTitle - Chapter title
+   * @param {string} videoTitle - Video title
+   * @param {string} videoId - Video record ID for usage accounting
+   * @returns {Promise<string|null>} - Summary or null on failure
+   */
+  async summarizeChapter(text, chapterTitle, videoTitle, videoId) {
+    if (!text) {
+      return null;
+    }
+
+    const prompt = `
+Summarize this chapter of the video "${videoTitle}" in 2-3 sentences.
+Write the summary in the same language as the transcript.
+
+Chapter: ${chapterTitle}
+
+Transcript:
+${text.substring(0, 6000)}
+`;
+
+    try {
+      const summary = await llmService.generateCompletion(prompt, {
+        temperature: 0.4,
+        maxTokens: 250,
+        systemPrompt: 'You are an expert at summarizing educational video content.',
+        feature: 'chapters',
+        videoId
+      });
+
+      return summary.trim();
+    } catch (error) {
+      if (usageService.isBudgetError(error)) {
+        throw error;
+      }
+      console.error(`Error summarizing chapter "${chapterTitle}":`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Build chapters for a video: description markers first, LLM segmentation otherwise,
+   * then a mini-summary per chapter
+   * @param {Object} video - Video record (id, description, duration, title)
+   * @param {Array} transcript - Transcript segments ({ text, offset, duration })
+   * @param {Object} options - { linkBuilder(seconds) -> deep link into the video }
+   * @returns {Promise<Array>} - [{ index, title, start, end, formattedTime, link, summary, source }]
+   */
+  async generateChapters(video, transcript, options = {}) {
+    if (!transcript || transcript.length === 0) {
+      return [];
+    }
+
+    const { linkBuilder } = options;
+
+    let source = 'description';
+    let markers = this.parseDescriptionChapters(video.description);
+
+    if (markers.length === 0) {
+      source = 'llm';
+      try {
+        markers = await this.segmentTranscript(transcript, video.title, video.id);
+      } catch (error) {
+        if (usageService.isBudgetError(error)) {
+          throw error;
+        }
+        console.error('Error segmenting transcript into chapters:', error.message);
+        return [];
+      }
+    }
+
+    const last = transcript[transcript.length - 1];
+    const videoEnd = Math.max(video.duration || 0, last.offset + (last.duration || 0));
+
+    const chapters = [];
+
+    for (let i = 0; i < markers.length; i++) {
+      const start = markers[i].start;
+      const end = i + 1 < markers.length ? markers[i + 1].start : videoEnd;
+
+      const text = transcript
+        .filter(segment => segment.offset >= start && segment.offset < end)
+        .map(segment => segment.text)
+        .join(' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+
+      chapters.push({
+        index: i,
+        title: markers[i].title,
+        start,
+        end,
+        formattedTime: transcriptionService.formatTimestamp(start),
+        link: linkBuilder ? linkBuilder(start) : null,
+        summary: await this.summarizeChapter(text, markers[i].title, video.title, video.id),
+        source
+      });
+    }
+
+    return chapters;
+  }
+}
+
+module.exports = new ChapterService();
@@ -0,0 +1,344 @@
+const { PrismaClient } = require('@prisma/client');
+const youtubeService = require('./youtube.service');
+const videoImportService = require('./video-import.service');
+
+const prisma = new PrismaClient();
+
+// Chrome stores bookmark dates as microseconds since 1601-01-01
+const CHROME_EPOCH_OFFSET_MS = 11644473600000;
+
+class HistoryImportService {
+  /**
+   * Detect the export format of a file's content
+   * @param {string} content - Raw file content
+   * @returns {string|null} - takeout-json, takeout-html, bookmarks-html, bookmarks-json or null
+   */
+  detectFormat(content) {
+    const head = content.trimStart().slice(0, 2000);
+
+    if (head.startsWith('[')) {
+      return 'takeout-json';
+    }
+
+    if (head.startsWith('{')) {
+      return 'bookmarks-json';
+    }
+
+    if (/NETSCAPE-Bookmark-file/i.test(head) || /<DT><A\s/i.test(content)) {
+      return 'bookmarks-html';
+    }
+
+    if (/outer-cell|content-cell/.test(content)) {
+      return 'takeout-html';
+    }
+
+    return null;
+  }
+
+  /**
+   * Parse an export file into YouTube entries
+   * @param {string} content - Raw file content
+   * @param {string} format - Export format (detected when omitted)
+   * @returns {Array} - Entries: { youtubeId, title, author, watchedAt, addedAt, source }
+   */
+  parse(content, format) {
+    switch (format) {
+      case 'takeout-json':
+        return this.parseTakeoutJson(content);
+
+      case 'takeout-html':
+        return this.parseTakeoutHtml(content);
+
+      case 'bookmarks-html':
+        return this.parseBookmarksHtml(content);
+
+      case 'bookmarks-json':
+        return this.parseBookmarksJson(content);
+
+      default:
+        throw new Error(`Unknown import format: ${format}`);
+    }
+  }
+
+  /**
+   * Parse Google Takeout watch-history.json
+   */
+  parseTakeoutJson(content) {
+    const records = JSON.parse(content);
+
+    if (!Array.isArray(records)) {
+      throw new Error('Takeout watch history must be a JSON array');
+    }
+
+    return records
+      .filter(record => record.titleUrl)
+      .map(record => ({
+        youtubeId: youtubeService.extractVideoId(record.titleUrl),
+        title: (record.title || '').replace(/^Watched\s+/, '') || null,
+        author: record.subtitles?.[0]?.name || null,
+        watchedAt: record.time ? new Date(record.time) : null,
+        source: 'history'
+      }));
+  }
+
+  /**
+   * Parse Google Takeout watch-history.html
+   */
+  parseTakeoutHtml(content) {
+    const entries = [];
+    const cellPattern = /<div class="content-cell[^"]*">([\s\S]*?)<\/div>/g;
+    let match;
+
+    while ((match = cellPattern.exec(content)) !== null) {
+      const cell = match[1];
+      const links = [...cell.matchAll(/<a href="([^"]+)">([\s\S]*?)<\/a>/g)];
+      const videoLink = links.find(link => youtubeService.extractVideoId(this.decodeHtml(link[1])));
+
+      if (!videoLink) {
+        continue;
+      }
+
+      const channelLink = links.find(link => link !== videoLink);
+
+      // The watch date is the last line of the cell, e.g. "Jan 2, 2024, 10:00:00 AM CET"
+      const lines = cell.split(/<br\s*\/?>/).map(line => this.decodeHtml(line.replace(/<[^>]+>/g, ''))).filter(Boolean);
+      const watchedAt = this.parseTakeoutDate(lines[lines.length - 1]);
+
+      entries.push({
+        youtubeId: youtubeService.extractVideoId(this.decodeHtml(videoLink[1])),
+        title: this.decodeHtml(videoLink[2]),
+        author: channelLink ? this.decodeHtml(channelLink[2]) : null,
+        watchedAt,
+        source: 'history'
+      });
+    }
+
+    return entries;
+  }
+
+  /**
+   * Parse a Netscape bookmark file (exported by every major browser)
+   */
+  parseBookmarksHtml(content) {
+    const entries = [];
+    const linkPattern = /<A\s([^>]*)>([\s\S]*?)<\/A>/gi;
+    let match;
+
+    while ((match = linkPattern.exec(content)) !== null) {
+      const href = match[1].match(/HREF="([^"]+)"/i)?.[1];
+      const addDate = match[1].match(/ADD_DATE="(\d+)"/i)?.[1];
+      const youtubeId = href && youtubeService.extractVideoId(this.decodeHtml(href));
+
+      if (!youtubeId) {
+        continue;
+      }
+
+      entries.push({
+        youtubeId,
+        title: this.decodeHtml(match[2]) || null,
+        author: null,
+        addedAt: addDate ? new Date(parseInt(addDate) * 1000) : null,
+        source: 'bookmark'
+      });
+    }
+
+    return entries;
+  }
+
+  /**
+   * Parse a Chrome "Bookmarks" file or a Firefox JSON bookmark backup
+   */
+  parseBookmarksJson(content) {
+    const entries = [];
+
+    const walk = (node) => {
+      if (!node || typeof node !== 'object') {
+        return;
+      }
+
+      if (Array.isArray(node)) {
+        node.forEach(walk);
+        return;
+      }
+
+      const href = node.url || node.uri;
+      const youtubeId = typeof href === 'string' && youtubeService.extractVideoId(href);
+
+      if (youtubeId) {
+        let addedAt = null;
+        if (node.date_added) {
+          addedAt = new Date(parseInt(node.date_added) / 1000 - CHROME_EPOCH_OFFSET_MS);
+        } else if (node.dateAdded) {
+          addedAt = new Date(node.dateAdded / 1000);
+        }
+
+        entries.push({
+          youtubeId,
+          title: node.name || node.title || null,
+          author: null,
+          addedAt,
+          source: 'bookmark'
+        });
+      }
+
+      Object.values(node).forEach(walk);
+    };
+
+    walk(JSON.parse(content));
+
+    return entries;
+  }
+
+  /**
+   * Parse Takeout's localized date line, dropping the timezone abbreviation
+   * @param {string} text - Date text
+   * @returns {Date|null} - Parsed date
+   */
+  parseTakeoutDate(text) {
+    if (!text) {
+      return null;
+    }
+
+    const date = new Date(text.replace(/[\u00a0\u202f]/g, ' ').replace(/\s+[A-Z]{2,5}$/, ''));
+    return isNaN(date.getTime()) ? null : date;
+  }
+
+  /**
+   * Decode the HTML entities used by Takeout and bookmark exports
+   */
+  decodeHtml(text) {
+    return (text || '')
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&#39;/g, "'")
+      .replace(/&amp;/g, '&')
+      .trim();
+  }
+
+  /**
+   * Collapse repeated entries for the same video, keeping the most recent watch
+   * @param {Array} entries - Parsed entries
+   * @returns {Array} - One entry per video
+   */
+  mergeEntries(entries) {
+    const byId = new Map();
+
+    for (const entry of entries) {
+      if (!entry.youtubeId) {
+        continue;
+      }
+
+      const current = byId.get(entry.youtubeId);
+
+      if (!current) {
+        byId.set(entry.youtubeId, { ...entry });
+        continue;
+      }
+
+      // A history entry wins over a bookmark of the same video
+      if (entry.source === 'history') {
+        current.source = 'history';
+        if (entry.watchedAt && (!current.watchedAt || entry.watchedAt > current.watchedAt)) {
+          current.watchedAt = entry.watchedAt;
+        }
+      }
+
+      current.title = current.title || entry.title;
+      current.author = current.author || entry.author;
+    }
+
+    return [...byId.values()];
+  }
+
+  /**
+   * Preview or commit an import
+   * @param {Object} options - { content, format, dryRun, categoryId, tags, fetchMetadata }
+   * @returns {Promise<Object>} - Import report
+   */
+  async importFile(options) {
+    const { content, categoryId, tags, dryRun = true, fetchMetadata = false } = options;
+    const format = options.format || this.detectFormat(content);
+
+    if (!format) {
+      const error = new Error('Could not detect export format');
+      error.status = 400;
+      throw error;
+    }
+
+    let parsed;
+    try {
+      parsed = this.parse(content, format);
+    } catch (parseError) {
+      const error = new Error(`Could not parse ${format} export: ${parseError.message}`);
+      error.status = 400;
+      throw error;
+    }
+
+    const entries = this.mergeEntries(parsed);
+
+    const existing = await prisma.video.findMany({
+      where: { youtubeId: { in: entries.map(e => e.youtubeId) } },
+      select: { id: true, youtubeId: true }
+    });
+    const existingIds = new Map(existing.map(v => [v.youtubeId, v.id]));
+
+    const items = [];
+
+    for (const entry of entries) {
+      const item = {
+        youtubeId: entry.youtubeId,
+        title: entry.title,
+        author: entry.author,
+        source: entry.source,
+        watchStatus: entry.source === 'history' ? 'watched' : 'unwatched',
+        watchedAt: entry.source === 'history' ? entry.watchedAt : null
+      };
+
+      if (existingIds.has(entry.youtubeId)) {
+        items.push({ ...item, status: 'skipped', reason: 'Duplicate', videoId: existingIds.get(entry.youtubeId) });
+        continue;
+      }
+
+      if (dryRun) {
+        items.push({ ...item, status: 'new' });
+        continue;
+      }
+
+      try {
+        const result = await videoImportService.addVideo(entry.youtubeId, {
+          categoryId,
+          tags,
+          knownMetadata: entry,
+          fetchMetadata,
+          watchStatus: item.watchStatus,
+          watchedAt: item.watchedAt
+        });
+
+        items.push({
+          ...item,
+          status: result.status === 'added' ? 'added' : 'skipped',
+          reason: result.status === 'added' ? undefined : 'Duplicate',
+          videoId: result.video.id
+        });
+      } catch (error) {
+        console.error(`Error importing ${entry.youtubeId}:`, error.message);
+        items.push({ ...item, status: 'failed', reason: error.message });
+      }
+    }
+
+    return {
+      dryRun,
+      format,
+      parsed: parsed.length,
+      total: items.length,
+      new: items.filter(i => i.status === 'new').length,
+      added: items.filter(i => i.status === 'added').length,
+      skipped: items.filter(i => i.status === 'skipped').length,
+      failed: items.filter(i => i.status === 'failed').length,
+      items
+    };
+  }
+}
+
+module.exports = new HistoryImportService();
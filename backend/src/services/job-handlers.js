@@ -0,0 +1,146 @@
+const { PrismaClient } = require('@prisma/client');
+const jobService = require('./job.service');
+const videoProcessingService = require('./video-processing.service');
+const metadataRefreshService = require('./metadata-refresh.service');
+const autoCategorizationService = require('./auto-categorization.service');
+const realtimeService = require('./realtime.service');
+const usageService = require('./usage.service');
+
+const prisma = new PrismaClient();
+
+/**
+ * Background job types. Required once at startup (server.js) so the worker knows how to run them.
+ *
+ * Jobs that call the LLM check the monthly budget first (LLM_MONTHLY_BUDGET_USD) and fail without
+ * retrying once it is spent. Summary, highlight and chapter requests are checked again one by one
+ * (see llm.service) and categorization before each video, so a job also stops when the budget runs
+ * out partway through; interactive requests such as chat are not limited.
+ */
+
+// Transcript, summary, highlights, chapters, translation and RAG indexing for one video
+jobService.register('process-video', {
+  stages: videoProcessingService.stages,
+  run: async (job, context) => {
+    await usageService.assertWithinBudget();
+
+    const result = await videoProcessingService.processVideo(job.videoId, {
+      language: job.payload.language,
+      onStage: context.setStage,
+      checkpoint: context.checkpoint
+    });
+
+    // LLM failures throw and are retried like any other error
+    if (!result.success) {
+      // Missing videos and transcripts won't fix themselves by retrying; a transcript fetch
+      // that hit a rate limit or network error (status 503) may
+      const error = new Error(result.message || result.error);
+      error.retryable = result.status >= 500;
+      throw error;
+    }
+
+    return {
+      videoId: job.videoId,
+      title: result.video.title
+    };
+  }
+});
+
+// Summary, key moments and/or RAG index redone from the stored transcript (POST /api/videos/:id/regenerate)
+jobService.register('regenerate-video', {
+  stages: videoProcessingService.regenerateTargets,
+  run: async (job, context) => {
+    const { targets } = job.payload;
+
+    // Indexing doesn't call the LLM
+    if (targets.some(target => target !== 'index')) {
+      await usageService.assertWithinBudget();
+    }
+
+    const result = await videoProcessingService.regenerate(job.videoId, {
+      targets,
+      onStage: context.setStage
+    });
+
+    // Only a missing video or stored transcript is reported here, and retrying won't change that
+    if (!result.success) {
+      const error = new Error(result.message || result.error);
+      error.retryable = false;
+      throw error;
+    }
+
+    return {
+      videoId: job.videoId,
+      title: result.video.title,
+      targets: result.targets
+    };
+  }
+});
+
+// Category/tag suggestions for several videos (POST /api/videos/bulk/categorize)
+jobService.register('categorize-videos', {
+  stages: ['categorize'],
+  run: async (job, context) => {
+    await context.setStage('categorize');
+
+    const videos = await prisma.video.findMany({
+      where: { id: { in: job.payload.videoIds || [] } },
+      include: { category: true }
+    });
+    const categories = await prisma.category.findMany();
+
+    const suggestions = [];
+
+    for (const video of videos) {
+      context.throwIfCancelled();
+      await usageService.assertWithinBudget();
+
+      const suggestion = await autoCategorizationService.suggestCategoryAndTags(
+        {
+          id: video.id,
+          title: video.title,
+          description: video.description || video.author,
+          transcription: video.transcription
+        },
+        categories
+      );
+      suggestions.push({ videoId: video.id, ...suggestion });
+
+      await context.setProgress(suggestions.length / videos.length);
+    }
+
+    return { suggestions };
+  }
+});
+
+// Metadata refresh for fallback/stale videos (POST /api/videos/bulk/refresh-metadata)
+jobService.register('refresh-metadata', {
+  stages: ['refresh'],
+  run: async (job, context) => {
+    await context.setStage('refresh');
+
+    return await metadataRefreshService.refreshStale({
+      ...job.payload,
+      onProgress: async (done, total) => {
+        await context.setProgress(done / total);
+        context.throwIfCancelled();
+      }
+    });
+  }
+});
+
+// Push job progress to connected clients; processing jobs also update the video's card
+jobService.on('updated', (job) => {
+  realtimeService.emit('job:updated', { job: jobService.formatJob(job) });
+
+  if ((job.type === 'process-video' || job.type === 'regenerate-video') && job.videoId) {
+    realtimeService.emit('video:processing', {
+      videoId: job.videoId,
+      jobId: job.id,
+      status: job.status,
+      stage: job.stage,
+      progress: job.progress
+    });
+  }
+});
+
+module.exports = jobService;
@@ -0,0 +1,510 @@
+const EventEmitter = require('events');
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+const ACTIVE_STATUSES = ['queued', 'running'];
+
+/**
+ * Persisted background jobs with an in-process worker.
+ *
+ * Job types are registered with a handler:
+ *   register(type, { stages: ['fetch', 'save'], run: async (job, ctx) => result })
+ *
+ * Handlers report progress through ctx.setStage(name) / ctx.setProgress(fraction), call
+ * ctx.throwIfCancelled() between expensive steps, and can keep intermediate results across
+ * retries with ctx.checkpoint.get(name) / ctx.checkpoint.set(name, value). Throwing an error with `retryable = false`
+ * fails the job immediately; other errors are retried with exponential backoff.
+ *
+ * Emits 'updated' with the job record whenever its status, stage or progress changes.
+ */
+class JobService extends EventEmitter {
+  constructor() {
+    super();
+    this.handlers = new Map();
+    this.active = new Set();
+    this.cancelRequests = new Set();
+    this.timer = null;
+    this.ticking = false;
+    this.tickRequested = false;
+  }
+
+  /**
+   * Register a job type
+   * @param {string} type - Job type
+   * @param {Object} handler - { stages, run(job, ctx) }
+   */
+  register(type, handler) {
+    this.handlers.set(type, handler);
+  }
+
+  /**
+   * Queue a job; a queued or running job of the same type for the same video is reused
+   * @param {string} type - Job type
+   * @param {Object} payload - Handler input
+   * @param {Object} options - { videoId, maxAttempts }
+   * @returns {Promise<Object>} - { job, created }
+   */
+  async enqueue(type, payload = {}, options = {}) {
+    const { videoId = null, maxAttempts } = options;
+    const handler = this.handlers.get(type);
+
+    if (!handler) {
+      throw new Error(`Unknown job type: ${type}`);
+    }
+
+    if (videoId) {
+      const existing = await prisma.job.findFirst({
+        where: { type, videoId, status: { in: ACTIVE_STATUSES } }
+      });
+
+      if (existing) {
+        return { job: existing, created: false };
+      }
+    }
+
+    const job = await prisma.job.create({
+      data: {
+        type,
+        videoId,
+        payload: JSON.stringify(payload),
+        stages: JSON.stringify((handler.stages || []).map(name => ({ name, status: 'pending', progress: 0 }))),
+        maxAttempts: maxAttempts || parseInt(process.env.JOB_MAX_ATTEMPTS) || 3
+      }
+    });
+
+    this.emit('updated', job);
+    this.tick();
+
+    return { job, created: true };
+  }
+
+  /**
+   * Get a job
+   * @param {string} id - Job ID
+   * @returns {Promise<Object|null>} - Job record
+   */
+  async getJob(id) {
+    return await prisma.job.findUnique({ where: { id } });
+  }
+
+  /**
+   * Parse a job's JSON columns for API responses
+   * @param {Object} job - Job record
+   * @returns {Object} - Job with payload, result and stages as objects
+   */
+  formatJob(job) {
+    const { checkpoint, ...rest } = job;
+
+    return {
+      ...rest,
+      payload: JSON.parse(job.payload || '{}'),
+      result: job.result ? JSON.parse(job.result) : null,
+      stages: JSON.parse(job.stages || '[]')
+    };
+  }
+
+  /**
+   * List jobs, newest first
+   * @param {Object} filters - { status, type, videoId, limit, offset }
+   * @returns {Promise<Object>} - { jobs, total }
+   */
+  async listJobs(filters = {}) {
+    const { status, type, videoId, limit = 50, offset = 0 } = filters;
+
+    const where = {};
+    if (status) {
+      where.status = status;
+    }
+    if (type) {
+      where.type = type;
+    }
+    if (videoId) {
+      where.videoId = videoId;
+    }
+
+    const [jobs, total] = await Promise.all([
+      prisma.job.findMany({
+        where,
+        orderBy: { createdAt: 'desc' },
+        take: limit,
+        skip: offset
+      }),
+      prisma.job.count({ where })
+    ]);
+
+    return { jobs, total };
+  }
+
+  /**
+   * Cancel a job: queued jobs stop immediately, running jobs at their next cancellation check
+   * @param {string} id - Job ID
+   * @returns {Promise<Object|null>} - Updated job or null if not found
+   */
+  async cancel(id) {
+    const job = await this.getJob(id);
+
+    if (!job) {
+      return null;
+    }
+
+    if (job.status === 'queued') {
+      return await this.updateJob(id, { status: 'cancelled', cancelRequested: true, finishedAt: new Date() });
+    }
+
+    if (job.status === 'running') {
+      this.cancelRequests.add(id);
+      return await this.updateJob(id, { cancelRequested: true });
+    }
+
+    return job;
+  }
+
+  /**
+   * Queue a failed or cancelled job again
+   * @param {string} id - Job ID
+   * @returns {Promise<Object|null>} - Updated job or null if not found
+   */
+  async retry(id) {
+    const job = await this.getJob(id);
+
+    if (!job) {
+      return null;
+    }
+
+    if (!['failed', 'cancelled'].includes(job.status)) {
+      const error = new Error(`Only failed or cancelled jobs can be retried (job is ${job.status})`);
+      error.status = 409;
+      throw error;
+    }
+
+    const handler = this.handlers.get(job.type);
+
+    const updated = await this.updateJob(id, {
+      status: 'queued',
+      attempts: 0,
+      error: null,
+      result: null,
+      checkpoint: null,
+      stage: null,
+      progress: 0,
+      stages: JSON.stringify((handler?.stages || []).map(name => ({ name, status: 'pending', progress: 0 }))),
+      cancelRequested: false,
+      runAt: new Date(),
+      startedAt: null,
+      finishedAt: null
+    });
+
+    this.tick();
+
+    return updated;
+  }
+
+  /**
+   * Start the worker: recover jobs interrupted by a restart and poll for queued jobs
+   */
+  async start() {
+    if (this.timer) {
+      return;
+    }
+
+    this.concurrency = parseInt(process.env.JOB_CONCURRENCY) || 2;
+
+    // Jobs still "running" were interrupted by a crash or restart
+    await prisma.job.updateMany({
+      where: { status: 'running', cancelRequested: true },
+      data: { status: 'cancelled', finishedAt: new Date() }
+    });
+    const { count } = await prisma.job.updateMany({
+      where: { status: 'running' },
+      data: { status: 'queued', runAt: new Date() }
+    });
+
+    if (count > 0) {
+      console.log(`Re-queued ${count} interrupted job(s)`);
+    }
+
+    // Polling picks up retries whose backoff has elapsed
+    this.timer = setInterval(() => this.tick(), parseInt(process.env.JOB_POLL_MS) || 2000);
+    this.timer.unref();
+
+    this.tick();
+  }
+
+  /**
+   * Stop polling (running jobs finish on their own)
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Claim queued jobs until the concurrency limit is reached
+   */
+  async tick() {
+    if (!this.timer) {
+      return;
+    }
+
+    if (this.ticking) {
+      this.tickRequested = true;
+      return;
+    }
+
+    this.ticking = true;
+
+    try {
+      while (this.active.size < this.concurrency) {
+        const job = await this.claimNext();
+
+        if (!job) {
+          break;
+        }
+
+        this.active.add(job.id);
+        this.execute(job).finally(() => {
+          this.active.delete(job.id);
+          this.tick();
+        });
+      }
+    } catch (error) {
+      console.error('Error polling job queue:', error.message);
+    } finally {
+      this.ticking = false;
+    }
+
+    if (this.tickRequested) {
+      this.tickRequested = false;
+      this.tick();
+    }
+  }
+
+  /**
+   * Atomically move the oldest due job from queued to running
+   * @returns {Promise<Object|null>} - Claimed job or null if none is due
+   */
+  async claimNext() {
+    const candidate = await prisma.job.findFirst({
+      where: { status: 'queued', runAt: { lte: new Date() } },
+      orderBy: { createdAt: 'asc' }
+    });
+
+    if (!candidate) {
+      return null;
+    }
+
+    const { count } = await prisma.job.updateMany({
+      where: { id: candidate.id, status: 'queued' },
+      data: {
+        status: 'running',
+        attempts: { increment: 1 },
+        startedAt: new Date(),
+        error: null
+      }
+    });
+
+    if (!count) {
+      // Another claim (or a cancellation) got there first; try the next job
+      return await this.claimNext();
+    }
+
+    const job = await this.getJob(candidate.id);
+    this.emit('updated', job);
+    return job;
+  }
+
+  /**
+   * Update a job and notify 'updated' listeners
+   * @param {string} id - Job ID
+   * @param {Object} data - Fields to update
+   * @returns {Promise<Object>} - Updated job
+   */
+  async updateJob(id, data) {
+    const job = await prisma.job.update({ where: { id }, data });
+    this.emit('updated', job);
+    return job;
+  }
+
+  /**
+   * Run a claimed job and record its outcome
+   * @param {Object} job - Job record (status running)
+   */
+  async execute(job) {
+    const handler = this.handlers.get(job.type);
+    const stages = JSON.parse(job.stages || '[]');
+    const context = this.createContext(job, stages);
+
+    try {
+      if (!handler) {
+        const error = new Error(`Unknown job type: ${job.type}`);
+        error.retryable = false;
+        throw error;
+      }
+
+      const result = await handler.run({ ...job, payload: JSON.parse(job.payload || '{}') }, context);
+
+      await context.finishStage();
+
+      await this.updateJob(job.id, {
+        status: 'completed',
+        result: JSON.stringify(result ?? null),
+        checkpoint: null,
+        stage: null,
+        progress: 1,
+        stages: JSON.stringify(stages),
+        finishedAt: new Date()
+      });
+    } catch (error) {
+      await this.recordFailure(job, stages, error);
+    } finally {
+      this.cancelRequests.delete(job.id);
+    }
+  }
+
+  /**
+   * Mark a job cancelled, failed, or queued again with exponential backoff
+   */
+  async recordFailure(job, stages, error) {
+    const current = stages.find(s => s.status === 'running');
+    if (current) {
+      current.status = error.cancelled ? 'cancelled' : 'failed';
+      current.finishedAt = new Date();
+    }
+
+    const data = { error: error.message, stages: JSON.stringify(stages) };
+
+    if (error.cancelled) {
+      data.status = 'cancelled';
+      data.finishedAt = new Date();
+    } else if (error.retryable !== false && job.attempts < job.maxAttempts) {
+      const baseSeconds = parseInt(process.env.JOB_RETRY_DELAY_SECONDS) || 30;
+      const delaySeconds = Math.min(baseSeconds * 2 ** (job.attempts - 1), 3600);
+
+      data.status = 'queued';
+      data.runAt = new Date(Date.now() + delaySeconds * 1000);
+      console.error(`Job ${job.id} (${job.type}) failed, retrying in ${delaySeconds}s:`, error.message);
+    } else {
+      data.status = 'failed';
+      data.finishedAt = new Date();
+      console.error(`Job ${job.id} (${job.type}) failed:`, error.message);
+    }
+
+    try {
+      await this.updateJob(job.id, data);
+    } catch (updateError) {
+      // The job row is gone, e.g. its video was deleted while it ran
+      console.error(`Error recording job ${job.id} failure:`, updateError.message);
+    }
+  }
+
+  /**
+   * Progress and cancellation helpers passed to handlers
+   * @param {Object} job - Job record
+   * @param {Array} stages - Mutable stage list
+   * @returns {Object} - { setStage, setProgress, finishStage, throwIfCancelled, checkpoint }
+   */
+  createContext(job, stages) {
+    const checkpoints = JSON.parse(job.checkpoint || '{}');
+
+    const save = async (stageName) => {
+      const done = stages.filter(s => s.status === 'completed' || s.status === 'skipped').length;
+      const running = stages.find(s => s.status === 'running');
+      const progress = stages.length
+        ? (done + (running ? running.progress : 0)) / stages.length
+        : 0;
+
+      await this.updateJob(job.id, {
+        stage: stageName,
+        progress: Math.min(1, progress),
+        stages: JSON.stringify(stages)
+      });
+    };
+
+    const context = {
+      /**
+       * Start a stage; earlier stages that were never started are marked skipped
+       */
+      setStage: async (name) => {
+        context.throwIfCancelled();
+
+        const index = stages.findIndex(s => s.name === name);
+        stages.forEach((stage, i) => {
+          if (stage.status === 'running') {
+            stage.status = 'completed';
+            stage.progress = 1;
+            stage.finishedAt = new Date();
+          } else if (stage.status === 'pending' && index !== -1 && i < index) {
+            stage.status = 'skipped';
+          }
+        });
+
+        let stage = stages[index];
+        if (!stage) {
+          stage = { name, status: 'pending', progress: 0 };
+          stages.push(stage);
+        }
+
+        stage.status = 'running';
+        stage.progress = 0;
+        stage.startedAt = new Date();
+
+        await save(name);
+      },
+
+      /**
+       * Report progress (0-1) within the current stage
+       */
+      setProgress: async (fraction) => {
+        const running = stages.find(s => s.status === 'running');
+        if (running) {
+          running.progress = Math.max(0, Math.min(1, fraction));
+          await save(running.name);
+        }
+      },
+
+      /**
+       * Complete the running stage and mark stages that never ran as skipped
+       */
+      finishStage: async () => {
+        stages.forEach(stage => {
+          if (stage.status === 'running') {
+            stage.status = 'completed';
+            stage.progress = 1;
+            stage.finishedAt = new Date();
+          } else if (stage.status === 'pending') {
+            stage.status = 'skipped';
+          }
+        });
+      },
+
+      /**
+       * Throw if cancellation was requested for this job
+       */
+      throwIfCancelled: () => {
+        if (this.cancelRequests.has(job.id)) {
+          const error = new Error('Job cancelled');
+          error.cancelled = true;
+          throw error;
+        }
+      },
+
+      checkpoint: {
+        get: (name) => checkpoints[name],
+        set: async (name, value) => {
+          checkpoints[name] = value;
+          await prisma.job.update({
+            where: { id: job.id },
+            data: { checkpoint: JSON.stringify(checkpoints) }
+          });
+        }
+      }
+    };
+
+    return context;
+  }
+}
+
+module.exports = new JobService();
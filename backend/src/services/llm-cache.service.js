@@ -0,0 +1,187 @@
+const crypto = require('crypto');
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+/**
+ * Persistent cache of LLM responses, keyed by provider, model, prompts and parameters.
+ *
+ * Enabled unless LLM_CACHE=false; entries expire after LLM_CACHE_TTL_HOURS (default 168, 0 = never).
+ * Cache errors are logged and treated as misses so they never break a completion.
+ */
+class LLMCacheService {
+  constructor() {
+    this.stats = { hits: 0, misses: 0, writes: 0, since: new Date() };
+  }
+
+  isEnabled() {
+    return process.env.LLM_CACHE !== 'false';
+  }
+
+  /**
+   * Cache key for one request
+   * @param {Object} request - { provider, model, prompt, systemPrompt, temperature, maxTokens, json }
+   * @returns {string} - Hex SHA-256
+   */
+  buildKey(request) {
+    const { provider, model, prompt, systemPrompt, temperature, maxTokens, json = false } = request;
+
+    return crypto
+      .createHash('sha256')
+      .update(JSON.stringify([provider, model, systemPrompt, prompt, temperature, maxTokens, json]))
+      .digest('hex');
+  }
+
+  /**
+   * Look up the first live entry among several keys (e.g. one per provider in the fallback chain)
+   * @param {Array<string>} keys - Cache keys in order of preference
+   * @returns {Promise<Object|null>} - Cache entry or null on a miss
+   */
+  async get(keys) {
+    try {
+      const entries = await prisma.llmCacheEntry.findMany({
+        where: {
+          key: { in: keys },
+          OR: [{ expiresAt: null }, { expiresAt: { gt: new Date() } }]
+        }
+      });
+
+      const entry = keys.map(key => entries.find(e => e.key === key)).find(Boolean);
+
+      if (!entry) {
+        this.stats.misses++;
+        return null;
+      }
+
+      this.stats.hits++;
+      await prisma.llmCacheEntry.update({
+        where: { id: entry.id },
+        data: { hits: { increment: 1 }, lastHitAt: new Date() }
+      });
+
+      return entry;
+    } catch (error) {
+      console.error('Error reading LLM cache:', error.message);
+      this.stats.misses++;
+      return null;
+    }
+  }
+
+  /**
+   * Store a response
+   * @param {string} key - Cache key
+   * @param {Object} meta - { provider, model, prompt }
+   * @param {string} response - Model output
+   */
+  async set(key, meta, response) {
+    const ttlHours = parseFloat(process.env.LLM_CACHE_TTL_HOURS ?? '168');
+    const expiresAt = ttlHours > 0 ? new Date(Date.now() + ttlHours * 3600 * 1000) : null;
+
+    const data = {
+      provider: meta.provider,
+      model: meta.model,
+      promptPreview: meta.prompt.trim().substring(0, 300),
+      response,
+      expiresAt
+    };
+
+    try {
+      await prisma.llmCacheEntry.upsert({
+        where: { key },
+        update: { ...data, createdAt: new Date(), hits: 0, lastHitAt: null },
+        create: { key, ...data }
+      });
+      this.stats.writes++;
+    } catch (error) {
+      console.error('Error writing LLM cache:', error.message);
+    }
+  }
+
+  /**
+   * Drop entries, e.g. a response that turned out to be unusable
+   * @param {Array<string>} keys - Cache keys
+   */
+  async invalidate(keys) {
+    try {
+      await prisma.llmCacheEntry.deleteMany({ where: { key: { in: keys } } });
+    } catch (error) {
+      console.error('Error invalidating LLM cache:', error.message);
+    }
+  }
+
+  /**
+   * Hit/miss counters since startup plus what is stored
+   * @returns {Promise<Object>} - { enabled, ttlHours, hits, misses, writes, hitRate, since, entries, expired, storedHits }
+   */
+  async getStats() {
+    const [entries, expired, aggregate] = await Promise.all([
+      prisma.llmCacheEntry.count(),
+      prisma.llmCacheEntry.count({ where: { expiresAt: { lte: new Date() } } }),
+      prisma.llmCacheEntry.aggregate({ _sum: { hits: true } })
+    ]);
+
+    const lookups = this.stats.hits + this.stats.misses;
+
+    return {
+      enabled: this.isEnabled(),
+      ttlHours: parseFloat(process.env.LLM_CACHE_TTL_HOURS ?? '168'),
+      ...this.stats,
+      hitRate: lookups ? this.stats.hits / lookups : null,
+      entries,
+      expired,
+      storedHits: aggregate._sum.hits || 0
+    };
+  }
+
+  /**
+   * List entries, most recently created first
+   * @param {Object} filters - { provider, limit, offset }
+   * @returns {Promise<Object>} - { entries, total }
+   */
+  async listEntries(filters = {}) {
+    const { provider, limit = 50, offset = 0 } = filters;
+    const where = provider ? { provider } : {};
+
+    const [entries, total] = await Promise.all([
+      prisma.llmCacheEntry.findMany({
+        where,
+        orderBy: { createdAt: 'desc' },
+        take: limit,
+        skip: offset
+      }),
+      prisma.llmCacheEntry.count({ where })
+    ]);
+
+    return { entries, total };
+  }
+
+  /**
+   * Delete entries
+   * @param {Object} filters - { expired: only expired entries, provider }
+   * @returns {Promise<number>} - Number of deleted entries
+   */
+  async purge(filters = {}) {
+    const where = {};
+    if (filters.expired) {
+      where.expiresAt = { lte: new Date() };
+    }
+    if (filters.provider) {
+      where.provider = filters.provider;
+    }
+
+    const { count } = await prisma.llmCacheEntry.deleteMany({ where });
+    return count;
+  }
+
+  /**
+   * Delete one entry
+   * @param {string} id - Entry ID
+   * @returns {Promise<boolean>} - Whether an entry was deleted
+   */
+  async deleteEntry(id) {
+    const { count } = await prisma.llmCacheEntry.deleteMany({ where: { id } });
+    return count > 0;
+  }
+}
+
+module.exports = new LLMCacheService();
@@ -1,18 +1,244 @@
 const OpenAI = require('openai');
 const { GoogleGenerativeAI } = require('@google/generative-ai');
 const axios = require('axios');
+const { isTransientError } = require('./transient-errors');
+const structuredOutput = require('./structured-output.service');
+const llmCache = require('./llm-cache.service');
+const usageService = require('./usage.service');
+const settingsService = require('./settings.service');
+const mockLLM = require('./mock-llm.service');
+const promptService = require('./prompt.service');
+
+// Context windows (tokens) of the default model per provider; LLM_CONTEXT_TOKENS overrides
+const CONTEXT_TOKENS = {
+  openai: 16385,
+  gemini: 30720,
+  local: 4096,
+  compatible: 4096,
+  mock: 32768
+};
+
+// Rough size of a token in transcript text; kept low so non-English text still fits
+const CHARS_PER_TOKEN = 3.5;
+
+// Tokens reserved for instructions around the transcript in a prompt
+const PROMPT_OVERHEAD_TOKENS = 600;
+
+const SUMMARY_SCHEMA = {
+  type: 'object',
+  required: ['quickSummary', 'detailedSummary', 'keyPoints'],
+  properties: {
+    quickSummary: { type: 'string', minLength: 1 },
+    detailedSummary: { type: 'string', minLength: 1 },
+    keyPoints: { type: 'array', minItems: 1, items: { type: 'string' } }
+  }
+};
+
+// Mind map levels below the root
+const MIND_MAP_DEPTH = 3;
+
+// Schema of a mind map node with `depth` levels of children below it
+function mindMapNode(depth) {
+  return {
+    type: 'object',
+    required: ['label'],
+    properties: {
+      label: { type: 'string', minLength: 1 },
+      ...(depth > 0 && { children: { type: 'array', items: mindMapNode(depth - 1) } })
+    }
+  };
+}
+
+const OUTLINE_SECTION = {
+  type: 'object',
+  required: ['heading', 'points'],
+  properties: {
+    heading: { type: 'string', minLength: 1 },
+    points: { type: 'array', items: { type: 'string' } }
+  }
+};
+
+// Study formats generated on demand from the same material as the summary (prompt key, expected JSON, answer size)
+const SUMMARY_FORMATS = {
+  outline: {
+    prompt: 'summary-outline',
+    maxTokens: 1500,
+    schema: {
+      type: 'object',
+      required: ['sections'],
+      properties: {
+        sections: {
+          type: 'array',
+          minItems: 1,
+          items: {
+            ...OUTLINE_SECTION,
+            properties: { ...OUTLINE_SECTION.properties, subsections: { type: 'array', items: OUTLINE_SECTION } }
+          }
+        }
+      }
+    }
+  },
+  cornell: {
+    prompt: 'summary-cornell',
+    maxTokens: 1500,
+    schema: {
+      type: 'object',
+      required: ['cues', 'summary'],
+      properties: {
+        cues: {
+          type: 'array',
+          minItems: 1,
+          items: {
+            type: 'object',
+            required: ['cue', 'notes'],
+            properties: {
+              cue: { type: 'string', minLength: 1 },
+              notes: { type: 'array', minItems: 1, items: { type: 'string' } }
+            }
+          }
+        },
+        summary: { type: 'string', minLength: 1 }
+      }
+    }
+  },
+  eli5: {
+    prompt: 'summary-eli5',
+    maxTokens: 800,
+    schema: {
+      type: 'object',
+      required: ['explanation'],
+      properties: {
+        explanation: { type: 'string', minLength: 1 },
+        analogy: { type: 'string' }
+      }
+    }
+  },
+  mindmap: {
+    prompt: 'summary-mindmap',
+    maxTokens: 1500,
+    schema: { ...mindMapNode(MIND_MAP_DEPTH), required: ['label', 'children'] }
+  },
+  definitions: {
+    prompt: 'summary-definitions',
+    maxTokens: 1500,
+    schema: {
+      type: 'object',
+      required: ['definitions'],
+      properties: {
+        definitions: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['term', 'definition'],
+            properties: {
+              term: { type: 'string', minLength: 1 },
+              definition: { type: 'string', minLength: 1 }
+            }
+          }
+        }
+      }
+    }
+  }
+};
+
+const TOPICS_SCHEMA = {
+  type: 'array',
+  items: { type: 'string', minLength: 1 }
+};
+
+// Default request timeouts per provider (seconds); local models on a CPU can be slow
+const TIMEOUT_SECONDS = {
+  openai: 120,
+  gemini: 120,
+  local: 600,
+  compatible: 600,
+  mock: 30
+};
+
+// Settings task whose model a feature uses (see settings.service)
+const FEATURE_TASKS = {
+  summary: 'summary',
+  highlights: 'summary',
+  chapters: 'summary',
+  topics: 'summary',
+  translation: 'summary',
+  formats: 'summary',
+  chat: 'chat',
+  categorize: 'categorization'
+};
+
+// Features that only run in background jobs; their requests are refused once the monthly budget is spent
+const BUDGETED_FEATURES = ['summary', 'highlights', 'chapters'];
+
+/**
+ * Client-side limit on concurrent requests and requests per minute for one provider
+ */
+class RateLimiter {
+  constructor(maxConcurrent, perMinute) {
+    this.maxConcurrent = maxConcurrent;
+    this.perMinute = perMinute;
+    this.active = 0;
+    this.waiting = [];
+    this.startedAt = [];
+  }
+
+  /**
+   * Wait for a free slot
+   * @returns {Promise<Function>} - Call to release the slot
+   */
+  async acquire() {
+    for (;;) {
+      const now = Date.now();
+      this.startedAt = this.startedAt.filter(time => now - time < 60000);
+
+      const concurrencyOk = !this.maxConcurrent || this.active < this.maxConcurrent;
+      const rateOk = !this.perMinute || this.startedAt.length < this.perMinute;
+
+      if (concurrencyOk && rateOk) {
+        break;
+      }
+
+      // Wake up when a slot is released or the oldest request leaves the one-minute window
+      await new Promise(resolve => {
+        this.waiting.push(resolve);
+        if (concurrencyOk) {
+          setTimeout(resolve, 60000 - (now - this.startedAt[0]));
+        }
+      });
+    }
+
+    this.active++;
+    this.startedAt.push(Date.now());
+
+    let released = false;
+    return () => {
+      if (!released) {
+        released = true;
+        this.active--;
+        this.waiting.splice(0).forEach(resolve => resolve());
+      }
+    };
+  }
+}
 
 class LLMService {
   constructor() {
-    this.provider = process.env.LLM_PROVIDER || 'openai';
+    // Formats generateSummaryFormat() can produce
+    this.summaryFormats = Object.keys(SUMMARY_FORMATS);
+    this.limiters = new Map();
     this.initializeClients();
+
+    // Provider chain, models and defaults come from the runtime settings
+    this.applySettings(settingsService.getDefaults());
+    settingsService.on('updated', settings => this.applySettings(settings));
   }
 
   initializeClients() {
-    // Initialize OpenAI
+    // Initialize OpenAI (retries are handled here, not by the SDK)
     if (process.env.OPENAI_API_KEY) {
       this.openai = new OpenAI({
-        apiKey: process.env.OPENAI_API_KEY
+        apiKey: process.env.OPENAI_API_KEY,
+        maxRetries: 0
       });
     }
 
@@ -23,200 +249,1225 @@ class LLMService {
 
     // Local LLM configuration
     this.localLLMUrl = process.env.LOCAL_LLM_URL || 'http://localhost:11434';
-    this.localLLMModel = process.env.LOCAL_LLM_MODEL || 'llama2';
+
+    // OpenAI-compatible server (llama.cpp, LM Studio, vLLM, ...); most need no API key
+    if (process.env.COMPATIBLE_LLM_URL) {
+      this.compatible = new OpenAI({
+        baseURL: process.env.COMPATIBLE_LLM_URL,
+        apiKey: process.env.COMPATIBLE_LLM_API_KEY || 'none',
+        maxRetries: 0
+      });
+    }
+  }
+
+  /**
+   * Use new settings for the following requests
+   * @param {Object} settings - See settings.service
+   */
+  applySettings(settings) {
+    // Tried in order: e.g. ['local', 'openai']
+    this.providers = settings.providers;
+    this.models = settings.models;
+    this.taskModels = settings.tasks;
+    this.defaults = { temperature: settings.temperature, maxTokens: settings.maxTokens };
+  }
+
+  /**
+   * Whether a provider has what it needs to make requests (API key or server URL; local and mock need none)
+   * @param {string} provider - Provider name
+   * @returns {boolean}
+   */
+  isConfigured(provider) {
+    switch (provider) {
+      case 'openai':
+        return Boolean(this.openai);
+      case 'gemini':
+        return Boolean(this.gemini);
+      case 'compatible':
+        return Boolean(this.compatible);
+      case 'local':
+      case 'mock':
+        return true;
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Settings task a feature's requests belong to
+   * @param {string} feature - Feature name (summary, chat, categorize, ...)
+   * @returns {string|null}
+   */
+  getTask(feature) {
+    return FEATURE_TASKS[feature] || null;
+  }
+
+  /**
+   * Model used for a provider, taking the task's override into account
+   * @param {string} provider - Provider name
+   * @param {string} task - Settings task (optional)
+   * @returns {string|null}
+   */
+  getModelName(provider, task) {
+    return (task && this.taskModels[task]?.[provider]) || this.models[provider] || null;
+  }
+
+  /**
+   * Cache keys of a request, one per provider in the chain (in chain order)
+   * @param {string} prompt - Prompt
+   * @param {Object} params - getRequestParams() result
+   * @returns {Array<string>}
+   */
+  getCacheKeys(prompt, params) {
+    return this.providers.map(provider => llmCache.buildKey({
+      provider,
+      model: this.getModelName(provider, params.task),
+      prompt,
+      ...params
+    }));
+  }
+
+  /**
+   * Context window of the configured model in tokens
+   * @returns {number}
+   */
+  getContextTokens() {
+    // Prompts must fit every provider in the chain, since any of them may end up answering
+    return parseInt(process.env.LLM_CONTEXT_TOKENS) ||
+      Math.min(...this.providers.map(provider => CONTEXT_TOKENS[provider] || 4096));
+  }
+
+  /**
+   * Request timeout for a provider
+   * @param {string} provider - Provider name
+   * @returns {number} - Milliseconds
+   */
+  getTimeout(provider) {
+    const envName = provider === 'local' || provider === 'compatible'
+      ? `${provider.toUpperCase()}_LLM_TIMEOUT_SECONDS`
+      : `${provider.toUpperCase()}_TIMEOUT_SECONDS`;
+    const seconds = parseInt(process.env[envName]) || parseInt(process.env.LLM_TIMEOUT_SECONDS) || TIMEOUT_SECONDS[provider] || 120;
+    return seconds * 1000;
+  }
+
+  /**
+   * Retries per provider for transient errors (LLM_MAX_RETRIES, default 2)
+   * @returns {number}
+   */
+  getMaxRetries() {
+    const retries = parseInt(process.env.LLM_MAX_RETRIES);
+    return isNaN(retries) ? 2 : retries;
+  }
+
+  /**
+   * Rate limiter for a provider (LLM_MAX_CONCURRENCY, LLM_REQUESTS_PER_MINUTE)
+   * @param {string} provider - Provider name
+   * @returns {RateLimiter}
+   */
+  getLimiter(provider) {
+    if (!this.limiters.has(provider)) {
+      this.limiters.set(provider, new RateLimiter(
+        parseInt(process.env.LLM_MAX_CONCURRENCY) || 4,
+        parseInt(process.env.LLM_REQUESTS_PER_MINUTE) || 0
+      ));
+    }
+    return this.limiters.get(provider);
+  }
+
+  /**
+   * HTTP status of a provider error, if any
+   * @param {Error} error - Error thrown by a provider call
+   * @returns {number|null}
+   */
+  getErrorStatus(error) {
+    const status = error.status || error.response?.status;
+    if (status) {
+      return status;
+    }
+
+    // The Gemini SDK only reports the status in the message, e.g. "[429 Too Many Requests]"
+    const match = /\[(\d{3})[ \]]/.exec(error.message || '');
+    return match ? parseInt(match[1]) : null;
+  }
+
+  /**
+   * Whether retrying the same provider may succeed (rate limits, overload, timeouts, network errors)
+   * @param {Error} error - Error thrown by a provider call
+   * @returns {boolean}
+   */
+  isTransient(error) {
+    return isTransientError(error, this.getErrorStatus(error));
+  }
+
+  /**
+   * Delay requested by the provider through Retry-After, in milliseconds
+   * @param {Error} error - Error thrown by a provider call
+   * @returns {number|null}
+   */
+  getRetryAfter(error) {
+    const headers = error.headers || error.response?.headers || {};
+    const get = name => (typeof headers.get === 'function' ? headers.get(name) : headers[name]);
+
+    const ms = parseFloat(get('retry-after-ms'));
+    if (!isNaN(ms)) {
+      return ms;
+    }
+
+    const value = get('retry-after');
+    if (!value) {
+      return null;
+    }
+
+    const seconds = parseFloat(value);
+    if (!isNaN(seconds)) {
+      return seconds * 1000;
+    }
+
+    const date = Date.parse(value);
+    return isNaN(date) ? null : Math.max(0, date - Date.now());
+  }
+
+  /**
+   * Run one provider call with the provider's rate limit, retrying transient errors with backoff
+   * @param {string} provider - Provider name
+   * @param {Function} call - Performs one request; receives the timeout in ms
+   * @returns {Promise<*>} - The call's result
+   */
+  async callWithRetries(provider, call) {
+    const maxRetries = this.getMaxRetries();
+    const baseDelay = parseInt(process.env.LLM_RETRY_BASE_MS) || 1000;
+    const maxRetryAfter = (parseInt(process.env.LLM_MAX_RETRY_AFTER_SECONDS) || 60) * 1000;
+
+    for (let attempt = 0; ; attempt++) {
+      const release = await this.getLimiter(provider).acquire();
+
+      try {
+        return await call(this.getTimeout(provider));
+      } catch (error) {
+        if (attempt >= maxRetries || !this.isTransient(error)) {
+          throw error;
+        }
+
+        // Honour Retry-After unless it is so long that the next provider is the better bet
+        const retryAfter = this.getRetryAfter(error);
+        if (retryAfter !== null && retryAfter > maxRetryAfter) {
+          throw error;
+        }
+
+        const delay = retryAfter ?? baseDelay * 2 ** attempt * (0.5 + Math.random() / 2);
+        console.warn(`${provider} request failed (${error.message}), retrying in ${Math.round(delay)}ms`);
+        release();
+        await new Promise(resolve => setTimeout(resolve, delay));
+      } finally {
+        release();
+      }
+    }
+  }
+
+  /**
+   * Reject if a promise takes longer than the timeout
+   */
+  withTimeout(promise, ms, provider) {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => {
+        const error = new Error(`${provider} request timed out after ${Math.round(ms / 1000)}s`);
+        error.timeout = true;
+        reject(error);
+      }, ms);
+    });
+
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+  }
+
+  /**
+   * How many characters of source text fit into one prompt next to the instructions and the answer
+   * @param {number} outputTokens - Tokens reserved for the response
+   * @returns {number} - Characters
+   */
+  getChunkSize(outputTokens = 1500) {
+    const tokens = this.getContextTokens() - outputTokens - PROMPT_OVERHEAD_TOKENS;
+    return Math.max(2000, Math.floor(tokens * CHARS_PER_TOKEN));
+  }
+
+  /**
+   * Split text into chunks of at most `size` characters, preferring sentence and word boundaries
+   * @param {string} text - Text to split
+   * @param {number} size - Maximum chunk length
+   * @returns {Array<string>} - Chunks
+   */
+  splitText(text, size) {
+    const chunks = [];
+    let rest = text.trim();
+
+    while (rest.length > size) {
+      const window = rest.substring(0, size);
+      const sentenceEnd = Math.max(window.lastIndexOf('. '), window.lastIndexOf('? '), window.lastIndexOf('! '));
+      let cut = sentenceEnd > size / 2 ? sentenceEnd + 1 : window.lastIndexOf(' ');
+      if (cut <= 0) {
+        cut = size;
+      }
+
+      chunks.push(rest.substring(0, cut).trim());
+      rest = rest.substring(cut).trim();
+    }
+
+    if (rest) {
+      chunks.push(rest);
+    }
+
+    return chunks;
   }
 
   /**
    * Generate completion using configured LLM provider
    * @param {string} prompt - The prompt to send to the LLM
-   * @param {Object} options - Additional options (temperature, maxTokens, etc.)
+   * @param {Object} options - Additional options (temperature, maxTokens, systemPrompt,
+   *   json to request a JSON object through the provider's native JSON mode,
+   *   cache: false to skip the response cache,
+   *   feature and videoId to attribute the usage to, e.g. 'summary',
+   *   schema of the expected JSON, set by generateStructured for the offline provider,
+   *   trace, an object filled with { provider, model, cached } of the response)
    * @returns {Promise<string>} - Generated text
    */
   async generateCompletion(prompt, options = {}) {
+    await settingsService.get();
+
+    const params = this.getRequestParams(options);
+    const { systemPrompt, task } = params;
+
+    const useCache = options.cache !== false && llmCache.isEnabled();
+    const cacheKeys = useCache ? this.getCacheKeys(prompt, params) : [];
+
+    if (useCache) {
+      const cached = await llmCache.get(cacheKeys);
+      if (cached) {
+        await this.recordUsage(options, { provider: cached.provider, model: cached.model, cached: true });
+        Object.assign(options.trace || {}, { provider: cached.provider, model: cached.model, cached: true });
+        return cached.response;
+      }
+    }
+
+    // Checked per request, so a long job stops as soon as the budget runs out rather than only at its start
+    if (BUDGETED_FEATURES.includes(options.feature)) {
+      await usageService.assertWithinBudget();
+    }
+
+    let lastError;
+
+    for (const [index, provider] of this.providers.entries()) {
+      const usage = {};
+      const startedAt = Date.now();
+
+      const request = { ...params, prompt, model: this.getModelName(provider, task), feature: options.feature, schema: options.schema };
+
+      try {
+        const response = await this.callWithRetries(provider, timeout => this.callProvider(provider, request, timeout, usage));
+
+        await this.recordUsage(options, {
+          provider,
+          ...this.countTokens(usage, `${systemPrompt}\n\n${prompt}`, response),
+          latencyMs: Date.now() - startedAt
+        });
+
+        if (useCache && response) {
+          await llmCache.set(cacheKeys[index], { provider, model: request.model, prompt }, response);
+        }
+
+        Object.assign(options.trace || {}, { provider, model: request.model, cached: false });
+        return response;
+      } catch (error) {
+        lastError = error;
+        // Failed requests are usually not billed, so tokens are only counted when the provider reported them
+        await this.recordUsage(options, {
+          provider,
+          promptTokens: usage.promptTokens || 0,
+          completionTokens: usage.completionTokens || 0,
+          latencyMs: Date.now() - startedAt,
+          success: false,
+          error: error.message
+        });
+        if (provider !== this.providers[this.providers.length - 1]) {
+          console.error(`Error generating completion with ${provider}, trying next provider:`, error.message);
+        }
+      }
+    }
+
+    console.error('Error generating completion:', lastError.message);
+    throw lastError;
+  }
+
+  /**
+   * Send one request to a provider
+   * @param {string} provider - Provider name
+   * @param {Object} request - { prompt, systemPrompt, temperature, maxTokens, json, model, feature, schema }
+   * @param {number} timeout - Milliseconds
+   * @param {Object} usage - Filled with { promptTokens, completionTokens } when the provider reports them
+   * @returns {Promise<string>} - Generated text
+   */
+  callProvider(provider, request, timeout, usage = {}) {
+    switch (provider) {
+      case 'openai':
+        return this.generateOpenAI(request, timeout, usage);
+
+      case 'gemini':
+        return this.withTimeout(this.generateGemini(request, usage), timeout, provider);
+
+      case 'local':
+        return this.generateLocal(request, timeout, usage);
+
+      case 'compatible':
+        return this.generateCompatible(request, timeout, usage);
+
+      case 'mock':
+        return this.generateMock(request);
+
+      default:
+        throw new Error(`Unknown LLM provider: ${provider}`);
+    }
+  }
+
+  /**
+   * Check that a provider answers with a model, with a minimal request that bypasses cache and retries
+   * @param {string} provider - Provider name
+   * @param {string} model - Model name
+   * @returns {Promise<Object>} - { provider, model, ok, latencyMs, error }
+   */
+  async testProvider(provider, model) {
+    const startedAt = Date.now();
+    const request = {
+      ...this.getRequestParams({ temperature: 0, maxTokens: 5 }),
+      prompt: 'Reply with the single word OK.',
+      model
+    };
+
+    try {
+      if (!this.isConfigured(provider)) {
+        throw new Error(`${provider} is not configured (missing API key)`);
+      }
+
+      // Short timeout: a settings page shouldn't hang on a provider that is down
+      await this.callProvider(provider, request, Math.min(this.getTimeout(provider), 30000));
+
+      return { provider, model, ok: true, latencyMs: Date.now() - startedAt };
+    } catch (error) {
+      return { provider, model, ok: false, latencyMs: Date.now() - startedAt, error: error.message };
+    }
+  }
+
+  /**
+   * Test every provider and completion model that settings would use
+   * @param {Object} settings - See settings.service
+   * @returns {Promise<Array<Object>>} - testProvider() results
+   */
+  async testSettings(settings) {
+    const results = [];
+
+    for (const provider of settings.providers) {
+      const models = new Set([
+        settings.models[provider],
+        ...settingsService.tasks.map(task => settings.tasks[task]?.[provider])
+      ].filter(Boolean));
+
+      for (const model of models) {
+        results.push(await this.testProvider(provider, model));
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Stream a completion from the configured LLM provider
+   * @param {string} prompt - The prompt to send to the LLM
+   * @param {Object} options - generateCompletion options, plus signal (AbortSignal) to stop the stream
+   * @returns {AsyncGenerator<string>} - Text chunks as the model produces them
+   */
+  async *streamCompletion(prompt, options = {}) {
+    await settingsService.get();
+
+    const params = this.getRequestParams({ ...options, json: false });
+    const { systemPrompt, task } = params;
+    const { signal } = options;
+
+    // A cached answer is sent in one piece
+    const useCache = options.cache !== false && llmCache.isEnabled();
+    const cacheKeys = useCache ? this.getCacheKeys(prompt, params) : [];
+
+    if (useCache) {
+      const cached = await llmCache.get(cacheKeys);
+      if (cached) {
+        await this.recordUsage(options, { provider: cached.provider, model: cached.model, cached: true });
+        yield cached.response;
+        return;
+      }
+    }
+
+    const maxRetries = this.getMaxRetries();
+    const baseDelay = parseInt(process.env.LLM_RETRY_BASE_MS) || 1000;
+
+    for (const [index, provider] of this.providers.entries()) {
+      const isLast = index === this.providers.length - 1;
+
+      for (let attempt = 0; ; attempt++) {
+        let started = false;
+        let response = '';
+        const usage = {};
+        const startedAt = Date.now();
+        const request = { ...params, prompt, model: this.getModelName(provider, task), feature: options.feature, signal };
+        const release = await this.getLimiter(provider).acquire();
+
+        // Recorded once the stream ends, however it ends (including the caller stopping early)
+        const record = error => this.recordUsage(options, {
+          provider,
+          ...this.countTokens(usage, `${systemPrompt}\n\n${prompt}`, response),
+          latencyMs: Date.now() - startedAt,
+          success: !error,
+          error: error?.message
+        });
+
+        try {
+          let streamError;
+          try {
+            for await (const text of this.streamProvider(provider, request, usage)) {
+              started = true;
+              response += text;
+              yield text;
+            }
+          } catch (error) {
+            streamError = error;
+            throw error;
+          } finally {
+            await record(streamError);
+          }
+
+          if (useCache && response && !signal?.aborted) {
+            await llmCache.set(cacheKeys[index], { provider, model: request.model, prompt }, response);
+          }
+          return;
+        } catch (error) {
+          // Once text has been sent the answer can't be restarted elsewhere
+          if (started || signal?.aborted) {
+            throw error;
+          }
+
+          if (attempt < maxRetries && this.isTransient(error)) {
+            const delay = this.getRetryAfter(error) ?? baseDelay * 2 ** attempt;
+            console.warn(`${provider} stream failed (${error.message}), retrying in ${Math.round(delay)}ms`);
+            release();
+            await new Promise(resolve => setTimeout(resolve, delay));
+            continue;
+          }
+
+          if (isLast) {
+            throw error;
+          }
+          console.error(`Error streaming completion with ${provider}, trying next provider:`, error.message);
+          break;
+        } finally {
+          release();
+        }
+      }
+    }
+  }
+
+  /**
+   * Stream from one provider
+   */
+  streamProvider(provider, request, usage) {
+    const timeout = this.getTimeout(provider);
+
+    switch (provider) {
+      case 'openai':
+        return this.streamOpenAI(request, timeout, usage);
+
+      case 'gemini':
+        return this.streamGemini(request, timeout, usage);
+
+      case 'local':
+        return this.streamLocal(request, timeout, usage);
+
+      case 'compatible':
+        return this.streamCompatible(request, timeout, usage);
+
+      case 'mock':
+        return this.streamMock(request);
+
+      default:
+        throw new Error(`Unknown LLM provider: ${provider}`);
+    }
+  }
+
+  /**
+   * Token counts reported by the provider, or estimates from the text when it reported none
+   * @param {Object} usage - { promptTokens, completionTokens } filled in by the provider call
+   * @param {string} prompt - Full prompt sent
+   * @param {string} response - Text received
+   * @returns {Object} - { promptTokens, completionTokens, estimated }
+   */
+  countTokens(usage, prompt, response) {
+    if (usage.promptTokens !== undefined) {
+      return { promptTokens: usage.promptTokens, completionTokens: usage.completionTokens || 0, estimated: false };
+    }
+
+    return {
+      promptTokens: usageService.estimateTokens(prompt),
+      completionTokens: usageService.estimateTokens(response),
+      estimated: true
+    };
+  }
+
+  /**
+   * Record usage of one call, attributed to the caller's feature and video
+   * @param {Object} options - generateCompletion options ({ feature, videoId })
+   * @param {Object} entry - { provider, model, promptTokens, completionTokens, estimated, latencyMs, cached, success, error }
+   */
+  async recordUsage(options, entry) {
+    await usageService.record({
+      feature: options.feature,
+      videoId: options.videoId,
+      model: this.getModelName(entry.provider, this.getTask(options.feature)),
+      ...entry
+    });
+  }
+
+  /**
+   * Request parameters with defaults applied (also what the cache key is built from)
+   * @param {Object} options - generateCompletion options
+   * @returns {Object} - { temperature, maxTokens, systemPrompt, json, task }
+   */
+  getRequestParams(options = {}) {
     const {
-      temperature = 0.7,
-      maxTokens = 2000,
-      systemPrompt = 'You are a helpful assistant that analyzes YouTube video content.'
+      temperature = this.defaults.temperature,
+      maxTokens = this.defaults.maxTokens,
+      systemPrompt = 'You are a helpful assistant that analyzes YouTube video content.',
+      json = false
     } = options;
 
-    try {
-      switch (this.provider) {
-        case 'openai':
-          return await this.generateOpenAI(prompt, systemPrompt, temperature, maxTokens);
+    return { temperature, maxTokens, systemPrompt, json, task: this.getTask(options.feature) };
+  }
+
+  /**
+   * Generate JSON matching a schema, re-prompting with the validation errors when the output is unusable
+   * @param {string} prompt - The prompt (should describe the expected JSON)
+   * @param {Object} schema - Expected shape (see structured-output.service)
+   * @param {Object} options - generateCompletion options, plus repairAttempts (default LLM_JSON_REPAIR_ATTEMPTS or 1)
+   * @returns {Promise<*>} - Parsed and validated value
+   */
+  async generateStructured(prompt, schema, options = {}) {
+    const { repairAttempts = parseInt(process.env.LLM_JSON_REPAIR_ATTEMPTS) || 1, ...completionOptions } = options;
 
-        case 'gemini':
-          return await this.generateGemini(prompt, systemPrompt, temperature, maxTokens);
+    // Native JSON modes only produce objects, so arrays rely on extraction and repair
+    const json = schema.type === 'object';
 
-        case 'local':
-          return await this.generateLocal(prompt, systemPrompt, temperature, maxTokens);
+    let currentPrompt = prompt;
+    let errors = [];
 
-        default:
-          throw new Error(`Unknown LLM provider: ${this.provider}`);
+    for (let attempt = 0; attempt <= repairAttempts; attempt++) {
+      const response = await this.generateCompletion(currentPrompt, { ...completionOptions, json, schema });
+      const parsed = structuredOutput.parse(response, schema);
+
+      if (parsed.errors.length === 0) {
+        return parsed.value;
       }
-    } catch (error) {
-      console.error('Error generating completion:', error.message);
-      throw error;
+
+      // Don't serve the unusable answer from the cache next time
+      if (completionOptions.cache !== false && llmCache.isEnabled()) {
+        await llmCache.invalidate(this.getCacheKeys(currentPrompt, this.getRequestParams({ ...completionOptions, json })));
+      }
+
+      errors = parsed.errors;
+      currentPrompt = `${prompt}
+
+Your previous response could not be used:
+${errors.slice(0, 10).map(e => `- ${e}`).join('\n')}
+
+Previous response:
+${String(response).substring(0, 2000)}
+
+Respond again with only the corrected JSON.`;
     }
+
+    const error = new Error(`Invalid JSON response: ${errors.slice(0, 3).join('; ')}`);
+    error.validationErrors = errors;
+    throw error;
   }
 
   /**
    * Generate completion using OpenAI
    */
-  async generateOpenAI(prompt, systemPrompt, temperature, maxTokens) {
+  async generateOpenAI(request, timeout, usage = {}) {
+    if (!this.openai) {
+      throw new Error('OpenAI client not initialized. Check OPENAI_API_KEY.');
+    }
+
+    return this.generateChatCompletion(this.openai, request, timeout, usage, { type: 'json_object' });
+  }
+
+  /**
+   * Stream a completion from OpenAI
+   */
+  async *streamOpenAI(request, timeout, usage = {}) {
     if (!this.openai) {
       throw new Error('OpenAI client not initialized. Check OPENAI_API_KEY.');
     }
 
-    const response = await this.openai.chat.completions.create({
-      model: 'gpt-3.5-turbo',
+    yield* this.streamChatCompletion(this.openai, request, timeout, usage);
+  }
+
+  /**
+   * Generate completion using an OpenAI-compatible server
+   */
+  async generateCompatible(request, timeout, usage = {}) {
+    if (!this.compatible) {
+      throw new Error('OpenAI-compatible provider not configured. Check COMPATIBLE_LLM_URL.');
+    }
+
+    return this.generateChatCompletion(this.compatible, request, timeout, usage, this.getCompatibleResponseFormat(request));
+  }
+
+  /**
+   * Stream a completion from an OpenAI-compatible server
+   */
+  async *streamCompatible(request, timeout, usage = {}) {
+    if (!this.compatible) {
+      throw new Error('OpenAI-compatible provider not configured. Check COMPATIBLE_LLM_URL.');
+    }
+
+    yield* this.streamChatCompletion(this.compatible, request, timeout, usage);
+  }
+
+  /**
+   * JSON mode for an OpenAI-compatible server (COMPATIBLE_LLM_JSON_MODE)
+   *
+   * Servers differ: llama.cpp and vLLM accept json_object, LM Studio only json_schema.
+   * @param {Object} request - Provider request
+   * @returns {Object|null} - response_format value
+   */
+  getCompatibleResponseFormat(request) {
+    const mode = process.env.COMPATIBLE_LLM_JSON_MODE || 'json_object';
+
+    if (mode === 'json_schema' && request.schema) {
+      return { type: 'json_schema', json_schema: { name: 'response', schema: request.schema } };
+    }
+
+    return mode === 'json_object' ? { type: 'json_object' } : null;
+  }
+
+  /**
+   * One request to an OpenAI chat completions endpoint
+   * @param {OpenAI} client - OpenAI SDK client
+   * @param {Object} request - Provider request
+   * @param {number} timeout - Milliseconds
+   * @param {Object} usage - Filled with the reported token counts
+   * @param {Object|null} responseFormat - response_format sent for JSON requests
+   * @returns {Promise<string>} - Generated text
+   */
+  async generateChatCompletion(client, request, timeout, usage, responseFormat) {
+    const { prompt, systemPrompt, temperature, maxTokens, json, model } = request;
+
+    const response = await client.chat.completions.create({
+      model,
       messages: [
         { role: 'system', content: systemPrompt },
         { role: 'user', content: prompt }
       ],
       temperature,
-      max_tokens: maxTokens
-    });
+      max_tokens: maxTokens,
+      ...(json && responseFormat && { response_format: responseFormat })
+    }, { timeout });
+
+    if (response.usage) {
+      usage.promptTokens = response.usage.prompt_tokens;
+      usage.completionTokens = response.usage.completion_tokens;
+    }
 
     return response.choices[0].message.content;
   }
 
+  /**
+   * Stream from an OpenAI chat completions endpoint
+   * @param {OpenAI} client - OpenAI SDK client
+   * @param {Object} request - Provider request
+   * @param {number} timeout - Milliseconds
+   * @param {Object} usage - Filled with the reported token counts
+   * @returns {AsyncGenerator<string>} - Text chunks
+   */
+  async *streamChatCompletion(client, request, timeout, usage) {
+    const { prompt, systemPrompt, temperature, maxTokens, model, signal } = request;
+
+    const stream = await client.chat.completions.create({
+      model,
+      messages: [
+        { role: 'system', content: systemPrompt },
+        { role: 'user', content: prompt }
+      ],
+      temperature,
+      max_tokens: maxTokens,
+      stream: true,
+      stream_options: { include_usage: true }
+    }, { signal, timeout });
+
+    for await (const chunk of stream) {
+      // The last chunk carries the token counts and no choices
+      if (chunk.usage) {
+        usage.promptTokens = chunk.usage.prompt_tokens;
+        usage.completionTokens = chunk.usage.completion_tokens;
+      }
+
+      const text = chunk.choices[0]?.delta?.content;
+      if (text) {
+        yield text;
+      }
+    }
+  }
+
   /**
    * Generate completion using Google Gemini
    */
-  async generateGemini(prompt, systemPrompt, temperature, maxTokens) {
+  async generateGemini(request, usage = {}) {
+    const { prompt, systemPrompt, json } = request;
+
     if (!this.gemini) {
       throw new Error('Gemini client not initialized. Check GEMINI_API_KEY.');
     }
 
-    const model = this.gemini.getGenerativeModel({ model: 'gemini-pro' });
+    // JSON mode is not available on the 1.0 models
+    const jsonMode = json && !/^gemini-(pro$|1\.0)/.test(request.model);
+
+    const model = this.gemini.getGenerativeModel({
+      model: request.model,
+      ...(jsonMode && { generationConfig: { responseMimeType: 'application/json' } })
+    });
     const fullPrompt = `${systemPrompt}\n\n${prompt}`;
 
     const result = await model.generateContent(fullPrompt);
     const response = await result.response;
+
+    if (response.usageMetadata) {
+      usage.promptTokens = response.usageMetadata.promptTokenCount;
+      usage.completionTokens = response.usageMetadata.candidatesTokenCount;
+    }
+
     return response.text();
   }
 
   /**
-   * Generate completion using local LLM (Ollama)
+   * Stream a completion from Google Gemini
+   */
+  async *streamGemini(request, timeout, usage = {}) {
+    const { prompt, systemPrompt, signal } = request;
+
+    if (!this.gemini) {
+      throw new Error('Gemini client not initialized. Check GEMINI_API_KEY.');
+    }
+
+    const model = this.gemini.getGenerativeModel({ model: request.model });
+    const result = await this.withTimeout(model.generateContentStream(`${systemPrompt}\n\n${prompt}`), timeout, 'gemini');
+
+    // The SDK takes no abort signal; stop reading once the caller has given up
+    for await (const chunk of result.stream) {
+      if (signal?.aborted) {
+        return;
+      }
+
+      // Each chunk reports the running totals
+      if (chunk.usageMetadata) {
+        usage.promptTokens = chunk.usageMetadata.promptTokenCount;
+        usage.completionTokens = chunk.usageMetadata.candidatesTokenCount;
+      }
+
+      const text = chunk.text();
+      if (text) {
+        yield text;
+      }
+    }
+  }
+
+  /**
+   * Generate completion using local LLM (Ollama chat API)
+   */
+  async generateLocal(request, timeout, usage = {}) {
+    const response = await axios.post(`${this.localLLMUrl}/api/chat`, this.buildOllamaRequest(request, false), { timeout });
+
+    if (response.data.eval_count !== undefined) {
+      usage.promptTokens = response.data.prompt_eval_count || 0;
+      usage.completionTokens = response.data.eval_count;
+    }
+
+    return response.data.message.content;
+  }
+
+  /**
+   * Stream a completion from the local LLM (Ollama sends one JSON object per line)
    */
-  async generateLocal(prompt, systemPrompt, temperature, maxTokens) {
-    const response = await axios.post(`${this.localLLMUrl}/api/generate`, {
-      model: this.localLLMModel,
-      prompt: `${systemPrompt}\n\n${prompt}`,
-      stream: false,
+  async *streamLocal(request, timeout, usage = {}) {
+    const response = await axios.post(`${this.localLLMUrl}/api/chat`, this.buildOllamaRequest(request, true), {
+      responseType: 'stream',
+      signal: request.signal,
+      timeout
+    });
+
+    let buffer = '';
+
+    for await (const data of response.data) {
+      buffer += data.toString('utf8');
+
+      let newline;
+      while ((newline = buffer.indexOf('\n')) !== -1) {
+        const line = buffer.substring(0, newline).trim();
+        buffer = buffer.substring(newline + 1);
+
+        if (!line) {
+          continue;
+        }
+
+        const event = JSON.parse(line);
+        if (event.error) {
+          throw new Error(event.error);
+        }
+        if (event.message?.content) {
+          yield event.message.content;
+        }
+        if (event.done) {
+          if (event.eval_count !== undefined) {
+            usage.promptTokens = event.prompt_eval_count || 0;
+            usage.completionTokens = event.eval_count;
+          }
+          return;
+        }
+      }
+    }
+  }
+
+  /**
+   * Ollama /api/chat request body
+   * @param {Object} request - Provider request
+   * @param {boolean} stream - Whether to stream the response
+   * @returns {Object}
+   */
+  buildOllamaRequest(request, stream) {
+    const { prompt, systemPrompt, temperature, maxTokens, json, model } = request;
+
+    return {
+      model,
+      messages: [
+        { role: 'system', content: systemPrompt },
+        { role: 'user', content: prompt }
+      ],
+      stream,
+      ...(json && { format: 'json' }),
       options: {
         temperature,
-        num_predict: maxTokens
+        num_predict: maxTokens,
+        num_ctx: this.getContextTokens()
       }
-    });
+    };
+  }
+
+  /**
+   * Generate completion with the built-in offline provider (see mock-llm.service)
+   */
+  async generateMock(request) {
+    return mockLLM.generate(request);
+  }
 
-    return response.data.response;
+  /**
+   * Stream an offline completion word by word
+   */
+  async *streamMock(request) {
+    const response = mockLLM.generate(request);
+
+    for (const word of response.match(/\S+\s*/g) || []) {
+      if (request.signal?.aborted) {
+        return;
+      }
+      yield word;
+    }
   }
 
   /**
    * Generate video summary with multiple levels
+   *
+   * Transcripts longer than one prompt are summarized hierarchically: each chunk is summarized,
+   * partial summaries are merged until they fit, and the result is turned into the final structure.
    * @param {string} transcript - Video transcript
    * @param {string} title - Video title
-   * @returns {Promise<Object>} - Summary object with quick, detailed, and key points
+   * @param {Object} options - { language } to write the summary in (e.g. "German"); defaults to the transcript's language,
+   *   { videoId } the usage is recorded against
+   * @returns {Promise<Object>} - Summary object with quick, detailed, and key points, the
+   *   fraction of the transcript it is based on (coverage, 0-1), the prompt versions used (promptVersions)
+   *   and the provider and model that wrote it. Rejects when every provider failed, so callers never
+   *   store a placeholder in place of a summary.
    */
-  async generateSummary(transcript, title) {
-    try {
-      const prompt = `
-Analyze the following YouTube video transcript and provide:
+  async generateSummary(transcript, title, options = {}) {
+    const languageInstruction = options.language
+      ? `Write the summary in ${options.language}.`
+      : 'Write the summary in the same language as the transcript.';
+    const attribution = { feature: 'summary', videoId: options.videoId };
+    // Version of every prompt the summary was built with, by prompt key
+    const promptVersions = {};
+    // Provider and model of the final answer
+    const trace = {};
 
-1. A quick summary (50 words max)
-2. A detailed summary (300-500 words)
-3. Key points (5-7 bullet points)
+    const { material, coverage } = await this.buildSummaryMaterial(transcript, title, attribution, promptVersions);
 
-Video Title: ${title}
+    const rendered = await promptService.render('summary', { title, material, languageInstruction });
+    promptVersions.summary = rendered.version;
 
-Transcript:
-${transcript.substring(0, 10000)} ${transcript.length > 10000 ? '...(truncated)' : ''}
+    const summary = await this.generateStructured(rendered.prompt, SUMMARY_SCHEMA, {
+      temperature: 0.5,
+      maxTokens: 1500,
+      systemPrompt: rendered.systemPrompt,
+      trace,
+      ...attribution
+    });
 
-Respond in JSON format:
-{
-  "quickSummary": "...",
-  "detailedSummary": "...",
-  "keyPoints": ["...", "..."]
-}
-`;
+    return { ...summary, coverage, promptVersions, provider: trace.provider, model: trace.model };
+  }
 
-      const response = await this.generateCompletion(prompt, {
-        temperature: 0.5,
-        maxTokens: 1500,
-        systemPrompt: 'You are an expert at summarizing educational video content. Always respond with valid JSON.'
+  /**
+   * What a summary is written from: the transcript, or for long ones the merged part summaries
+   * @param {string} transcript - Video transcript
+   * @param {string} title - Video title
+   * @param {Object} attribution - { feature, videoId } for usage accounting
+   * @param {Object} promptVersions - Collects the prompt versions used
+   * @returns {Promise<Object>} - { material, coverage }
+   */
+  async buildSummaryMaterial(transcript, title, attribution = {}, promptVersions = {}) {
+    const chunkSize = this.getChunkSize(1500);
+
+    if (transcript.length <= chunkSize) {
+      return { material: `Transcript:\n${transcript}`, coverage: transcript.trim() ? 1 : 0 };
+    }
+
+    const mapped = await this.summarizeChunks(transcript, title, chunkSize, attribution, promptVersions);
+    const sections = await this.reduceSummaries(mapped.sections, title, chunkSize, attribution, promptVersions);
+
+    return {
+      material: `Summaries of consecutive parts of the transcript, in order:\n\n${sections.join('\n\n')}`,
+      coverage: mapped.coverage
+    };
+  }
+
+  /**
+   * Generate a study format of a video (outline, Cornell notes, ELI5, mind map, key definitions)
+   * @param {string} format - One of summaryFormats
+   * @param {string} transcript - Video transcript
+   * @param {string} title - Video title
+   * @param {Object} options - { language } as for generateSummary, { videoId } the usage is recorded against
+   * @returns {Promise<Object>} - { content, coverage, promptVersions, provider, model }
+   */
+  async generateSummaryFormat(format, transcript, title, options = {}) {
+    const definition = SUMMARY_FORMATS[format];
+
+    if (!definition) {
+      const error = new Error(`Unknown summary format: ${format} (use ${this.summaryFormats.join(', ')})`);
+      error.status = 400;
+      throw error;
+    }
+
+    const attribution = { feature: 'formats', videoId: options.videoId };
+    const promptVersions = {};
+    const trace = {};
+
+    const { material, coverage } = await this.buildSummaryMaterial(transcript, title, attribution, promptVersions);
+    const rendered = await promptService.render(definition.prompt, {
+      title,
+      material,
+      languageInstruction: options.language
+        ? `Write in ${options.language}.`
+        : 'Write in the same language as the transcript.'
+    });
+    promptVersions[definition.prompt] = rendered.version;
+
+    const content = await this.generateStructured(rendered.prompt, definition.schema, {
+      temperature: 0.4,
+      maxTokens: definition.maxTokens,
+      systemPrompt: rendered.systemPrompt,
+      trace,
+      ...attribution
+    });
+
+    return { content, coverage, promptVersions, provider: trace.provider, model: trace.model };
+  }
+
+  /**
+   * Map step: summarize each chunk of a long transcript
+   * @param {string} transcript - Full transcript
+   * @param {string} title - Video title
+   * @param {number} chunkSize - Characters per chunk
+   * @param {Object} attribution - { feature, videoId } for usage accounting
+   * @param {Object} promptVersions - Collects the prompt version used
+   * @returns {Promise<Object>} - { sections, coverage } where coverage is the summarized share of the transcript
+   */
+  async summarizeChunks(transcript, title, chunkSize, attribution = {}, promptVersions = {}) {
+    const chunks = this.splitText(transcript, chunkSize);
+    const sections = [];
+    let coveredChars = 0;
+
+    for (let i = 0; i < chunks.length; i++) {
+      const { prompt, systemPrompt, version } = await promptService.render('summary-chunk', {
+        title,
+        part: i + 1,
+        parts: chunks.length,
+        transcript: chunks[i]
       });
+      promptVersions['summary-chunk'] = version;
 
-      // Parse JSON response
       try {
-        const summary = JSON.parse(response);
-        return summary;
-      } catch (parseError) {
-        // Fallback if JSON parsing fails
-        return {
-          quickSummary: response.substring(0, 200),
-          detailedSummary: response,
-          keyPoints: ['Summary generated but format parsing failed']
-        };
+        const summary = await this.generateCompletion(prompt, {
+          temperature: 0.3,
+          maxTokens: 600,
+          systemPrompt,
+          ...attribution
+        });
+
+        sections.push(`[Part ${i + 1}/${chunks.length}] ${summary.trim()}`);
+        coveredChars += chunks[i].length;
+      } catch (error) {
+        if (usageService.isBudgetError(error)) {
+          throw error;
+        }
+        // Skipped parts lower the coverage instead of failing the whole summary
+        console.error(`Error summarizing transcript part ${i + 1}/${chunks.length}:`, error.message);
       }
-    } catch (error) {
-      console.error('Error generating summary:', error.message);
-      return {
-        quickSummary: 'Summary generation failed',
-        detailedSummary: `Error: ${error.message}`,
-        keyPoints: ['Unable to generate summary at this time']
-      };
     }
+
+    if (sections.length === 0) {
+      throw new Error('No part of the transcript could be summarized');
+    }
+
+    return {
+      sections,
+      coverage: Math.min(1, coveredChars / transcript.trim().length)
+    };
+  }
+
+  /**
+   * Reduce step: merge neighbouring partial summaries until they fit into one prompt
+   * @param {Array<string>} sections - Partial summaries in order
+   * @param {string} title - Video title
+   * @param {number} chunkSize - Characters per prompt
+   * @param {Object} attribution - { feature, videoId } for usage accounting
+   * @param {Object} promptVersions - Collects the prompt version used
+   * @returns {Promise<Array<string>>} - Partial summaries that fit together into chunkSize
+   */
+  async reduceSummaries(sections, title, chunkSize, attribution = {}, promptVersions = {}) {
+    let current = sections;
+
+    while (current.length > 1 && current.join('\n\n').length > chunkSize) {
+      // Consecutive groups that fit into one prompt, at least two sections each so every round shrinks
+      const groups = [];
+      for (const section of current) {
+        const group = groups[groups.length - 1];
+        if (group && (group.length < 2 || [...group, section].join('\n\n').length <= chunkSize)) {
+          group.push(section);
+        } else {
+          groups.push([section]);
+        }
+      }
+
+      const merged = [];
+      for (const group of groups) {
+        if (group.length === 1) {
+          merged.push(group[0]);
+          continue;
+        }
+
+        const { prompt, systemPrompt, version } = await promptService.render('summary-merge', {
+          title,
+          summaries: group.join('\n\n')
+        });
+        promptVersions['summary-merge'] = version;
+
+        const summary = await this.generateCompletion(prompt, {
+          temperature: 0.3,
+          maxTokens: 800,
+          systemPrompt,
+          ...attribution
+        });
+
+        merged.push(summary.trim());
+      }
+
+      current = merged;
+    }
+
+    return current;
   }
 
   /**
    * Answer questions about video content
    * @param {string} question - User question
    * @param {string} context - Video transcript or relevant context
+   * @param {Object} options - { videoId } the usage is recorded against, when the question is about one video
    * @returns {Promise<string>} - Answer
    */
-  async answerQuestion(question, context) {
-    const prompt = `
-Based on the following video content, answer this question:
-
-Question: ${question}
+  async answerQuestion(question, context, options = {}) {
+    const { prompt, systemPrompt } = await this.buildAnswerPrompt(question, context);
 
-Context:
-${context.substring(0, 8000)}
+    return await this.generateCompletion(prompt, {
+      temperature: 0.3,
+      maxTokens: 500,
+      systemPrompt,
+      feature: 'chat',
+      videoId: options.videoId
+    });
+  }
 
-Provide a clear and concise answer based only on the information in the context.
-`;
+  /**
+   * Stream an answer to a question about video content
+   * @param {string} question - User question
+   * @param {string} context - Video transcript or relevant context
+   * @param {Object} options - { signal } to stop generating, { videoId } as for answerQuestion
+   * @returns {AsyncGenerator<string>} - Answer text chunks
+   */
+  async *streamAnswer(question, context, options = {}) {
+    const { prompt, systemPrompt } = await this.buildAnswerPrompt(question, context);
 
-    return await this.generateCompletion(prompt, {
+    yield* this.streamCompletion(prompt, {
       temperature: 0.3,
       maxTokens: 500,
-      systemPrompt: 'You are a helpful assistant that answers questions based on video content.'
+      systemPrompt,
+      signal: options.signal,
+      feature: 'chat',
+      videoId: options.videoId
+    });
+  }
+
+  /**
+   * Render the answer prompt, with the context cut to what fits into one request
+   * @param {string} question - User question
+   * @param {string} context - Video transcript or relevant context
+   * @returns {Promise<Object>} - { prompt, systemPrompt, version }
+   */
+  async buildAnswerPrompt(question, context) {
+    return await promptService.render('answer', {
+      question,
+      context: context.substring(0, this.getChunkSize(500))
     });
   }
 
   /**
    * Extract topics from transcript
    * @param {string} transcript - Video transcript
+   * @param {Object} options - { videoId } the usage is recorded against
    * @returns {Promise<Array>} - Array of topics
    */
-  async extractTopics(transcript) {
-    const prompt = `
-Analyze this video transcript and extract 5-10 main topics or themes.
-Return only a JSON array of topics, for example: ["topic1", "topic2", ...]
-
-Transcript:
-${transcript.substring(0, 8000)}
-`;
+  async extractTopics(transcript, options = {}) {
+    const { prompt, systemPrompt } = await promptService.render('topics', {
+      transcript: transcript.substring(0, 8000)
+    });
 
     try {
-      const response = await this.generateCompletion(prompt, {
+      return await this.generateStructured(prompt, TOPICS_SCHEMA, {
         temperature: 0.5,
         maxTokens: 300,
-        systemPrompt: 'You extract topics from text. Always respond with a valid JSON array.'
+        systemPrompt,
+        feature: 'topics',
+        videoId: options.videoId
       });
-
-      const topics = JSON.parse(response);
-      return Array.isArray(topics) ? topics : [];
     } catch (error) {
       console.error('Error extracting topics:', error.message);
       return [];
@@ -0,0 +1,179 @@
+const { PrismaClient } = require('@prisma/client');
+const sourceProviderService = require('./source-provider.service');
+
+const prisma = new PrismaClient();
+
+const REFRESHABLE_FIELDS = ['title', 'author', 'duration', 'uploadDate', 'thumbnail', 'description', 'viewCount', 'likes'];
+
+class MetadataRefreshService {
+  constructor() {
+    this.refreshTimer = null;
+    this.running = false;
+  }
+
+  /**
+   * Re-fetch metadata for one video and store what changed
+   * @param {string} id - Video record ID
+   * @returns {Promise<Object>} - { videoId, status: 'updated' | 'unchanged' | 'failed', changes }
+   */
+  async refreshVideo(id) {
+    const video = await prisma.video.findUnique({
+      where: { id }
+    });
+
+    if (!video) {
+      const error = new Error('Video not found');
+      error.status = 404;
+      throw error;
+    }
+
+    const { provider, sourceId } = sourceProviderService.getVideoSource(video);
+
+    let metadata;
+    try {
+      metadata = await provider.getMetadata(sourceId);
+    } catch (error) {
+      metadata = { error: error.message };
+    }
+
+    // A fallback result carries placeholder values; never overwrite real data with them
+    if (metadata.error) {
+      await prisma.video.update({
+        where: { id },
+        data: { metadataError: metadata.error }
+      });
+
+      return {
+        videoId: id,
+        title: video.title,
+        status: 'failed',
+        reason: metadata.error,
+        changes: {}
+      };
+    }
+
+    const changes = {};
+    for (const field of REFRESHABLE_FIELDS) {
+      const next = metadata[field] === '' ? null : metadata[field] ?? null;
+      const current = video[field] ?? null;
+
+      const same = next instanceof Date || current instanceof Date
+        ? new Date(next || 0).getTime() === new Date(current || 0).getTime()
+        : next === current;
+
+      if (!same) {
+        changes[field] = { from: current, to: next };
+      }
+    }
+
+    await prisma.video.update({
+      where: { id },
+      data: {
+        ...Object.fromEntries(Object.entries(changes).map(([field, change]) => [field, change.to])),
+        metadataFallback: false,
+        metadataError: null,
+        metadataUpdatedAt: new Date()
+      }
+    });
+
+    return {
+      videoId: id,
+      title: changes.title ? changes.title.to : video.title,
+      status: Object.keys(changes).length > 0 ? 'updated' : 'unchanged',
+      changes
+    };
+  }
+
+  /**
+   * Refresh videos with fallback metadata or metadata older than staleDays
+   * @param {Object} options - { videoIds, staleDays, onlyFallback, limit, onProgress(done, total) }
+   * @returns {Promise<Object>} - Per-video report
+   */
+  async refreshStale(options = {}) {
+    const {
+      videoIds,
+      staleDays = parseInt(process.env.METADATA_STALE_DAYS || '30'),
+      onlyFallback = false,
+      limit = 50,
+      onProgress
+    } = options;
+
+    let where;
+    if (Array.isArray(videoIds) && videoIds.length > 0) {
+      where = { id: { in: videoIds } };
+    } else if (onlyFallback) {
+      where = { metadataFallback: true };
+    } else {
+      const cutoff = new Date(Date.now() - staleDays * 24 * 60 * 60 * 1000);
+      where = {
+        OR: [
+          { metadataFallback: true },
+          { metadataUpdatedAt: null },
+          { metadataUpdatedAt: { lt: cutoff } }
+        ]
+      };
+    }
+
+    const videos = await prisma.video.findMany({
+      where,
+      select: { id: true },
+      orderBy: { metadataUpdatedAt: 'asc' },
+      take: parseInt(limit)
+    });
+
+    const items = [];
+
+    for (const video of videos) {
+      try {
+        items.push(await this.refreshVideo(video.id));
+      } catch (error) {
+        console.error(`Error refreshing metadata for ${video.id}:`, error.message);
+        items.push({ videoId: video.id, status: 'failed', reason: error.message, changes: {} });
+      }
+
+      if (onProgress) {
+        await onProgress(items.length, videos.length);
+      }
+    }
+
+    return {
+      total: items.length,
+      updated: items.filter(i => i.status === 'updated').length,
+      unchanged: items.filter(i => i.status === 'unchanged').length,
+      failed: items.filter(i => i.status === 'failed').length,
+      items
+    };
+  }
+
+  /**
+   * Start the periodic refresh (METADATA_REFRESH_HOURS, 0 or unset disables it)
+   */
+  startSchedule() {
+    const hours = parseFloat(process.env.METADATA_REFRESH_HOURS || '0');
+
+    if (!hours || hours <= 0 || this.refreshTimer) {
+      return;
+    }
+
+    this.refreshTimer = setInterval(async () => {
+      if (this.running) {
+        return;
+      }
+
+      this.running = true;
+      try {
+        const report = await this.refreshStale();
+        console.log(`Metadata refresh: ${report.updated} updated, ${report.failed} failed`);
+      } catch (error) {
+        console.error('Error running metadata refresh:', error.message);
+      } finally {
+        this.running = false;
+      }
+    }, hours * 60 * 60 * 1000);
+
+    // Don't keep the process alive just for the refresh job
+    this.refreshTimer.unref();
+  }
+}
+
+module.exports = new MetadataRefreshService();
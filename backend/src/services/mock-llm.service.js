@@ -0,0 +1,512 @@
+const fs = require('fs');
+const structuredOutput = require('./structured-output.service');
+
+// Words left out of keywords and sentence scores
+const STOPWORDS = new Set(`
+a about above after again against all also am an and any are as at be because been before being below between
+both but by can could did do does doing down during each few for from further had has have having he her here
+hers him his how i if in into is it its itself just let like me more most my no nor not now of off on once only
+or other our ours out over own really right same she should so some such than that the their theirs them then
+there these they thing things this those through to too under until up very was we well were what when where
+which while who whom why will with would yeah you your yours okay going know think want actually basically
+gonna kind lot mean pretty something sort stuff today later many talk discuss
+`.trim().split(/\s+/));
+
+// Lines that follow the source text in the app's prompts
+const END_MARKERS = [
+  '\nWrite the summary',
+  '\nRespond in JSON',
+  '\nRespond with a JSON',
+  '\nRespond again',
+  '\nIf there\'s a key point',
+  '\nProvide a clear',
+  '\nYour previous response',
+  '\nReturn only',
+  '\nExisting Categories:'
+];
+
+/**
+ * Offline LLM provider: deterministic answers built from the prompt itself, so the whole pipeline
+ * runs without network access or API keys.
+ *
+ * Answers come from scripted fixtures (LLM_MOCK_FIXTURES) when one matches, otherwise from extractive
+ * heuristics per feature (summary, topics, categorize, highlights, chapters, translation, chat).
+ * Structured requests always get JSON matching their schema.
+ *
+ * Fixture file: a JSON array of rules, first match wins:
+ *   [{ "feature": "summary", "match": "photosynthesis", "response": { ... } },
+ *    { "pattern": "^Reply", "response": "OK" },
+ *    { "feature": "chat", "error": "Rate limit exceeded", "status": 429 }]
+ * `match` is a case-insensitive substring and `pattern` a regular expression, both tested against the
+ * prompt; `response` is returned as is (strings) or as JSON (anything else); `error` makes the call fail.
+ */
+class MockLLMService {
+  constructor() {
+    this.fixtures = null;
+  }
+
+  /**
+   * Answer a request
+   * @param {Object} request - { prompt, systemPrompt, feature, schema }
+   * @returns {string} - Response text
+   */
+  generate(request) {
+    const fixture = this.findFixture(request);
+
+    if (fixture) {
+      if (fixture.error) {
+        const error = new Error(fixture.error);
+        error.status = fixture.status;
+        throw error;
+      }
+
+      return typeof fixture.response === 'string' ? fixture.response : JSON.stringify(fixture.response);
+    }
+
+    const answer = this.answer(request);
+    return typeof answer === 'string' ? answer : JSON.stringify(answer);
+  }
+
+  /**
+   * Fixture rules from LLM_MOCK_FIXTURES, re-read when the file changes
+   * @returns {Array<Object>}
+   */
+  loadFixtures() {
+    const file = process.env.LLM_MOCK_FIXTURES;
+
+    if (!file) {
+      return [];
+    }
+
+    const mtime = fs.statSync(file).mtimeMs;
+
+    if (!this.fixtures || this.fixtures.file !== file || this.fixtures.mtime !== mtime) {
+      const rules = JSON.parse(fs.readFileSync(file, 'utf8'));
+
+      if (!Array.isArray(rules)) {
+        throw new Error(`${file} must contain a JSON array of fixture rules`);
+      }
+
+      this.fixtures = { file, mtime, rules };
+    }
+
+    return this.fixtures.rules;
+  }
+
+  findFixture(request) {
+    const prompt = request.prompt || '';
+
+    return this.loadFixtures().find(rule => {
+      if (rule.feature && rule.feature !== request.feature) {
+        return false;
+      }
+      if (rule.match && !prompt.toLowerCase().includes(String(rule.match).toLowerCase())) {
+        return false;
+      }
+      if (rule.pattern && !new RegExp(rule.pattern, 'i').test(prompt)) {
+        return false;
+      }
+      return true;
+    });
+  }
+
+  /**
+   * Heuristic answer for the request's feature
+   * @returns {string|Object|Array}
+   */
+  answer(request) {
+    const { prompt = '', feature, schema } = request;
+
+    switch (feature) {
+      case 'summary':
+        return schema ? this.summarize(prompt) : this.condense(prompt, 5);
+
+      case 'formats':
+        return this.studyNotes(prompt, schema);
+
+      case 'topics':
+        return this.keywords(this.section(prompt, ['Transcript:']), 7).map(word => this.capitalize(word));
+
+      case 'categorize':
+        return this.categorize(prompt);
+
+      case 'highlights':
+        return this.highlight(prompt);
+
+      case 'chapters':
+        return schema ? this.segment(prompt) : this.condense(prompt, 2);
+
+      case 'translation':
+        // No translation offline: the input comes back unchanged, in the expected shape
+        return this.echoJson(prompt, schema);
+
+      case 'chat':
+        return this.answerQuestion(prompt);
+
+      default:
+        if (/reply with the single word ok/i.test(prompt)) {
+          return 'OK';
+        }
+        return schema ? this.fromSchema(schema, this.sentences(prompt)) : this.condense(prompt, 3);
+    }
+  }
+
+  /**
+   * Study format (outline, Cornell notes, ...) filled with the highest-scoring transcript sentences
+   */
+  studyNotes(prompt, schema) {
+    const text = this.stripPartLabels(this.section(prompt, ['Transcript:', 'Summaries of consecutive parts of the transcript, in order:']));
+    const sentences = this.sentences(text);
+
+    return this.fromSchema(schema, this.topSentences(sentences, sentences.length, this.frequencies(text)));
+  }
+
+  /**
+   * Source text of a prompt: what follows the first label found, up to the instructions after it
+   * @param {string} prompt - Prompt
+   * @param {Array<string>} labels - Labels that introduce the text, in order of preference
+   * @returns {string}
+   */
+  section(prompt, labels) {
+    let text = prompt;
+
+    for (const label of labels) {
+      const index = prompt.indexOf(label);
+      if (index !== -1) {
+        text = prompt.substring(index + label.length);
+        break;
+      }
+    }
+
+    for (const marker of END_MARKERS) {
+      const index = text.indexOf(marker);
+      if (index !== -1) {
+        text = text.substring(0, index);
+      }
+    }
+
+    return text.trim();
+  }
+
+  /**
+   * Value of a "Label: value" line
+   */
+  field(prompt, label) {
+    const match = prompt.match(new RegExp(`^${label}:[ \\t]*(.*)$`, 'm'));
+    return match ? match[1].trim() : '';
+  }
+
+  /**
+   * Split text into distinct sentences; unpunctuated transcript text is cut into ~25 word pieces
+   * @param {string} text - Text
+   * @returns {Array<string>}
+   */
+  sentences(text) {
+    const result = [];
+
+    for (const part of text.replace(/\s+/g, ' ').split(/(?<=[.!?])\s+/)) {
+      const words = part.trim().split(' ').filter(Boolean);
+
+      if (words.length <= 40) {
+        result.push(words.join(' '));
+        continue;
+      }
+
+      for (let i = 0; i < words.length; i += 25) {
+        result.push(words.slice(i, i + 25).join(' '));
+      }
+    }
+
+    const seen = new Set();
+    return result.filter(sentence => {
+      const key = sentence.toLowerCase();
+      if (seen.has(key) || !/[\p{L}\p{N}]/u.test(sentence)) {
+        return false;
+      }
+      seen.add(key);
+      return true;
+    });
+  }
+
+  words(text) {
+    return (text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || []).filter(word => word.length > 3 && !STOPWORDS.has(word));
+  }
+
+  /**
+   * Word counts of a text
+   * @returns {Map<string, number>}
+   */
+  frequencies(text) {
+    const counts = new Map();
+    for (const word of this.words(text)) {
+      counts.set(word, (counts.get(word) || 0) + 1);
+    }
+    return counts;
+  }
+
+  /**
+   * Most frequent words, ties broken by first appearance
+   * @param {string} text - Text
+   * @param {number} count - Number of words
+   * @returns {Array<string>}
+   */
+  keywords(text, count) {
+    return [...this.frequencies(text).entries()]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, count)
+      .map(([word]) => word);
+  }
+
+  /**
+   * The highest scoring sentences (by frequency of their words in the whole text), in text order
+   * @param {Array<string>} sentences - Candidate sentences
+   * @param {number} count - Number of sentences
+   * @param {Map<string, number>} counts - Word frequencies to score with
+   * @returns {Array<string>}
+   */
+  topSentences(sentences, count, counts) {
+    return sentences
+      .map((sentence, index) => {
+        const words = this.words(sentence);
+        const score = words.reduce((sum, word) => sum + (counts.get(word) || 0), 0) / Math.sqrt(words.length || 1);
+        return { sentence, index, score };
+      })
+      .sort((a, b) => b.score - a.score || a.index - b.index)
+      .slice(0, count)
+      .sort((a, b) => a.index - b.index)
+      .map(item => item.sentence);
+  }
+
+  /**
+   * Plain-text extractive summary of the prompt's source text
+   */
+  condense(prompt, count) {
+    const text = this.stripPartLabels(this.section(prompt, ['Transcript part:', 'Transcript:']));
+    const summary = this.topSentences(this.sentences(text), count, this.frequencies(text)).join(' ');
+
+    return summary || 'No content to summarize.';
+  }
+
+  stripPartLabels(text) {
+    return text.replace(/\[Part \d+\/\d+\]\s*/g, '');
+  }
+
+  truncateWords(text, count) {
+    const words = text.split(' ');
+    return words.length > count ? `${words.slice(0, count).join(' ')}...` : text;
+  }
+
+  capitalize(word) {
+    return word.charAt(0).toUpperCase() + word.slice(1);
+  }
+
+  /**
+   * Summary object: the best sentences as quick summary, detailed summary and key points
+   */
+  summarize(prompt) {
+    const text = this.stripPartLabels(this.section(prompt, ['Transcript:', 'Summaries of consecutive parts of the transcript, in order:']));
+    const sentences = this.sentences(text);
+    const counts = this.frequencies(text);
+
+    if (sentences.length === 0) {
+      return {
+        quickSummary: 'No transcript content available.',
+        detailedSummary: 'No transcript content available.',
+        keyPoints: ['No transcript content available.']
+      };
+    }
+
+    let detailed = [];
+    for (const sentence of this.topSentences(sentences, sentences.length, counts)) {
+      if (detailed.join(' ').split(' ').length > 350) {
+        break;
+      }
+      detailed.push(sentence);
+    }
+    detailed = this.topSentences(detailed, detailed.length, counts);
+
+    return {
+      quickSummary: this.truncateWords(this.topSentences(sentences, 2, counts).join(' '), 50),
+      detailedSummary: detailed.join(' '),
+      keyPoints: this.topSentences(sentences, 6, counts).map(sentence => this.truncateWords(sentence, 35))
+    };
+  }
+
+  /**
+   * Category suggestion: the existing category whose name appears most in the video's text,
+   * otherwise a new one named after the most frequent word
+   */
+  categorize(prompt) {
+    const title = this.field(prompt, 'Video Title');
+    const text = [title, title, this.field(prompt, 'Description'), this.section(prompt, ['Transcript Preview:'])].join(' ');
+    const listed = this.field(prompt, 'Existing Categories');
+    const categories = listed && listed !== 'No existing categories' ? listed.split(',').map(c => c.trim()).filter(Boolean) : [];
+
+    const counts = this.frequencies(text);
+    const tags = this.keywords(text, 6);
+
+    let best = null;
+    let bestScore = 0;
+    for (const category of categories) {
+      const score = this.words(category).reduce((sum, word) => sum + (counts.get(word) || 0), 0);
+      if (score > bestScore) {
+        best = category;
+        bestScore = score;
+      }
+    }
+
+    if (best) {
+      return {
+        suggestedCategory: best,
+        isNewCategory: false,
+        tags,
+        confidence: Math.min(0.9, 0.4 + bestScore * 0.1),
+        reason: `The video mentions "${best}" related terms ${bestScore} time(s)`
+      };
+    }
+
+    return {
+      suggestedCategory: tags.length ? this.capitalize(tags[0]) : 'General',
+      isNewCategory: true,
+      tags,
+      confidence: 0.3,
+      reason: 'No existing category matches; named after the most frequent term'
+    };
+  }
+
+  /**
+   * "[m:ss] text" lines of a timestamped transcript section
+   * @returns {Array<Object>} - [{ time, text }]
+   */
+  timedLines(text) {
+    return text
+      .split('\n')
+      .map(line => line.match(/^\s*\[(\d+(?::\d{1,2}){1,2})\]\s*(.*)$/))
+      .filter(Boolean)
+      .map(match => ({ time: match[1], text: match[2].trim() }))
+      .filter(line => line.text);
+  }
+
+  /**
+   * Key moment of a transcript window: its highest scoring line
+   */
+  highlight(prompt) {
+    const lines = this.timedLines(this.section(prompt, ['Transcript:']));
+
+    if (lines.length === 0) {
+      return { highlight: null, important: false };
+    }
+
+    const counts = this.frequencies(lines.map(line => line.text).join(' '));
+    const [best] = this.topSentences(lines.map(line => line.text), 1, counts);
+    const line = lines.find(l => l.text === best);
+
+    return {
+      highlight: best.length > 100 ? `${best.substring(0, 97)}...` : best,
+      time: line.time,
+      important: this.words(best).length > 0
+    };
+  }
+
+  /**
+   * Chapters: the transcript split into equal parts, each titled with its most frequent words
+   */
+  segment(prompt) {
+    const lines = this.timedLines(this.section(prompt, ['Transcript (each line starts with its timestamp):']));
+
+    if (lines.length === 0) {
+      return [{ start: '0:00', title: 'Full video' }];
+    }
+
+    const count = Math.max(1, Math.min(lines.length, 12, Math.max(3, Math.round(lines.length / 6))));
+    const size = lines.length / count;
+    const chapters = [];
+
+    for (let i = 0; i < count; i++) {
+      const group = lines.slice(Math.floor(i * size), Math.floor((i + 1) * size));
+      const words = this.keywords(group.map(line => line.text).join(' '), 2);
+
+      chapters.push({
+        start: i === 0 ? '0:00' : group[0].time,
+        title: words.length ? words.map(word => this.capitalize(word)).join(' & ') : `Part ${i + 1}`
+      });
+    }
+
+    return chapters;
+  }
+
+  /**
+   * The JSON value given in the prompt (the last one matching the schema's type)
+   */
+  echoJson(prompt, schema) {
+    const type = schema?.type === 'object' ? 'object' : 'array';
+    const values = structuredOutput.findBalanced(prompt)
+      .map(span => structuredOutput.tryParse(span))
+      .filter(value => value !== undefined && structuredOutput.isType(value, type));
+
+    return values.length ? values[values.length - 1] : this.fromSchema(schema || { type }, []);
+  }
+
+  /**
+   * Answer from the context sentences that share the most words with the question
+   */
+  answerQuestion(prompt) {
+    const question = this.field(prompt, 'Question');
+    const context = this.section(prompt, ['Context:']);
+    const questionWords = new Set(this.words(question));
+
+    const matches = this.sentences(context)
+      .map((sentence, index) => ({
+        sentence,
+        index,
+        score: this.words(sentence).filter(word => questionWords.has(word)).length
+      }))
+      .filter(item => item.score > 0)
+      .sort((a, b) => b.score - a.score || a.index - b.index)
+      .slice(0, 3)
+      .sort((a, b) => a.index - b.index);
+
+    if (matches.length === 0) {
+      return 'The video content does not seem to address this question.';
+    }
+
+    return `Based on the video: ${matches.map(item => item.sentence).join(' ')}`;
+  }
+
+  /**
+   * Smallest value that satisfies a schema, filled with text where strings are expected
+   * @param {Object} schema - Schema (see structured-output.service)
+   * @param {Array<string>} sentences - Text to use for strings
+   * @returns {*}
+   */
+  fromSchema(schema, sentences) {
+    if (schema.enum) {
+      return schema.enum[0];
+    }
+
+    const type = [].concat(schema.type || 'string')[0];
+
+    switch (type) {
+      case 'object':
+        return Object.fromEntries(
+          Object.entries(schema.properties || {})
+            .concat((schema.required || []).filter(key => !schema.properties?.[key]).map(key => [key, { type: 'string' }]))
+            .map(([key, property]) => [key, this.fromSchema(property, sentences)])
+        );
+      case 'array':
+        return Array.from({ length: schema.minItems || 1 }, (_, i) =>
+          this.fromSchema(schema.items || { type: 'string' }, sentences.slice(i)));
+      case 'number':
+      case 'integer':
+        return schema.minimum ?? 0;
+      case 'boolean':
+        return false;
+      case 'null':
+        return null;
+      default:
+        return sentences[0] || 'N/A';
+    }
+  }
+}
+
+module.exports = new MockLLMService();
@@ -0,0 +1,619 @@
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+// Variables of the study formats (see llm.service generateSummaryFormat)
+const SUMMARY_FORMAT_VARIABLES = {
+  title: 'Video title',
+  material: 'The transcript (after "Transcript:") or, for long videos, the combined part summaries',
+  languageInstruction: 'Which language to write in'
+};
+
+/**
+ * Built-in prompts, stored as version 1 of each key on first use.
+ *
+ * Templates use {{variable}} placeholders; `required` variables must stay in an edited template.
+ * Prompts for structured answers must keep asking for the same JSON shape, since the answer is
+ * validated against the task's schema.
+ */
+const DEFAULT_PROMPTS = {
+  summary: {
+    description: 'Final video summary (JSON with quickSummary, detailedSummary, keyPoints)',
+    variables: {
+      title: 'Video title',
+      material: 'The transcript (after "Transcript:") or, for long videos, the combined part summaries',
+      languageInstruction: 'Which language to write in'
+    },
+    required: ['material'],
+    systemPrompt: 'You are an expert at summarizing educational video content. Always respond with valid JSON.',
+    template: `Analyze the following YouTube video transcript and provide:
+
+1. A quick summary (50 words max)
+2. A detailed summary (300-500 words)
+3. Key points (5-7 bullet points)
+
+Video Title: {{title}}
+
+{{material}}
+
+{{languageInstruction}}
+
+Respond in JSON format:
+{
+  "quickSummary": "...",
+  "detailedSummary": "...",
+  "keyPoints": ["...", "..."]
+}`
+  },
+
+  'summary-chunk': {
+    description: 'Summary of one part of a long transcript (plain text)',
+    variables: {
+      title: 'Video title',
+      part: 'Part number',
+      parts: 'Number of parts',
+      transcript: 'Transcript of this part'
+    },
+    required: ['transcript'],
+    systemPrompt: 'You are an expert at summarizing educational video content.',
+    template: `This is part {{part}} of {{parts}} of the transcript of the video "{{title}}".
+Summarize this part in 150-250 words, keeping concrete facts, definitions, examples and conclusions.
+Write in the same language as the transcript.
+
+Transcript part:
+{{transcript}}`
+  },
+
+  'summary-merge': {
+    description: 'Merge of neighbouring part summaries of a long transcript (plain text)',
+    variables: {
+      title: 'Video title',
+      summaries: 'Part summaries, in order'
+    },
+    required: ['summaries'],
+    systemPrompt: 'You are an expert at summarizing educational video content.',
+    template: `Combine these summaries of consecutive parts of the video "{{title}}" into one summary of 200-300 words.
+Keep the order of topics and the most important facts. Write in the same language as the summaries.
+
+{{summaries}}`
+  },
+
+  'summary-outline': {
+    description: 'Hierarchical outline of a video (JSON with sections of headings, points and subsections)',
+    variables: SUMMARY_FORMAT_VARIABLES,
+    required: ['material'],
+    systemPrompt: 'You turn educational video content into study notes. Always respond with valid JSON.',
+    template: `Create a hierarchical study outline of the video "{{title}}".
+Follow the order of the video. Use short headings and concise points; add subsections where a topic has distinct parts.
+{{languageInstruction}}
+
+{{material}}
+
+Respond in JSON format:
+{
+  "sections": [
+    {
+      "heading": "...",
+      "points": ["...", "..."],
+      "subsections": [{ "heading": "...", "points": ["..."] }]
+    }
+  ]
+}`
+  },
+
+  'summary-cornell': {
+    description: 'Cornell notes (JSON with cues, the notes for each cue, and a summary)',
+    variables: SUMMARY_FORMAT_VARIABLES,
+    required: ['material'],
+    systemPrompt: 'You turn educational video content into study notes. Always respond with valid JSON.',
+    template: `Create Cornell notes for the video "{{title}}".
+Each cue is a question or keyword a student can use to test themselves; its notes answer it in a few short lines.
+Finish with a summary of 3-5 sentences.
+{{languageInstruction}}
+
+{{material}}
+
+Respond in JSON format:
+{
+  "cues": [{ "cue": "...", "notes": ["...", "..."] }],
+  "summary": "..."
+}`
+  },
+
+  'summary-eli5': {
+    description: 'Explanation for a beginner (JSON with explanation and an analogy)',
+    variables: SUMMARY_FORMAT_VARIABLES,
+    required: ['material'],
+    systemPrompt: 'You explain complex topics in simple words. Always respond with valid JSON.',
+    template: `Explain what the video "{{title}}" teaches as if to a curious 10-year-old.
+Use short sentences and everyday words, avoid jargon, and keep it under 250 words. Add one analogy from everyday life.
+{{languageInstruction}}
+
+{{material}}
+
+Respond in JSON format:
+{
+  "explanation": "...",
+  "analogy": "..."
+}`
+  },
+
+  'summary-mindmap': {
+    description: 'Mind map (JSON tree of nodes with a label and children, up to three levels below the root)',
+    variables: SUMMARY_FORMAT_VARIABLES,
+    required: ['material'],
+    systemPrompt: 'You turn educational video content into study notes. Always respond with valid JSON.',
+    template: `Create a mind map of the video "{{title}}".
+The root is the video's main subject; its children are the main topics, and their children the ideas, facts and examples.
+Use labels of at most six words and at most three levels below the root.
+{{languageInstruction}}
+
+{{material}}
+
+Respond in JSON format:
+{
+  "label": "main subject",
+  "children": [
+    { "label": "topic", "children": [{ "label": "idea", "children": [{ "label": "detail" }] }] }
+  ]
+}`
+  },
+
+  'summary-definitions': {
+    description: 'Key terms and their definitions (JSON list of term and definition)',
+    variables: SUMMARY_FORMAT_VARIABLES,
+    required: ['material'],
+    systemPrompt: 'You turn educational video content into study notes. Always respond with valid JSON.',
+    template: `List the key terms and concepts the video "{{title}}" introduces or relies on, with a one or two sentence definition of each
+as the video uses it. Order them as they first appear. Leave the list empty if the video defines no terms.
+{{languageInstruction}}
+
+{{material}}
+
+Respond in JSON format:
+{
+  "definitions": [{ "term": "...", "definition": "..." }]
+}`
+  },
+
+  topics: {
+    description: 'Main topics of a transcript (JSON array of strings)',
+    variables: {
+      transcript: 'Start of the transcript'
+    },
+    required: ['transcript'],
+    systemPrompt: 'You extract topics from text. Always respond with a valid JSON array.',
+    template: `Analyze this video transcript and extract 5-10 main topics or themes.
+Return only a JSON array of topics, for example: ["topic1", "topic2", ...]
+
+Transcript:
+{{transcript}}`
+  },
+
+  categorization: {
+    description: 'Category and tag suggestion (JSON with suggestedCategory, isNewCategory, tags, confidence, reason)',
+    variables: {
+      title: 'Video title',
+      description: 'Video description',
+      transcript: 'Start of the transcript',
+      categories: 'Existing category names, comma-separated'
+    },
+    required: ['title'],
+    systemPrompt: 'You are an expert at categorizing educational content. Always respond with valid JSON.',
+    template: `Analyze this YouTube video and suggest:
+1. The most appropriate category from the existing list (or suggest a new one)
+2. 5-7 relevant tags
+
+Video Title: {{title}}
+Description: {{description}}
+Transcript Preview: {{transcript}}
+
+Existing Categories: {{categories}}
+
+Respond in JSON format:
+{
+  "suggestedCategory": "category name",
+  "isNewCategory": true/false,
+  "tags": ["tag1", "tag2", ...],
+  "confidence": 0.0-1.0,
+  "reason": "brief explanation"
+}`
+  },
+
+  answer: {
+    description: 'Answer to a question about video content (plain text, used by chat)',
+    variables: {
+      question: 'The question',
+      context: 'Transcripts of the videos asked about'
+    },
+    required: ['question', 'context'],
+    systemPrompt: 'You are a helpful assistant that answers questions based on video content.',
+    template: `Based on the following video content, answer this question:
+
+Question: {{question}}
+
+Context:
+{{context}}
+
+Provide a clear and concise answer based only on the information in the context.`
+  },
+
+  highlight: {
+    description: 'Key moment of one transcript window (JSON with highlight, time, important)',
+    variables: {
+      title: 'Video title',
+      timeRange: 'Start and end of the window, e.g. 0:00 - 5:00',
+      transcript: 'Window transcript, one "[m:ss] text" line per segment'
+    },
+    required: ['transcript'],
+    systemPrompt: 'You identify key moments in video transcripts. Respond with valid JSON.',
+    template: `Analyze this segment from a video titled "{{title}}" and identify the most important highlight or key point.
+
+Time Range: {{timeRange}}
+
+Transcript:
+{{transcript}}
+
+If there's a key point, respond with JSON:
+{
+  "highlight": "brief description of the key point (max 100 chars)",
+  "time": "timestamp of the line where it starts, e.g. 12:34",
+  "important": true/false
+}
+
+If this segment doesn't contain important information, respond with:
+{
+  "highlight": null,
+  "important": false
+}`
+  }
+};
+
+const PLACEHOLDER = /\{\{\s*(\w+)\s*\}\}/g;
+
+/**
+ * Registry of editable, versioned prompt templates.
+ *
+ * Every edit creates a new version and makes it active; rolling back activates an earlier one.
+ */
+class PromptService {
+  constructor() {
+    this.cache = new Map();
+    this.seeding = null;
+  }
+
+  /**
+   * Definition of a prompt key
+   * @param {string} key - Prompt key
+   * @returns {Object} - { description, variables, required, template, systemPrompt }
+   */
+  getDefinition(key) {
+    const definition = DEFAULT_PROMPTS[key];
+
+    if (!definition) {
+      const error = new Error(`Unknown prompt: ${key}`);
+      error.status = 404;
+      throw error;
+    }
+
+    return definition;
+  }
+
+  /**
+   * Store the built-in prompts as version 1 of every key that has no versions yet
+   */
+  async seed() {
+    if (!this.seeding) {
+      this.seeding = (async () => {
+        const existing = await prisma.promptVersion.findMany({ select: { key: true }, distinct: ['key'] });
+        const seeded = new Set(existing.map(row => row.key));
+
+        for (const [key, definition] of Object.entries(DEFAULT_PROMPTS)) {
+          if (!seeded.has(key)) {
+            await prisma.promptVersion.create({
+              data: {
+                key,
+                version: 1,
+                template: definition.template,
+                systemPrompt: definition.systemPrompt,
+                note: 'Built-in default',
+                active: true
+              }
+            });
+          }
+        }
+      })().catch(error => {
+        this.seeding = null;
+        throw error;
+      });
+    }
+
+    await this.seeding;
+  }
+
+  /**
+   * Active version of a prompt; the built-in default (version 0) if the registry can't be read
+   * @param {string} key - Prompt key
+   * @returns {Promise<Object>} - { key, version, template, systemPrompt }
+   */
+  async getActive(key) {
+    const definition = this.getDefinition(key);
+
+    if (this.cache.has(key)) {
+      return this.cache.get(key);
+    }
+
+    try {
+      await this.seed();
+
+      const active = await prisma.promptVersion.findFirst({ where: { key, active: true } });
+
+      if (active) {
+        this.cache.set(key, active);
+        return active;
+      }
+    } catch (error) {
+      console.error(`Error loading prompt ${key}, using the built-in default:`, error.message);
+    }
+
+    return { key, version: 0, template: definition.template, systemPrompt: definition.systemPrompt };
+  }
+
+  /**
+   * Fill in a template's placeholders
+   * @param {string} template - Template text
+   * @param {Object} variables - Values by name; missing ones become empty
+   * @returns {string}
+   */
+  renderTemplate(template, variables) {
+    return template.replace(PLACEHOLDER, (match, name) => (variables[name] ?? '').toString());
+  }
+
+  /**
+   * Render the active version of a prompt
+   * @param {string} key - Prompt key
+   * @param {Object} variables - Template variables
+   * @returns {Promise<Object>} - { prompt, systemPrompt, version }
+   */
+  async render(key, variables) {
+    const active = await this.getActive(key);
+
+    return {
+      prompt: this.renderTemplate(active.template, variables),
+      systemPrompt: active.systemPrompt || this.getDefinition(key).systemPrompt,
+      version: active.version
+    };
+  }
+
+  /**
+   * Check that a template only uses the key's variables and keeps the required ones
+   * @param {string} key - Prompt key
+   * @param {string} template - Template text
+   */
+  validateTemplate(key, template) {
+    const definition = this.getDefinition(key);
+
+    if (typeof template !== 'string' || !template.trim()) {
+      const error = new Error('template is required');
+      error.status = 400;
+      throw error;
+    }
+
+    const used = new Set([...template.matchAll(PLACEHOLDER)].map(match => match[1]));
+    const errors = [];
+
+    for (const name of used) {
+      if (!definition.variables[name]) {
+        errors.push(`Unknown variable {{${name}}} (available: ${Object.keys(definition.variables).join(', ')})`);
+      }
+    }
+    for (const name of definition.required) {
+      if (!used.has(name)) {
+        errors.push(`Template must use {{${name}}}`);
+      }
+    }
+
+    if (errors.length) {
+      const error = new Error(errors.join('; '));
+      error.status = 400;
+      throw error;
+    }
+  }
+
+  /**
+   * All prompts with their active version
+   * @returns {Promise<Array<Object>>}
+   */
+  async list() {
+    await this.seed();
+
+    const versions = await prisma.promptVersion.findMany({ orderBy: { version: 'asc' } });
+
+    return Object.entries(DEFAULT_PROMPTS).map(([key, definition]) => {
+      const own = versions.filter(v => v.key === key);
+
+      return {
+        key,
+        description: definition.description,
+        variables: definition.variables,
+        required: definition.required,
+        active: own.find(v => v.active) || null,
+        versionCount: own.length
+      };
+    });
+  }
+
+  /**
+   * One prompt with all its versions, newest first
+   * @param {string} key - Prompt key
+   * @returns {Promise<Object>}
+   */
+  async getPrompt(key) {
+    const definition = this.getDefinition(key);
+    await this.seed();
+
+    const versions = await prisma.promptVersion.findMany({
+      where: { key },
+      orderBy: { version: 'desc' }
+    });
+
+    return {
+      key,
+      description: definition.description,
+      variables: definition.variables,
+      required: definition.required,
+      active: versions.find(v => v.active) || null,
+      versions
+    };
+  }
+
+  /**
+   * Save an edit as a new version and make it active
+   * @param {string} key - Prompt key
+   * @param {Object} data - { template, systemPrompt, note }; systemPrompt defaults to the active version's
+   * @returns {Promise<Object>} - New version
+   */
+  async createVersion(key, data) {
+    this.validateTemplate(key, data.template);
+    await this.seed();
+
+    const latest = await prisma.promptVersion.findFirst({
+      where: { key },
+      orderBy: { version: 'desc' }
+    });
+    const active = await prisma.promptVersion.findFirst({ where: { key, active: true } });
+
+    const [, created] = await prisma.$transaction([
+      prisma.promptVersion.updateMany({ where: { key, active: true }, data: { active: false } }),
+      prisma.promptVersion.create({
+        data: {
+          key,
+          version: (latest?.version || 0) + 1,
+          template: data.template,
+          systemPrompt: data.systemPrompt !== undefined ? data.systemPrompt || null : active?.systemPrompt || null,
+          note: data.note || null,
+          active: true
+        }
+      })
+    ]);
+
+    this.cache.delete(key);
+
+    return created;
+  }
+
+  /**
+   * Make an earlier version active again
+   * @param {string} key - Prompt key
+   * @param {number} version - Version to activate; defaults to the one before the active version
+   * @returns {Promise<Object>} - Activated version
+   */
+  async rollback(key, version) {
+    this.getDefinition(key);
+    await this.seed();
+
+    let target;
+
+    if (version !== undefined) {
+      target = await prisma.promptVersion.findUnique({ where: { key_version: { key, version } } });
+    } else {
+      const active = await prisma.promptVersion.findFirst({ where: { key, active: true } });
+      target = await prisma.promptVersion.findFirst({
+        where: { key, version: { lt: active?.version ?? 0 } },
+        orderBy: { version: 'desc' }
+      });
+    }
+
+    if (!target) {
+      const error = new Error(version !== undefined ? `Version ${version} of ${key} not found` : `No earlier version of ${key}`);
+      error.status = 404;
+      throw error;
+    }
+
+    const [, activated] = await prisma.$transaction([
+      prisma.promptVersion.updateMany({ where: { key, active: true }, data: { active: false } }),
+      prisma.promptVersion.update({ where: { id: target.id }, data: { active: true } })
+    ]);
+
+    this.cache.delete(key);
+
+    return activated;
+  }
+
+  /**
+   * Template variables for a prompt, filled from a stored video the way the app fills them
+   * @param {string} key - Prompt key
+   * @param {Object} video - Video record (with category)
+   * @param {Object} options - { question } for the answer prompt
+   * @returns {Promise<Object>}
+   */
+  async buildSampleVariables(key, video, options = {}) {
+    // Loaded here to avoid circular dependencies (these services render prompts)
+    const llmService = require('./llm.service');
+    const transcriptionService = require('./transcription.service');
+    const transcript = video.transcription || '';
+
+    switch (key) {
+      case 'summary':
+      case 'summary-outline':
+      case 'summary-cornell':
+      case 'summary-eli5':
+      case 'summary-mindmap':
+      case 'summary-definitions':
+        return {
+          title: video.title,
+          material: `Transcript:\n${transcript.substring(0, llmService.getChunkSize(1500))}`,
+          languageInstruction: key === 'summary'
+            ? 'Write the summary in the same language as the transcript.'
+            : 'Write in the same language as the transcript.'
+        };
+
+      case 'summary-chunk':
+        return {
+          title: video.title,
+          part: 1,
+          parts: Math.max(1, Math.ceil(transcript.length / llmService.getChunkSize(1500))),
+          transcript: transcript.substring(0, llmService.getChunkSize(1500))
+        };
+
+      case 'summary-merge': {
+        const summary = video.summaryJson ? JSON.parse(video.summaryJson) : null;
+        return {
+          title: video.title,
+          summaries: summary
+            ? `[Part 1/2] ${summary.quickSummary}\n\n[Part 2/2] ${(summary.keyPoints || []).join(' ')}`
+            : '[Part 1/1] (no summary stored yet)'
+        };
+      }
+
+      case 'topics':
+        return { transcript: transcript.substring(0, 8000) };
+
+      case 'categorization': {
+        const autoCategorizationService = require('./auto-categorization.service');
+        const categories = await prisma.category.findMany();
+        return autoCategorizationService.getPromptVariables(video, categories);
+      }
+
+      case 'answer':
+        return {
+          question: options.question || 'What is this video about?',
+          context: `[${video.title}]\n${transcript}`.substring(0, llmService.getChunkSize(500))
+        };
+
+      case 'highlight': {
+        const stored = await transcriptionService.loadTranscript(video.id);
+        const window = stored?.transcript.length ? transcriptionService.groupIntoWindows(stored.transcript)[0] : null;
+        return {
+          title: video.title,
+          ...(window ? transcriptionService.getHighlightVariables(window) : { timeRange: '0:00 - 0:00', transcript: '' })
+        };
+      }
+
+      default:
+        return {};
+    }
+  }
+}
+
+module.exports = new PromptService();
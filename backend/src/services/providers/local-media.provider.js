@@ -0,0 +1,154 @@
+const fs = require('fs');
+const path = require('path');
+const { pathToFileURL, fileURLToPath } = require('url');
+const captionService = require('../caption.service');
+
+const MEDIA_EXTENSIONS = ['.mp4', '.mkv', '.webm', '.mov', '.avi', '.mp3', '.m4a', '.wav', '.ogg', '.flac', '.opus'];
+const SUBTITLE_EXTENSIONS = ['.vtt', '.srt', '.txt'];
+
+class LocalMediaProvider {
+  constructor() {
+    this.name = 'local';
+    this.label = 'Local media file';
+  }
+
+  /**
+   * Root directory media files must live in (LOCAL_MEDIA_DIR); the provider is disabled without it
+   * @returns {string|null} - Absolute media root
+   */
+  getMediaRoot() {
+    return process.env.LOCAL_MEDIA_DIR ? path.resolve(process.env.LOCAL_MEDIA_DIR) : null;
+  }
+
+  /**
+   * Resolve a file path or file:// URL inside the media root
+   * @param {string} input - Absolute path, path relative to the media root, or file:// URL
+   * @returns {string|null} - Absolute file path or null if not a local media file
+   */
+  extractId(input) {
+    const root = this.getMediaRoot();
+
+    if (!root || !input) {
+      return null;
+    }
+
+    try {
+      const filePath = input.startsWith('file://')
+        ? fileURLToPath(input)
+        : path.resolve(root, input);
+
+      // Never serve files outside the configured media root
+      if (!filePath.startsWith(root + path.sep)) {
+        return null;
+      }
+
+      if (!MEDIA_EXTENSIONS.includes(path.extname(filePath).toLowerCase())) {
+        return null;
+      }
+
+      return fs.existsSync(filePath) ? filePath : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Get file metadata
+   * @param {string} filePath - Absolute file path
+   * @returns {Promise<Object>} - Normalized metadata
+   */
+  async getMetadata(filePath) {
+    const stats = await fs.promises.stat(filePath);
+    const basename = path.basename(filePath, path.extname(filePath));
+
+    return {
+      sourceId: filePath,
+      url: pathToFileURL(filePath).href,
+      title: basename.replace(/[_-]+/g, ' ').trim(),
+      author: null,
+      duration: null,
+      uploadDate: stats.mtime,
+      thumbnail: null,
+      description: ''
+    };
+  }
+
+  /**
+   * Find sidecar subtitle files next to the media file (lecture.srt, lecture.en.vtt, ...)
+   * @param {string} filePath - Absolute file path
+   * @returns {Promise<Array>} - [{ path, language, format }]
+   */
+  async findSidecars(filePath) {
+    const dir = path.dirname(filePath);
+    const basename = path.basename(filePath, path.extname(filePath));
+    const files = await fs.promises.readdir(dir);
+
+    return files
+      .filter(file => file.startsWith(`${basename}.`) && SUBTITLE_EXTENSIONS.includes(path.extname(file).toLowerCase()))
+      .map(file => {
+        const middle = file.slice(basename.length + 1, -path.extname(file).length);
+        return {
+          path: path.join(dir, file),
+          language: middle || null,
+          format: path.extname(file).slice(1).toLowerCase()
+        };
+      })
+      .sort((a, b) => SUBTITLE_EXTENSIONS.indexOf(`.${a.format}`) - SUBTITLE_EXTENSIONS.indexOf(`.${b.format}`));
+  }
+
+  /**
+   * Read the transcript from a sidecar subtitle file
+   * @param {string} filePath - Absolute file path
+   * @param {Object} options - { lang }
+   * @returns {Promise<Object>} - { segments, language }
+   */
+  async getTranscript(filePath, options = {}) {
+    const sidecars = await this.findSidecars(filePath);
+
+    const sidecar = (options.lang && sidecars.find(s => s.language === options.lang)) || sidecars[0];
+
+    if (!sidecar) {
+      throw new Error('Could not find a sidecar subtitle file for this media file');
+    }
+
+    const content = await fs.promises.readFile(sidecar.path, 'utf8');
+
+    return {
+      segments: captionService.parse(content, sidecar.format),
+      language: sidecar.language || 'unknown'
+    };
+  }
+
+  /**
+   * List the languages of the sidecar subtitle files
+   * @param {string} filePath - Absolute file path
+   * @returns {Promise<Array>} - [{ language, name, autoGenerated }]
+   */
+  async getLanguages(filePath) {
+    const sidecars = await this.findSidecars(filePath);
+    const languages = [...new Set(sidecars.map(s => s.language || 'unknown'))];
+
+    return languages.map(language => ({ language, name: null, autoGenerated: false }));
+  }
+
+  /**
+   * Local files are transcribed in place, no download needed
+   * @param {string} filePath - Absolute file path
+   * @returns {Promise<string>} - Path of the audio/video file
+   */
+  async getAudio(filePath) {
+    return filePath;
+  }
+
+  /**
+   * Build a link that opens the media at a given time (media fragment URI)
+   * @param {string} filePath - Absolute file path
+   * @param {number} seconds - Offset in seconds
+   * @returns {string} - Deep link
+   */
+  getTimestampUrl(filePath, seconds) {
+    return `${pathToFileURL(filePath).href}#t=${Math.floor(seconds)}`;
+  }
+}
+
+module.exports = new LocalMediaProvider();
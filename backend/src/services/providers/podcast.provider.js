@@ -0,0 +1,258 @@
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const axios = require('axios');
+const captionService = require('../caption.service');
+
+class PodcastProvider {
+  constructor() {
+    this.name = 'podcast';
+    this.label = 'Podcast episode';
+  }
+
+  /**
+   * Parse a podcast episode reference
+   *
+   * Accepts "podcast:<feedUrl>#<guid>" or "<feedUrl>#episode=<guid>".
+   * Without a guid the latest episode of the feed is used.
+   * @param {string} input - Episode reference
+   * @returns {string|null} - "<feedUrl>#<guid>" (guid may be empty) or null
+   */
+  extractId(input) {
+    if (!input) {
+      return null;
+    }
+
+    let reference;
+
+    if (input.startsWith('podcast:')) {
+      reference = input.slice('podcast:'.length);
+    } else if (/^https?:\/\/[^#]+#episode=/.test(input)) {
+      reference = input.replace('#episode=', '#');
+    } else {
+      return null;
+    }
+
+    const [feedUrl, guid = ''] = reference.split('#');
+
+    if (!/^https?:\/\//.test(feedUrl)) {
+      return null;
+    }
+
+    return `${feedUrl}#${decodeURIComponent(guid)}`;
+  }
+
+  /**
+   * Fetch the feed and find the referenced episode
+   * @param {string} sourceId - "<feedUrl>#<guid>"
+   * @returns {Promise<Object>} - { channel, episode }
+   */
+  async getEpisode(sourceId) {
+    const [feedUrl, guid] = this.splitId(sourceId);
+    const response = await axios.get(feedUrl, { responseType: 'text' });
+    const xml = response.data;
+
+    const channelHeader = xml.split(/<item[\s>]/)[0];
+    const items = (xml.match(/<item[\s>][\s\S]*?<\/item>/g) || []).map(block => this.parseItem(block));
+
+    const episode = guid
+      ? items.find(item => item.guid === guid || item.enclosureUrl === guid)
+      : items[0];
+
+    if (!episode) {
+      throw new Error('Episode not found in podcast feed');
+    }
+
+    return {
+      channel: {
+        title: this.tag(channelHeader, 'title'),
+        author: this.tag(channelHeader, 'itunes:author'),
+        image: this.attr(channelHeader, 'itunes:image', 'href')
+      },
+      episode
+    };
+  }
+
+  /**
+   * Get episode metadata
+   * @param {string} sourceId - "<feedUrl>#<guid>"
+   * @returns {Promise<Object>} - Normalized metadata
+   */
+  async getMetadata(sourceId) {
+    const [feedUrl] = this.splitId(sourceId);
+    const { channel, episode } = await this.getEpisode(sourceId);
+
+    return {
+      // Store the resolved guid so "latest episode" references stay stable
+      sourceId: `${feedUrl}#${episode.guid || episode.enclosureUrl || ''}`,
+      url: episode.enclosureUrl || episode.link || feedUrl,
+      title: episode.title || 'Untitled episode',
+      author: episode.author || channel.author || channel.title,
+      duration: episode.duration,
+      uploadDate: episode.pubDate,
+      thumbnail: episode.image || channel.image,
+      description: episode.description || ''
+    };
+  }
+
+  /**
+   * Fetch the episode transcript advertised via <podcast:transcript>
+   * @param {string} sourceId - "<feedUrl>#<guid>"
+   * @param {Object} options - { lang }
+   * @returns {Promise<Object>} - { segments, language }
+   */
+  async getTranscript(sourceId, options = {}) {
+    const { episode } = await this.getEpisode(sourceId);
+
+    const candidates = episode.transcripts
+      .filter(t => !options.lang || !t.language || t.language === options.lang);
+    const preference = ['text/vtt', 'application/x-subrip', 'application/srt', 'application/json', 'text/plain'];
+    candidates.sort((a, b) => preference.indexOf(a.type) - preference.indexOf(b.type));
+
+    const transcript = candidates.find(t => preference.includes(t.type));
+
+    if (!transcript) {
+      throw new Error('Could not find a transcript for this episode');
+    }
+
+    const response = await axios.get(transcript.url, { responseType: 'text' });
+    const content = typeof response.data === 'string' ? response.data : JSON.stringify(response.data);
+
+    let segments;
+    if (transcript.type === 'application/json') {
+      segments = (JSON.parse(content).segments || []).map(segment => ({
+        text: segment.body,
+        offset: segment.startTime,
+        duration: Math.max(0, (segment.endTime || segment.startTime) - segment.startTime)
+      }));
+    } else {
+      const format = transcript.type === 'text/vtt' ? 'vtt' : transcript.type === 'text/plain' ? 'txt' : 'srt';
+      segments = captionService.parse(content, format);
+    }
+
+    return {
+      segments,
+      language: transcript.language || options.lang || 'unknown'
+    };
+  }
+
+  /**
+   * List the languages of the episode's <podcast:transcript> tags
+   * @param {string} sourceId - "<feedUrl>#<guid>"
+   * @returns {Promise<Array>} - [{ language, name, autoGenerated }]
+   */
+  async getLanguages(sourceId) {
+    const { episode } = await this.getEpisode(sourceId);
+    const languages = [...new Set(episode.transcripts.map(t => t.language || 'unknown'))];
+
+    return languages.map(language => ({ language, name: null, autoGenerated: false }));
+  }
+
+  /**
+   * Download the episode audio (RSS enclosure) for local speech-to-text
+   * @param {string} sourceId - "<feedUrl>#<guid>"
+   * @param {string} workDir - Temporary directory to download into
+   * @returns {Promise<string>} - Path of the downloaded audio file
+   */
+  async getAudio(sourceId, workDir) {
+    const { episode } = await this.getEpisode(sourceId);
+
+    if (!episode.enclosureUrl) {
+      throw new Error('Episode has no audio enclosure');
+    }
+
+    const filePath = path.join(workDir, 'episode.audio');
+    const response = await axios.get(episode.enclosureUrl, { responseType: 'stream' });
+    await pipeline(response.data, fs.createWriteStream(filePath));
+
+    return filePath;
+  }
+
+  /**
+   * Build a link that opens the episode audio at a given time (media fragment URI)
+   * @param {string} sourceId - "<feedUrl>#<guid>"
+   * @param {number} seconds - Offset in seconds
+   * @param {string} url - Episode media URL stored on the video record
+   * @returns {string} - Deep link
+   */
+  getTimestampUrl(sourceId, seconds, url) {
+    return `${url || this.splitId(sourceId)[0]}#t=${Math.floor(seconds)}`;
+  }
+
+  /**
+   * Split a source ID into [feedUrl, guid]
+   */
+  splitId(sourceId) {
+    const index = sourceId.indexOf('#');
+    return index === -1 ? [sourceId, ''] : [sourceId.slice(0, index), sourceId.slice(index + 1)];
+  }
+
+  /**
+   * Parse one RSS <item>
+   */
+  parseItem(block) {
+    const pubDate = this.tag(block, 'pubDate');
+
+    return {
+      guid: this.tag(block, 'guid'),
+      title: this.tag(block, 'title'),
+      link: this.tag(block, 'link'),
+      author: this.tag(block, 'itunes:author'),
+      description: this.tag(block, 'description') || this.tag(block, 'itunes:summary'),
+      pubDate: pubDate ? new Date(pubDate) : null,
+      duration: this.parseDuration(this.tag(block, 'itunes:duration')),
+      image: this.attr(block, 'itunes:image', 'href'),
+      enclosureUrl: this.attr(block, 'enclosure', 'url'),
+      transcripts: (block.match(/<podcast:transcript\s[^>]*>/g) || []).map(tag => ({
+        url: this.attr(tag, 'podcast:transcript', 'url'),
+        type: this.attr(tag, 'podcast:transcript', 'type'),
+        language: this.attr(tag, 'podcast:transcript', 'language')
+      })).filter(t => t.url)
+    };
+  }
+
+  /**
+   * Parse itunes:duration ("3600", "59:30" or "1:02:03") into seconds
+   */
+  parseDuration(text) {
+    if (!text) {
+      return null;
+    }
+
+    const seconds = text.split(':').map(Number).reduce((total, part) => total * 60 + part, 0);
+    return isNaN(seconds) ? null : Math.round(seconds);
+  }
+
+  /**
+   * Read the text content of the first matching tag
+   */
+  tag(block, name) {
+    const match = block.match(new RegExp(`<${name}(?:\\s[^>]*)?>([\\s\\S]*?)</${name}>`));
+
+    return match ? this.decode(match[1]) : null;
+  }
+
+  /**
+   * Read an attribute of the first matching tag
+   */
+  attr(block, name, attribute) {
+    const match = block.match(new RegExp(`<${name}\\s(?:[^>]*\\s)?${attribute}="([^"]+)"`));
+    return match ? this.decode(match[1]) : null;
+  }
+
+  /**
+   * Decode CDATA sections and XML entities
+   */
+  decode(text) {
+    return text
+      .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&#39;/g, "'")
+      .replace(/&amp;/g, '&')
+      .trim();
+  }
+}
+
+module.exports = new PodcastProvider();
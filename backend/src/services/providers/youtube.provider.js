@@ -0,0 +1,131 @@
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const ytdl = require('ytdl-core');
+const { YoutubeTranscript } = require('youtube-transcript');
+const youtubeService = require('../youtube.service');
+
+/**
+ * Convert caption segments to seconds. youtube-transcript passes srv3 timings through in
+ * whole milliseconds (<p t="1500" d="2000">) but classic timings in seconds
+ * (<text start="1.5" dur="2">), without saying which format it parsed. Whole-number timings
+ * are read as milliseconds only when some cue lasts 100 or more, which no caption lasts in seconds.
+ * @param {Array} segments - Segments as returned by youtube-transcript
+ * @returns {Array} - Segments with offset and duration in seconds
+ */
+function normalizeSegments(segments) {
+  const inMilliseconds = segments.length > 0 &&
+    segments.every(segment => Number.isInteger(segment.offset) && Number.isInteger(segment.duration)) &&
+    segments.some(segment => segment.duration >= 100);
+
+  if (!inMilliseconds) {
+    return segments;
+  }
+
+  return segments.map(segment => ({
+    ...segment,
+    offset: segment.offset / 1000,
+    duration: segment.duration / 1000
+  }));
+}
+
+class YouTubeProvider {
+  constructor() {
+    this.name = 'youtube';
+    this.label = 'YouTube';
+  }
+
+  /**
+   * Extract YouTube video ID from URL or ID
+   * @param {string} input - YouTube video URL or ID
+   * @returns {string|null} - Video ID or null if not a YouTube video
+   */
+  extractId(input) {
+    return youtubeService.extractVideoId(input);
+  }
+
+  /**
+   * Get video metadata
+   * @param {string} videoId - YouTube video ID
+   * @returns {Promise<Object>} - Normalized metadata
+   */
+  async getMetadata(videoId) {
+    const metadata = await youtubeService.getVideoMetadata(videoId);
+    return { ...metadata, sourceId: videoId };
+  }
+
+  /**
+   * Placeholder metadata used when the caller skips the metadata fetch
+   * @param {string} videoId - YouTube video ID
+   * @returns {Object} - Normalized metadata
+   */
+  getBasicMetadata(videoId) {
+    return {
+      sourceId: videoId,
+      youtubeId: videoId,
+      url: `https://www.youtube.com/watch?v=${videoId}`,
+      title: `Video ${videoId}`,
+      author: 'Unknown',
+      duration: null,
+      uploadDate: null,
+      error: 'Metadata fetch skipped'
+    };
+  }
+
+  /**
+   * Fetch YouTube captions
+   * @param {string} videoId - YouTube video ID
+   * @param {Object} options - { lang }
+   * @returns {Promise<Object>} - { segments, language }, offsets and durations in seconds
+   */
+  async getTranscript(videoId, options = {}) {
+    const transcript = await YoutubeTranscript.fetchTranscript(
+      videoId,
+      options.lang ? { lang: options.lang } : undefined
+    );
+
+    return {
+      segments: normalizeSegments(transcript || []),
+      language: transcript?.[0]?.lang || options.lang || 'unknown'
+    };
+  }
+
+  /**
+   * List the caption languages of a video
+   * @param {string} videoId - YouTube video ID
+   * @returns {Promise<Array>} - [{ language, name, autoGenerated }]
+   */
+  async getLanguages(videoId) {
+    return await youtubeService.getCaptionTracks(videoId);
+  }
+
+  /**
+   * Download the audio track for local speech-to-text
+   * @param {string} videoId - YouTube video ID
+   * @param {string} workDir - Temporary directory to download into
+   * @returns {Promise<string>} - Path of the downloaded audio file
+   */
+  async getAudio(videoId, workDir) {
+    const filePath = path.join(workDir, `${videoId}.audio`);
+
+    // Speech-to-text resamples to 16 kHz anyway, so the smallest audio stream is enough
+    await pipeline(
+      ytdl(`https://www.youtube.com/watch?v=${videoId}`, { filter: 'audioonly', quality: 'lowestaudio' }),
+      fs.createWriteStream(filePath)
+    );
+
+    return filePath;
+  }
+
+  /**
+   * Build a link that opens the video at a given time
+   * @param {string} videoId - YouTube video ID
+   * @param {number} seconds - Offset in seconds
+   * @returns {string} - Deep link
+   */
+  getTimestampUrl(videoId, seconds) {
+    return `https://www.youtube.com/watch?v=${videoId}&t=${Math.floor(seconds)}s`;
+  }
+}
+
+module.exports = new YouTubeProvider();
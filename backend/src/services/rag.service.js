@@ -79,32 +79,9 @@ class RAGService {
    */
   async query(query, videoIds = []) {
     try {
-      // In a full implementation, this would:
-      // 1. Generate query embedding
-      // 2. Find similar chunks using vector similarity
-      // 3. Retrieve relevant context
-      // 4. Use LLM to generate answer
-
-      // For now, simple keyword matching and LLM completion
-      let videos;
-
-      if (videoIds.length > 0) {
-        videos = await prisma.video.findMany({
-          where: { id: { in: videoIds } },
-          include: { category: true }
-        });
-      } else {
-        // Get all videos with transcriptions
-        videos = await prisma.video.findMany({
-          where: {
-            transcription: { not: null }
-          },
-          include: { category: true },
-          take: 10 // Limit for performance
-        });
-      }
+      const prepared = await this.buildContext(videoIds);
 
-      if (videos.length === 0) {
+      if (!prepared) {
         return {
           success: false,
           message: 'No indexed videos found',
@@ -112,22 +89,16 @@ class RAGService {
         };
       }
 
-      // Combine relevant transcripts as context
-      const context = videos
-        .map(v => `[${v.title}]\n${v.transcription?.substring(0, 2000)}`)
-        .join('\n\n---\n\n');
-
       // Use LLM to answer question
-      const answer = await llmService.answerQuestion(query, context);
+      // Usage is attributed to the video when the question is about a single one
+      const answer = await llmService.answerQuestion(query, prepared.context, {
+        videoId: videoIds.length === 1 ? videoIds[0] : undefined
+      });
 
       return {
         success: true,
         answer,
-        sources: videos.map(v => ({
-          id: v.id,
-          title: v.title,
-          url: v.url
-        }))
+        sources: prepared.sources
       };
     } catch (error) {
       console.error('Error querying knowledge base:', error.message);
@@ -135,6 +106,84 @@ class RAGService {
     }
   }
 
+  /**
+   * Query the knowledge base, streaming the answer
+   * @param {string} query - User query
+   * @param {Array} videoIds - Optional: Limit search to specific videos
+   * @param {Object} options - { signal } to stop generating
+   * @returns {Promise<Object>} - { success, sources, stream } where stream yields answer chunks,
+   *   or { success: false, message } if there is nothing to search
+   */
+  async streamQuery(query, videoIds = [], options = {}) {
+    const prepared = await this.buildContext(videoIds);
+
+    if (!prepared) {
+      return {
+        success: false,
+        message: 'No indexed videos found'
+      };
+    }
+
+    return {
+      success: true,
+      sources: prepared.sources,
+      stream: llmService.streamAnswer(query, prepared.context, {
+        signal: options.signal,
+        videoId: videoIds.length === 1 ? videoIds[0] : undefined
+      })
+    };
+  }
+
+  /**
+   * Collect transcripts to answer from
+   * @param {Array} videoIds - Videos to use; all transcribed videos if empty
+   * @returns {Promise<Object|null>} - { context, sources } or null if there are no videos
+   */
+  async buildContext(videoIds = []) {
+    // In a full implementation, this would:
+    // 1. Generate query embedding
+    // 2. Find similar chunks using vector similarity
+    // 3. Retrieve relevant context
+
+    // For now, simple keyword matching and LLM completion
+    let videos;
+
+    if (videoIds.length > 0) {
+      videos = await prisma.video.findMany({
+        where: { id: { in: videoIds } },
+        include: { category: true }
+      });
+    } else {
+      // Get all videos with transcriptions
+      videos = await prisma.video.findMany({
+        where: {
+          transcription: { not: null }
+        },
+        include: { category: true },
+        take: 10 // Limit for performance
+      });
+    }
+
+    if (videos.length === 0) {
+      return null;
+    }
+
+    // Combine relevant transcripts as context, sharing the model's context budget between videos
+    const perVideo = Math.floor(llmService.getChunkSize(500) / videos.length);
+    const context = videos
+      .map(v => `[${v.title}]\n${v.transcription?.substring(0, perVideo)}`)
+      .join('\n\n---\n\n');
+
+    return {
+      context,
+      sources: videos.map(v => ({
+        id: v.id,
+        title: v.title,
+        url: v.url
+      }))
+    };
+  }
+
   /**
    * Get relationships between videos
    * @param {string} videoId - Video ID
@@ -0,0 +1,58 @@
+const { Server } = require('socket.io');
+
+/**
+ * Live updates for the frontend over socket.io.
+ *
+ * Events (all broadcast to every connected client):
+ *   video:added        { video }
+ *   video:updated      { video }
+ *   video:categorized  { videoId, category, tags }
+ *   video:processing   { videoId, jobId, status, stage, progress }
+ *   video:summary-ready { videoId, summary }
+ *   video:deleted      { videoIds }
+ *   job:updated        { job }
+ */
+class RealtimeService {
+  constructor() {
+    this.io = null;
+  }
+
+  /**
+   * Attach the socket.io server to the HTTP server
+   * @param {Object} httpServer - Server returned by app.listen()
+   */
+  attach(httpServer) {
+    this.io = new Server(httpServer, {
+      cors: { origin: process.env.CORS_ORIGIN || '*' }
+    });
+  }
+
+  /**
+   * Broadcast an event; a no-op until attach() has run (e.g. in scripts)
+   * @param {string} event - Event name
+   * @param {Object} payload - Event data
+   */
+  emit(event, payload) {
+    if (this.io) {
+      this.io.emit(event, payload);
+    }
+  }
+
+  /**
+   * Parse a video record's JSON columns the way the REST API returns them
+   * @param {Object} video - Video record
+   * @returns {Object} - Video with tags and summaryJson as objects
+   */
+  formatVideo(video) {
+    return {
+      ...video,
+      tags: JSON.parse(video.tags || '[]'),
+      summaryJson: video.summaryJson ? JSON.parse(video.summaryJson) : null,
+      highlightsJson: video.highlightsJson ? JSON.parse(video.highlightsJson) : null,
+      chaptersJson: video.chaptersJson ? JSON.parse(video.chaptersJson) : null,
+      summaryPromptVersions: video.summaryPromptVersions ? JSON.parse(video.summaryPromptVersions) : null
+    };
+  }
+}
+
+module.exports = new RealtimeService();
@@ -0,0 +1,238 @@
+const EventEmitter = require('events');
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+const PROVIDERS = ['openai', 'gemini', 'local', 'compatible', 'mock'];
+
+// Other names accepted for a provider
+const PROVIDER_ALIASES = {
+  offline: 'mock',
+  'openai-compatible': 'compatible'
+};
+
+// Tasks a model can be chosen for; summary also covers study formats, key moments, chapters, topics and translations
+const TASKS = ['summary', 'chat', 'categorization'];
+
+const SETTINGS_KEY = 'llm';
+
+/**
+ * Runtime LLM settings, persisted in the database and editable through /api/settings.
+ *
+ * Settings: { providers: fallback chain, models: default model per provider,
+ *   tasks: { [task]: { [provider]: model } } overrides, temperature, maxTokens }
+ * Until settings are saved the environment (LLM_PROVIDER, OPENAI_MODEL, ...) provides them;
+ * API keys and URLs stay in the environment.
+ *
+ * Emits 'updated' with the settings when they are loaded or changed.
+ */
+class SettingsService extends EventEmitter {
+  constructor() {
+    super();
+    this.providers = PROVIDERS;
+    this.tasks = TASKS;
+    this.current = null;
+    this.loading = null;
+  }
+
+  /**
+   * Settings derived from the environment
+   * @returns {Object}
+   */
+  getDefaults() {
+    return {
+      providers: this.parseProviders(process.env.LLM_PROVIDER || 'openai'),
+      models: {
+        openai: process.env.OPENAI_MODEL || 'gpt-3.5-turbo',
+        gemini: process.env.GEMINI_MODEL || 'gemini-pro',
+        local: process.env.LOCAL_LLM_MODEL || 'llama2',
+        compatible: process.env.COMPATIBLE_LLM_MODEL || 'default',
+        mock: 'extractive'
+      },
+      tasks: Object.fromEntries(TASKS.map(task => [task, {}])),
+      temperature: 0.7,
+      maxTokens: 2000
+    };
+  }
+
+  /**
+   * Provider chain from a comma-separated list or an array, with aliases resolved
+   * @param {string|Array<string>} value - e.g. "offline,openai"
+   * @returns {Array<string>}
+   */
+  parseProviders(value) {
+    const names = typeof value === 'string' ? value.split(',') : value;
+
+    if (!Array.isArray(names)) {
+      return names;
+    }
+
+    return names
+      .map(name => (typeof name === 'string' ? name.trim().toLowerCase() : name))
+      .filter(Boolean)
+      .map(name => PROVIDER_ALIASES[name] || name);
+  }
+
+  /**
+   * Current settings, loaded from the database on first use
+   * @returns {Promise<Object>}
+   */
+  async get() {
+    if (this.current) {
+      return this.current;
+    }
+
+    if (!this.loading) {
+      this.loading = prisma.setting.findUnique({ where: { key: SETTINGS_KEY } })
+        .then(stored => (stored ? this.merge(this.getDefaults(), JSON.parse(stored.value)) : this.getDefaults()))
+        .catch(error => {
+          console.error('Error loading settings, using defaults:', error.message);
+          return this.getDefaults();
+        })
+        .then(settings => {
+          this.current = settings;
+          this.emit('updated', settings);
+          return settings;
+        })
+        .finally(() => {
+          this.loading = null;
+        });
+    }
+
+    return await this.loading;
+  }
+
+  /**
+   * Apply partial changes to settings; an empty task model removes the override
+   * @param {Object} base - Current settings
+   * @param {Object} changes - Fields to change
+   * @returns {Object} - New settings
+   */
+  merge(base, changes = {}) {
+    const settings = {
+      ...base,
+      models: { ...base.models, ...changes.models },
+      tasks: Object.fromEntries(TASKS.map(task => [task, { ...base.tasks[task], ...changes.tasks?.[task] }]))
+    };
+
+    if (changes.providers !== undefined) {
+      settings.providers = this.parseProviders(changes.providers);
+    }
+    if (changes.temperature !== undefined) {
+      settings.temperature = changes.temperature;
+    }
+    if (changes.maxTokens !== undefined) {
+      settings.maxTokens = changes.maxTokens;
+    }
+
+    for (const task of TASKS) {
+      for (const [provider, model] of Object.entries(settings.tasks[task])) {
+        if (!model) {
+          delete settings.tasks[task][provider];
+        }
+      }
+    }
+
+    return settings;
+  }
+
+  /**
+   * Check settings, throwing a 400 error that lists every problem
+   * @param {Object} settings - Settings to check
+   */
+  validate(settings) {
+    const errors = [];
+
+    if (!Array.isArray(settings.providers) || settings.providers.length === 0) {
+      errors.push('providers must list at least one provider');
+    } else {
+      for (const provider of settings.providers) {
+        if (!PROVIDERS.includes(provider)) {
+          errors.push(`Unknown provider "${provider}" (use ${PROVIDERS.join(', ')})`);
+        }
+      }
+      if (new Set(settings.providers).size !== settings.providers.length) {
+        errors.push('providers must not repeat a provider');
+      }
+    }
+
+    for (const [provider, model] of Object.entries(settings.models)) {
+      if (!PROVIDERS.includes(provider)) {
+        errors.push(`models.${provider}: unknown provider`);
+      } else if (typeof model !== 'string' || !model.trim()) {
+        errors.push(`models.${provider} must be a model name`);
+      }
+    }
+
+    for (const task of TASKS) {
+      for (const [provider, model] of Object.entries(settings.tasks[task])) {
+        if (!PROVIDERS.includes(provider)) {
+          errors.push(`tasks.${task}.${provider}: unknown provider`);
+        } else if (typeof model !== 'string') {
+          errors.push(`tasks.${task}.${provider} must be a model name`);
+        }
+      }
+    }
+
+    if (typeof settings.temperature !== 'number' || settings.temperature < 0 || settings.temperature > 2) {
+      errors.push('temperature must be a number between 0 and 2');
+    }
+
+    if (!Number.isInteger(settings.maxTokens) || settings.maxTokens < 1 || settings.maxTokens > 32000) {
+      errors.push('maxTokens must be an integer between 1 and 32000');
+    }
+
+    if (errors.length) {
+      const error = new Error(`Invalid settings: ${errors.join('; ')}`);
+      error.status = 400;
+      error.details = errors;
+      throw error;
+    }
+  }
+
+  /**
+   * Settings that would result from changes, validated but not saved
+   * @param {Object} changes - Fields to change
+   * @returns {Promise<Object>}
+   */
+  async preview(changes) {
+    const settings = this.merge(await this.get(), changes);
+    this.validate(settings);
+    return settings;
+  }
+
+  /**
+   * Validate, persist and apply changes
+   * @param {Object} changes - Fields to change
+   * @returns {Promise<Object>} - New settings
+   */
+  async update(changes) {
+    const settings = await this.preview(changes);
+
+    await prisma.setting.upsert({
+      where: { key: SETTINGS_KEY },
+      update: { value: JSON.stringify(settings) },
+      create: { key: SETTINGS_KEY, value: JSON.stringify(settings) }
+    });
+
+    this.current = settings;
+    this.emit('updated', settings);
+
+    return settings;
+  }
+
+  /**
+   * Drop saved settings and go back to the environment
+   * @returns {Promise<Object>} - Default settings
+   */
+  async reset() {
+    await prisma.setting.deleteMany({ where: { key: SETTINGS_KEY } });
+
+    this.current = this.getDefaults();
+    this.emit('updated', this.current);
+
+    return this.current;
+  }
+}
+
+module.exports = new SettingsService();
@@ -0,0 +1,106 @@
+const youtubeProvider = require('./providers/youtube.provider');
+const localMediaProvider = require('./providers/local-media.provider');
+const podcastProvider = require('./providers/podcast.provider');
+
+/**
+ * Registry of video source providers.
+ *
+ * A provider is an object with:
+ * - name / label
+ * - extractId(input) -> sourceId | null
+ * - getMetadata(sourceId) -> Promise<{ sourceId, url, title, author, duration, uploadDate, thumbnail, description }>
+ * - getTranscript(sourceId, { lang }) -> Promise<{ segments: [{ text, offset, duration }], language }>
+ * - getTimestampUrl(sourceId, seconds, url) -> deep link
+ * - getLanguages(sourceId) -> Promise<[{ language, name, autoGenerated }]> (optional)
+ * - getAudio(sourceId, workDir) -> Promise<audio file path> (optional, used by local speech-to-text)
+ */
+class SourceProviderService {
+  constructor() {
+    this.providers = new Map();
+
+    // Resolution order matters: the first provider whose extractId matches wins
+    this.register(youtubeProvider);
+    this.register(podcastProvider);
+    this.register(localMediaProvider);
+  }
+
+  /**
+   * Register a provider
+   * @param {Object} provider - Provider implementation
+   */
+  register(provider) {
+    this.providers.set(provider.name, provider);
+  }
+
+  /**
+   * Get a provider by name
+   * @param {string} name - Provider name
+   * @returns {Object} - Provider
+   */
+  getProvider(name = 'youtube') {
+    const provider = this.providers.get(name);
+
+    if (!provider) {
+      throw new Error(`Unknown video source: ${name}`);
+    }
+
+    return provider;
+  }
+
+  /**
+   * List registered providers
+   * @returns {Array} - [{ name, label }]
+   */
+  listProviders() {
+    return [...this.providers.values()].map(p => ({ name: p.name, label: p.label }));
+  }
+
+  /**
+   * Find the provider that understands an input URL or ID
+   * @param {string} input - URL, ID or path
+   * @param {string} source - Optional provider name to restrict resolution to
+   * @returns {Object|null} - { provider, sourceId } or null
+   */
+  resolve(input, source) {
+    if (source && !this.providers.has(source)) {
+      return null;
+    }
+
+    const candidates = source ? [this.providers.get(source)] : [...this.providers.values()];
+
+    for (const provider of candidates) {
+      const sourceId = provider.extractId(input);
+      if (sourceId) {
+        return { provider, sourceId };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Get the provider and source ID of a stored video
+   * (records created before providers existed only have youtubeId)
+   * @param {Object} video - Video record
+   * @returns {Object} - { provider, sourceId }
+   */
+  getVideoSource(video) {
+    return {
+      provider: this.getProvider(video.source || 'youtube'),
+      sourceId: video.sourceId || video.youtubeId
+    };
+  }
+
+  /**
+   * Build a deep link into a stored video at a given time
+   * @param {Object} video - Video record
+   * @param {number} seconds - Offset in seconds
+   * @returns {string} - Deep link
+   */
+  getTimestampUrl(video, seconds) {
+    const { provider, sourceId } = this.getVideoSource(video);
+    return provider.getTimestampUrl(sourceId, seconds, video.url);
+  }
+}
+
+module.exports = new SourceProviderService();
@@ -0,0 +1,154 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const sourceProviderService = require('./source-provider.service');
+
+const execFileAsync = promisify(execFile);
+
+/**
+ * Local speech-to-text using a whisper.cpp binary.
+ *
+ * Audio is converted to 16 kHz mono WAV with ffmpeg (what whisper.cpp expects),
+ * then transcribed on the CPU. Disabled unless WHISPER_CPP_PATH and WHISPER_MODEL_PATH are set.
+ */
+class SpeechToTextService {
+  /**
+   * Whether a speech-to-text engine is configured
+   * @returns {boolean}
+   */
+  isEnabled() {
+    return Boolean(process.env.WHISPER_CPP_PATH && process.env.WHISPER_MODEL_PATH);
+  }
+
+  /**
+   * Name of the configured engine, recorded on the transcripts it produces
+   * @returns {string} - e.g. "whisper.cpp (ggml-base.en)"
+   */
+  getEngineName() {
+    const model = path.basename(process.env.WHISPER_MODEL_PATH || '', '.bin');
+    return model ? `whisper.cpp (${model})` : 'whisper.cpp';
+  }
+
+  /**
+   * Transcribe a stored video, using its provider to download the audio unless a file is given
+   * @param {Object} video - Video record
+   * @param {Object} options - { audioPath, language }
+   * @returns {Promise<Object>} - { segments, language, engine }
+   */
+  async transcribeVideo(video, options = {}) {
+    if (options.audioPath) {
+      return await this.transcribeFile(options.audioPath, options);
+    }
+
+    const { provider, sourceId } = sourceProviderService.getVideoSource(video);
+
+    if (!provider.getAudio) {
+      throw new Error(`${provider.label} sources do not provide audio for transcription`);
+    }
+
+    const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'stt-audio-'));
+
+    try {
+      const audioPath = await provider.getAudio(sourceId, workDir);
+      return await this.transcribeFile(audioPath, options);
+    } finally {
+      await fs.promises.rm(workDir, { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * Transcribe user-supplied audio held in memory (an uploaded request body)
+   * @param {Buffer} buffer - Audio file content
+   * @param {Object} options - { language }
+   * @returns {Promise<Object>} - { segments, language, engine }
+   */
+  async transcribeBuffer(buffer, options = {}) {
+    const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'stt-upload-'));
+    const audioPath = path.join(workDir, 'upload.audio');
+
+    try {
+      await fs.promises.writeFile(audioPath, buffer);
+      return await this.transcribeFile(audioPath, options);
+    } finally {
+      await fs.promises.rm(workDir, { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * Transcribe an audio or video file
+   * @param {string} audioPath - Path of any file ffmpeg can decode
+   * @param {Object} options - { language } ("auto" detects the spoken language)
+   * @returns {Promise<Object>} - { segments: [{ text, offset, duration }], language, engine }
+   */
+  async transcribeFile(audioPath, options = {}) {
+    if (!this.isEnabled()) {
+      throw new Error('Local speech-to-text is not configured (set WHISPER_CPP_PATH and WHISPER_MODEL_PATH)');
+    }
+
+    const workDir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'stt-'));
+    const wavPath = path.join(workDir, 'audio.wav');
+    const outputBase = path.join(workDir, 'transcript');
+    const timeout = (parseInt(process.env.WHISPER_TIMEOUT_MINUTES) || 60) * 60 * 1000;
+
+    try {
+      await execFileAsync(process.env.FFMPEG_PATH || 'ffmpeg', [
+        '-nostdin', '-y',
+        '-i', audioPath,
+        '-vn', '-ar', '16000', '-ac', '1', '-c:a', 'pcm_s16le',
+        wavPath
+      ], { timeout, maxBuffer: 10 * 1024 * 1024 });
+
+      await execFileAsync(process.env.WHISPER_CPP_PATH, [
+        '-m', process.env.WHISPER_MODEL_PATH,
+        '-f', wavPath,
+        '-l', options.language || process.env.WHISPER_LANGUAGE || 'auto',
+        '-t', String(parseInt(process.env.WHISPER_THREADS) || os.cpus().length),
+        '-oj',
+        '-of', outputBase
+      ], { timeout, maxBuffer: 50 * 1024 * 1024 });
+
+      const output = JSON.parse(await fs.promises.readFile(`${outputBase}.json`, 'utf8'));
+
+      return {
+        segments: this.parseOutput(output),
+        language: output.result?.language || options.language || 'unknown',
+        engine: this.getEngineName()
+      };
+    } catch (error) {
+      if (error.code === 'ENOENT' && error.syscall?.startsWith('spawn')) {
+        throw new Error(`Speech-to-text binary not found: ${error.path}`);
+      }
+      if (error.killed) {
+        throw new Error('Speech-to-text timed out');
+      }
+      throw error;
+    } finally {
+      await fs.promises.rm(workDir, { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * Convert whisper.cpp JSON output (-oj) into transcript segments
+   * @param {Object} output - Parsed JSON output
+   * @returns {Array} - Segments: { text, offset, duration } (seconds)
+   */
+  parseOutput(output) {
+    return (output.transcription || [])
+      .map(item => {
+        const from = (item.offsets?.from || 0) / 1000;
+        const to = (item.offsets?.to || 0) / 1000;
+
+        return {
+          text: (item.text || '').replace(/\s+/g, ' ').trim(),
+          offset: from,
+          duration: Math.max(0, to - from)
+        };
+      })
+      // whisper.cpp marks silence and music with bracketed tokens such as [BLANK_AUDIO]
+      .filter(segment => segment.text && !/^\[[A-Z_ ]+\]$/.test(segment.text));
+  }
+}
+
+module.exports = new SpeechToTextService();
@@ -0,0 +1,194 @@
+/**
+ * Parsing and validation of JSON returned by LLMs.
+ *
+ * Schemas are a small subset of JSON Schema:
+ *   { type, properties, required, items, enum, minItems, maxItems, minLength, minimum, maximum }
+ * where `type` is one of object, array, string, number, integer, boolean, null (or a list of them).
+ */
+class StructuredOutputService {
+  /**
+   * Pull a JSON value out of model output: plain JSON, a ```json fence, or JSON surrounded by prose
+   * @param {string} text - Raw model output
+   * @returns {*} - Parsed value
+   */
+  extractJson(text) {
+    if (typeof text !== 'string' || !text.trim()) {
+      throw new Error('Response is empty');
+    }
+
+    const candidates = [text.trim()];
+
+    const fence = text.match(/```(?:json)?\s*([\s\S]*?)```/i);
+    if (fence) {
+      candidates.push(fence[1].trim());
+    }
+
+    candidates.push(...this.findBalanced(text));
+
+    for (const candidate of candidates) {
+      const value = this.tryParse(candidate);
+      if (value !== undefined) {
+        return value;
+      }
+    }
+
+    throw new Error('Response does not contain valid JSON');
+  }
+
+  /**
+   * Parse JSON, retrying once without trailing commas
+   * @returns {*} - Parsed value or undefined
+   */
+  tryParse(candidate) {
+    for (const text of [candidate, candidate.replace(/,\s*([}\]])/g, '$1')]) {
+      try {
+        return JSON.parse(text);
+      } catch (error) {
+        // try the next variant
+      }
+    }
+
+    return undefined;
+  }
+
+  /**
+   * Find balanced {...} and [...] spans in text, skipping brackets inside strings
+   * @param {string} text - Text to scan
+   * @returns {Array<string>} - Candidate spans in order of appearance
+   */
+  findBalanced(text) {
+    const spans = [];
+
+    for (let start = 0; start < text.length; start++) {
+      if (text[start] !== '{' && text[start] !== '[') {
+        continue;
+      }
+
+      const stack = [];
+      let inString = false;
+
+      for (let i = start; i < text.length; i++) {
+        const char = text[i];
+
+        if (inString) {
+          if (char === '\\') {
+            i++;
+          } else if (char === '"') {
+            inString = false;
+          }
+        } else if (char === '"') {
+          inString = true;
+        } else if (char === '{' || char === '[') {
+          stack.push(char === '{' ? '}' : ']');
+        } else if (char === '}' || char === ']') {
+          if (stack.pop() !== char) {
+            break;
+          }
+          if (stack.length === 0) {
+            spans.push(text.substring(start, i + 1));
+            start = i;
+            break;
+          }
+        }
+      }
+    }
+
+    return spans;
+  }
+
+  /**
+   * Validate a value against a schema
+   * @param {*} value - Parsed JSON
+   * @param {Object} schema - Schema (see top of file)
+   * @param {string} path - Location used in error messages
+   * @returns {Array<string>} - Validation errors, empty if the value is valid
+   */
+  validate(value, schema, path = '$') {
+    if (!schema) {
+      return [];
+    }
+
+    const types = [].concat(schema.type || []);
+    if (types.length && !types.some(type => this.isType(value, type))) {
+      return [`${path} should be ${types.join(' or ')}, got ${value === null ? 'null' : Array.isArray(value) ? 'array' : typeof value}`];
+    }
+
+    const errors = [];
+
+    if (schema.enum && !schema.enum.includes(value)) {
+      errors.push(`${path} should be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`);
+    }
+
+    if (typeof value === 'string' && schema.minLength !== undefined && value.trim().length < schema.minLength) {
+      errors.push(`${path} should have at least ${schema.minLength} characters`);
+    }
+
+    if (typeof value === 'number') {
+      if (schema.minimum !== undefined && value < schema.minimum) {
+        errors.push(`${path} should be >= ${schema.minimum}`);
+      }
+      if (schema.maximum !== undefined && value > schema.maximum) {
+        errors.push(`${path} should be <= ${schema.maximum}`);
+      }
+    }
+
+    if (Array.isArray(value)) {
+      if (schema.minItems !== undefined && value.length < schema.minItems) {
+        errors.push(`${path} should have at least ${schema.minItems} items, got ${value.length}`);
+      }
+      if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+        errors.push(`${path} should have at most ${schema.maxItems} items, got ${value.length}`);
+      }
+      if (schema.items) {
+        value.forEach((item, index) => errors.push(...this.validate(item, schema.items, `${path}[${index}]`)));
+      }
+    } else if (value && typeof value === 'object') {
+      for (const key of schema.required || []) {
+        if (value[key] === undefined) {
+          errors.push(`${path}.${key} is required`);
+        }
+      }
+      for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+        if (value[key] !== undefined) {
+          errors.push(...this.validate(value[key], propertySchema, `${path}.${key}`));
+        }
+      }
+    }
+
+    return errors;
+  }
+
+  isType(value, type) {
+    switch (type) {
+      case 'object':
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+      case 'array':
+        return Array.isArray(value);
+      case 'integer':
+        return Number.isInteger(value);
+      case 'null':
+        return value === null;
+      default:
+        return typeof value === type;
+    }
+  }
+
+  /**
+   * Parse and validate model output
+   * @param {string} text - Raw model output
+   * @param {Object} schema - Expected schema
+   * @returns {Object} - { value, errors }; errors is empty when the value can be used
+   */
+  parse(text, schema) {
+    let value;
+    try {
+      value = this.extractJson(text);
+    } catch (error) {
+      return { value: undefined, errors: [error.message] };
+    }
+
+    return { value, errors: this.validate(value, schema) };
+  }
+}
+
+module.exports = new StructuredOutputService();
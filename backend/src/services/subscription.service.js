@@ -0,0 +1,303 @@
+const axios = require('axios');
+const { PrismaClient } = require('@prisma/client');
+const youtubeService = require('./youtube.service');
+const videoImportService = require('./video-import.service');
+const jobService = require('./job.service');
+
+const prisma = new PrismaClient();
+
+/**
+ * Default feed fetcher: HTTP(S) via axios
+ * @param {string} feedUrl - Feed URL
+ * @returns {Promise<string>} - Raw feed XML
+ */
+async function defaultFeedFetcher(feedUrl) {
+  const response = await axios.get(feedUrl, { responseType: 'text' });
+  return response.data;
+}
+
+class SubscriptionService {
+  constructor() {
+    this.feedFetcher = defaultFeedFetcher;
+    this.pollTimer = null;
+    this.polling = false;
+  }
+
+  /**
+   * Replace the feed fetcher (e.g. to serve a local fixture feed in tests)
+   * @param {Function} fetcher - async (feedUrl) => feed XML, or null to restore the default
+   */
+  setFeedFetcher(fetcher) {
+    this.feedFetcher = fetcher || defaultFeedFetcher;
+  }
+
+  /**
+   * Parse a YouTube Atom feed (or a generic RSS feed linking to YouTube videos)
+   * @param {string} xml - Raw feed XML
+   * @returns {Object} - { title, entries: [{ youtubeId, title, author, published }] }
+   */
+  parseFeed(xml) {
+    const decode = (text) => (text || '')
+      .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1')
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>')
+      .replace(/&quot;/g, '"')
+      .replace(/&#39;/g, "'")
+      .replace(/&amp;/g, '&')
+      .trim();
+
+    const tag = (block, name) => {
+      const match = block.match(new RegExp(`<${name}(?:\\s[^>]*)?>([\\s\\S]*?)</${name}>`));
+      return match ? decode(match[1]) : null;
+    };
+
+    const header = xml.split(/<entry[\s>]|<item[\s>]/)[0];
+    const blocks = xml.match(/<(entry|item)[\s>][\s\S]*?<\/\1>/g) || [];
+
+    const entries = blocks.map(block => {
+      const link = block.match(/<link[^>]*href="([^"]+)"/)?.[1] || tag(block, 'link');
+      const youtubeId = tag(block, 'yt:videoId') || (link && youtubeService.extractVideoId(link));
+      const published = tag(block, 'published') || tag(block, 'pubDate') || tag(block, 'updated');
+
+      return {
+        youtubeId,
+        title: tag(block, 'title'),
+        author: tag(block, 'name') || tag(block, 'author'),
+        published: published ? new Date(published) : null
+      };
+    }).filter(entry => entry.youtubeId);
+
+    return {
+      title: tag(header, 'title'),
+      entries
+    };
+  }
+
+  /**
+   * Fetch and parse the feed of a subscription
+   * @param {string} feedUrl - Feed URL
+   * @returns {Promise<Object>} - Parsed feed
+   */
+  async fetchFeed(feedUrl) {
+    const xml = await this.feedFetcher(feedUrl);
+    return this.parseFeed(xml);
+  }
+
+  /**
+   * Create a subscription from a channel URL/handle/ID or a feed URL
+   * @param {Object} data - { channel, feedUrl, categoryId, tags, autoProcess, importExisting }
+   * @returns {Promise<Object>} - Created subscription and optional initial check result
+   */
+  async createSubscription(data) {
+    const { channel, categoryId, tags, autoProcess, importExisting } = data;
+    let { feedUrl } = data;
+    let channelId = null;
+
+    if (!feedUrl) {
+      channelId = await youtubeService.resolveChannelId(channel);
+      if (!channelId) {
+        const error = new Error('Could not resolve YouTube channel');
+        error.status = 400;
+        throw error;
+      }
+      feedUrl = youtubeService.getChannelFeedUrl(channelId);
+    } else if (!/^https?:\/\//i.test(feedUrl)) {
+      const error = new Error('feedUrl must be an http(s) URL');
+      error.status = 400;
+      throw error;
+    }
+
+    const feed = await this.fetchFeed(feedUrl);
+
+    // Without importExisting only uploads published after subscribing are ingested
+    const latest = feed.entries
+      .map(entry => entry.published)
+      .filter(Boolean)
+      .sort((a, b) => b - a)[0];
+
+    const subscription = await prisma.subscription.create({
+      data: {
+        channelId,
+        feedUrl,
+        title: feed.title,
+        categoryId: categoryId || null,
+        tags: JSON.stringify(tags || []),
+        autoProcess: Boolean(autoProcess),
+        lastPublishedAt: importExisting ? null : latest || new Date()
+      },
+      include: { category: true }
+    });
+
+    if (importExisting) {
+      const check = await this.checkSubscription(subscription.id);
+      return { subscription: check.subscription, check };
+    }
+
+    return { subscription, check: null };
+  }
+
+  /**
+   * Poll one subscription's feed and ingest entries newer than the last seen upload
+   * @param {string} id - Subscription ID
+   * @returns {Promise<Object>} - Per-entry report
+   */
+  async checkSubscription(id) {
+    const subscription = await prisma.subscription.findUnique({
+      where: { id }
+    });
+
+    if (!subscription) {
+      const error = new Error('Subscription not found');
+      error.status = 404;
+      throw error;
+    }
+
+    const items = [];
+    let lastPublishedAt = subscription.lastPublishedAt;
+    // Entries are ingested oldest first; the cursor stops before the first failure so the next poll retries it
+    let failed = false;
+
+    try {
+      const feed = await this.fetchFeed(subscription.feedUrl);
+      const tags = JSON.parse(subscription.tags || '[]');
+
+      const newEntries = feed.entries
+        .filter(entry => !subscription.lastPublishedAt ||
+          (entry.published && entry.published > subscription.lastPublishedAt))
+        .sort((a, b) => (a.published || 0) - (b.published || 0));
+
+      for (const entry of newEntries) {
+        try {
+          const result = await videoImportService.addVideo(entry.youtubeId, {
+            categoryId: subscription.categoryId,
+            tags,
+            knownMetadata: entry
+          });
+
+          const item = {
+            youtubeId: entry.youtubeId,
+            title: result.video.title,
+            videoId: result.video.id,
+            status: result.status === 'added' ? 'added' : 'skipped'
+          };
+
+          if (result.status === 'added' && subscription.autoProcess) {
+            const { job } = await jobService.enqueue('process-video', {}, { videoId: result.video.id });
+            item.jobId = job.id;
+          }
+
+          items.push(item);
+        } catch (error) {
+          console.error(`Error ingesting subscription entry ${entry.youtubeId}:`, error.message);
+          items.push({ youtubeId: entry.youtubeId, title: entry.title, status: 'failed', reason: error.message });
+          failed = true;
+        }
+
+        if (!failed && entry.published && (!lastPublishedAt || entry.published > lastPublishedAt)) {
+          lastPublishedAt = entry.published;
+        }
+      }
+
+      const updated = await prisma.subscription.update({
+        where: { id },
+        data: {
+          title: subscription.title || feed.title,
+          lastCheckedAt: new Date(),
+          lastPublishedAt,
+          lastError: null
+        },
+        include: { category: true }
+      });
+
+      return {
+        subscription: updated,
+        added: items.filter(i => i.status === 'added').length,
+        skipped: items.filter(i => i.status === 'skipped').length,
+        failed: items.filter(i => i.status === 'failed').length,
+        items
+      };
+    } catch (error) {
+      console.error(`Error checking subscription ${id}:`, error.message);
+
+      await prisma.subscription.update({
+        where: { id },
+        data: {
+          lastCheckedAt: new Date(),
+          lastError: error.message
+        }
+      });
+
+      throw error;
+    }
+  }
+
+  /**
+   * Poll all active subscriptions
+   * @returns {Promise<Array>} - Per-subscription results
+   */
+  async checkAll() {
+    if (this.polling) {
+      return [];
+    }
+
+    this.polling = true;
+
+    try {
+      const subscriptions = await prisma.subscription.findMany({
+        where: { active: true }
+      });
+
+      const results = [];
+
+      for (const subscription of subscriptions) {
+        try {
+          const result = await this.checkSubscription(subscription.id);
+          results.push({
+            subscriptionId: subscription.id,
+            added: result.added,
+            skipped: result.skipped,
+            failed: result.failed
+          });
+        } catch (error) {
+          results.push({ subscriptionId: subscription.id, error: error.message });
+        }
+      }
+
+      return results;
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  /**
+   * Start the polling schedule (SUBSCRIPTION_POLL_MINUTES, 0 disables it)
+   */
+  startPolling() {
+    const minutes = parseFloat(process.env.SUBSCRIPTION_POLL_MINUTES || '60');
+
+    if (!minutes || minutes <= 0 || this.pollTimer) {
+      return;
+    }
+
+    this.pollTimer = setInterval(() => {
+      this.checkAll().catch(error => {
+        console.error('Error polling subscriptions:', error.message);
+      });
+    }, minutes * 60 * 1000);
+
+    // Don't keep the process alive just for polling
+    this.pollTimer.unref();
+  }
+
+  /**
+   * Stop the polling schedule
+   */
+  stopPolling() {
+    if (this.pollTimer) {
+      clearInterval(this.pollTimer);
+      this.pollTimer = null;
+    }
+  }
+}
+
+module.exports = new SubscriptionService();
@@ -1,14 +1,33 @@
-const { YoutubeTranscript } = require('youtube-transcript');
+const { PrismaClient } = require('@prisma/client');
+const sourceProviderService = require('./source-provider.service');
+const promptService = require('./prompt.service');
+const usageService = require('./usage.service');
+const { isTransientError } = require('./transient-errors');
+
+const prisma = new PrismaClient();
+
+const HIGHLIGHT_SCHEMA = {
+  type: 'object',
+  required: ['important'],
+  properties: {
+    highlight: { type: ['string', 'null'] },
+    time: { type: ['string', 'number', 'null'] },
+    important: { type: 'boolean' }
+  }
+};
 
 class TranscriptionService {
   /**
-   * Fetch transcript for a YouTube video
-   * @param {string} videoId - YouTube video ID
+   * Fetch transcript for a video from its source provider
+   * @param {string} videoId - Source ID (YouTube video ID, file path, episode reference)
+   * @param {string} source - Source provider name
+   * @param {Object} options - Provider options (lang)
    * @returns {Promise<Object>} - Transcript data
    */
-  async getTranscript(videoId) {
+  async getTranscript(videoId, source = 'youtube', options = {}) {
     try {
-      const transcript = await YoutubeTranscript.fetchTranscript(videoId);
+      const provider = sourceProviderService.getProvider(source);
+      const { segments: transcript, language } = await provider.getTranscript(videoId, options);
 
       if (!transcript || transcript.length === 0) {
         return {
@@ -31,7 +50,7 @@ class TranscriptionService {
         transcript: transcript,
         fullText: fullText,
         segments: transcript.length,
-        language: transcript[0]?.lang || 'unknown'
+        language: language || transcript[0]?.lang || 'unknown'
       };
     } catch (error) {
       console.error('Error fetching transcript:', error.message);
@@ -46,7 +65,7 @@ class TranscriptionService {
         };
       }
 
-      if (error.message.includes('Could not find')) {
+      if (error.message.includes('Could not find') || error.message.includes('No transcripts are available')) {
         return {
           success: false,
           message: 'No transcript available for this video',
@@ -58,6 +77,7 @@ class TranscriptionService {
       return {
         success: false,
         message: `Error fetching transcript: ${error.message}`,
+        retryable: isTransientError(error),
         transcript: null,
         fullText: null
       };
@@ -65,18 +85,191 @@ class TranscriptionService {
   }
 
   /**
-   * Get available transcript languages
-   * @param {string} videoId - YouTube video ID
-   * @returns {Promise<Array>} - Array of available languages
+   * Persist transcript segments for a video, replacing earlier transcripts from the same source and language
+   * @param {string} videoId - Video record ID
+   * @param {Array} segments - Transcript segments ({ text, offset, duration })
+   * @param {Object} info - { language, source, engine, translatedFrom }
+   * @returns {Promise<Object>} - Stored transcript (without segments)
+   */
+  async saveTranscript(videoId, segments, info = {}) {
+    const language = info.language || 'unknown';
+    const source = info.source || 'captions';
+
+    const [, transcript] = await prisma.$transaction([
+      prisma.transcript.deleteMany({
+        where: { videoId, language, source }
+      }),
+      prisma.transcript.create({
+        data: {
+          videoId,
+          language,
+          source,
+          engine: info.engine || null,
+          translatedFrom: info.translatedFrom || null,
+          segmentCount: segments.length,
+          segments: {
+            create: segments.map((segment, position) => ({
+              position,
+              offset: Number(segment.offset) || 0,
+              duration: Number(segment.duration) || 0,
+              text: segment.text
+            }))
+          }
+        }
+      })
+    ]);
+
+    return transcript;
+  }
+
+  /**
+   * Find the most recent stored transcript of a video
+   *
+   * Without a language or source filter only original (untranslated) transcripts are considered.
+   * @param {string} videoId - Video record ID
+   * @param {Object} filters - { language, source }
+   * @returns {Promise<Object|null>} - Transcript (without segments) or null
+   */
+  async findTranscript(videoId, filters = {}) {
+    const { language, source } = filters;
+
+    const where = { videoId };
+
+    if (language) {
+      where.language = language;
+    }
+
+    if (source) {
+      where.source = source;
+    } else if (!language) {
+      where.source = { not: 'translation' };
+    }
+
+    return await prisma.transcript.findFirst({
+      where,
+      orderBy: { createdAt: 'desc' }
+    });
+  }
+
+  /**
+   * List the transcripts stored for a video
+   * @param {string} videoId - Video record ID
+   * @returns {Promise<Array>} - Transcripts (without segments), newest first
+   */
+  async listTranscripts(videoId) {
+    return await prisma.transcript.findMany({
+      where: { videoId },
+      orderBy: { createdAt: 'desc' }
+    });
+  }
+
+  /**
+   * Load a complete stored transcript in the same shape as getTranscript
+   * @param {string} videoId - Video record ID
+   * @param {Object} filters - { language, source }
+   * @returns {Promise<Object|null>} - Transcript data or null if none stored
+   */
+  async loadTranscript(videoId, filters = {}) {
+    const transcript = await this.findTranscript(videoId, filters);
+
+    if (!transcript) {
+      return null;
+    }
+
+    const segments = await prisma.transcriptSegment.findMany({
+      where: { transcriptId: transcript.id },
+      orderBy: { position: 'asc' }
+    });
+
+    const fullText = segments
+      .map(segment => segment.text)
+      .join(' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+
+    return {
+      success: true,
+      transcriptId: transcript.id,
+      transcript: segments.map(({ text, offset, duration }) => ({ text, offset, duration })),
+      fullText,
+      segments: segments.length,
+      language: transcript.language,
+      source: transcript.source,
+      engine: transcript.engine,
+      translatedFrom: transcript.translatedFrom
+    };
+  }
+
+  /**
+   * Read stored transcript segments with pagination and an optional time range
+   * @param {string} videoId - Video record ID
+   * @param {Object} options - { language, start, end, limit, offset }
+   * @returns {Promise<Object|null>} - Transcript info with timestamped segments, or null if none stored
+   */
+  async getStoredTranscript(videoId, options = {}) {
+    const { start, end, limit = 200, offset = 0 } = options;
+
+    const transcript = await this.findTranscript(videoId, options);
+
+    if (!transcript) {
+      return null;
+    }
+
+    const where = { transcriptId: transcript.id };
+
+    if (start !== undefined || end !== undefined) {
+      where.offset = {};
+      if (start !== undefined) {
+        where.offset.gte = start;
+      }
+      if (end !== undefined) {
+        where.offset.lte = end;
+      }
+    }
+
+    const [segments, total] = await Promise.all([
+      prisma.transcriptSegment.findMany({
+        where,
+        orderBy: { position: 'asc' },
+        take: limit,
+        skip: offset
+      }),
+      prisma.transcriptSegment.count({ where })
+    ]);
+
+    return {
+      transcriptId: transcript.id,
+      language: transcript.language,
+      source: transcript.source,
+      engine: transcript.engine,
+      translatedFrom: transcript.translatedFrom,
+      createdAt: transcript.createdAt,
+      total,
+      limit,
+      offset,
+      segments: this.getTimestampedTranscript(segments)
+    };
+  }
+
+  /**
+   * Get the transcript languages a source offers
+   * @param {string} videoId - Source ID
+   * @param {string} source - Source provider name
+   * @returns {Promise<Array>} - [{ language, name, autoGenerated }]
    */
-  async getAvailableLanguages(videoId) {
+  async getAvailableLanguages(videoId, source = 'youtube') {
     try {
-      // Note: youtube-transcript library doesn't directly expose language list
-      // This is a placeholder for future enhancement
-      const transcript = await YoutubeTranscript.fetchTranscript(videoId);
+      const provider = sourceProviderService.getProvider(source);
+
+      if (provider.getLanguages) {
+        return await provider.getLanguages(videoId);
+      }
+
+      // Providers without a language list: report whatever the default transcript is in
+      const { segments, language } = await provider.getTranscript(videoId);
 
-      if (transcript && transcript.length > 0) {
-        return [transcript[0]?.lang || 'en'];
+      if (segments && segments.length > 0) {
+        return [{ language: language || 'unknown', name: null, autoGenerated: false }];
       }
 
       return [];
@@ -130,88 +323,132 @@ class TranscriptionService {
 
   /**
    * Generate timestamp-linked highlights using LLM
-   * @param {Array} transcript - Transcript segments with timestamps
+   *
+   * The transcript is split into time windows covering the whole video (at most
+   * HIGHLIGHT_MAX_WINDOWS, so long videos get longer windows) and each window is
+   * asked for its most important moment.
+   * @param {Array} transcript - Transcript segments with timestamps ({ text, offset })
    * @param {string} title - Video title
+   * @param {Object} options - { linkBuilder(seconds) -> deep link into the video, videoId for usage accounting }
    * @returns {Promise<Array>} - Array of highlights with timestamps
    */
-  async generateHighlights(transcript, title) {
+  async generateHighlights(transcript, title, options = {}) {
     if (!transcript || transcript.length === 0) {
       return [];
     }
 
+    const { linkBuilder } = options;
+    const toHighlight = (time, text) => ({
+      timestamp: time,
+      formattedTime: this.formatTimestamp(time),
+      text,
+      link: linkBuilder ? linkBuilder(time) : null
+    });
+
     try {
       // Import LLM service dynamically to avoid circular dependency
       const llmService = require('./llm.service');
 
-      // Group transcript into time windows (every 5 minutes or so)
-      const windowSize = 60; // 60 segments approximately
-      const windows = [];
-
-      for (let i = 0; i < transcript.length; i += windowSize) {
-        const windowSegments = transcript.slice(i, i + windowSize);
-        const startTime = windowSegments[0].offset;
-        const endTime = windowSegments[windowSegments.length - 1].offset;
-        const text = windowSegments.map(s => s.text).join(' ');
-
-        windows.push({
-          startTime,
-          endTime,
-          text
-        });
-      }
-
-      // Generate highlights for each window
+      const windows = this.groupIntoWindows(transcript);
       const highlights = [];
 
-      for (const window of windows.slice(0, 5)) { // Limit to first 5 windows for efficiency
-        const prompt = `
-Analyze this segment from a YouTube video titled "${title}" and identify the most important highlight or key point.
-
-Time Range: ${this.formatTimestamp(window.startTime)} - ${this.formatTimestamp(window.endTime)}
-
-Transcript:
-${window.text.substring(0, 1000)}
-
-If there's a key point, respond with JSON:
-{
-  "highlight": "brief description of the key point (max 100 chars)",
-  "important": true/false
-}
-
-If this segment doesn't contain important information, respond with:
-{
-  "highlight": null,
-  "important": false
-}
-`;
+      for (const window of windows) {
+        const { prompt, systemPrompt } = await promptService.render('highlight', {
+          title,
+          ...this.getHighlightVariables(window)
+        });
 
         try {
-          const response = await llmService.generateCompletion(prompt, {
+          const result = await llmService.generateStructured(prompt, HIGHLIGHT_SCHEMA, {
             temperature: 0.3,
             maxTokens: 200,
-            systemPrompt: 'You identify key moments in video transcripts. Respond with valid JSON.'
+            systemPrompt,
+            feature: 'highlights',
+            videoId: options.videoId
           });
 
-          const result = JSON.parse(response);
-
           if (result.highlight && result.important) {
-            highlights.push({
-              timestamp: window.startTime,
-              formattedTime: this.formatTimestamp(window.startTime),
-              text: result.highlight,
-              youtubeLink: `https://www.youtube.com/watch?v=${window.videoId}&t=${Math.floor(window.startTime)}s`
-            });
+            const time = typeof result.time === 'number' ? result.time : this.parseTimestamp(result.time);
+            const inWindow = time !== null && time >= window.startTime && time <= window.endTime;
+
+            highlights.push(toHighlight(inWindow ? time : window.startTime, result.highlight));
           }
         } catch (error) {
+          if (usageService.isBudgetError(error)) {
+            throw error;
+          }
           console.error('Error generating highlight for window:', error.message);
         }
       }
 
       return highlights;
     } catch (error) {
+      if (usageService.isBudgetError(error)) {
+        throw error;
+      }
       console.error('Error generating highlights:', error.message);
-      return this.extractKeyTimestamps(transcript).slice(0, 5);
+      return this.extractKeyTimestamps(transcript).slice(0, 5).map(k => toHighlight(k.time, k.text));
+    }
+  }
+
+  /**
+   * Highlight prompt variables for one window
+   * @param {Object} window - Window from groupIntoWindows
+   * @returns {Object} - { timeRange, transcript }
+   */
+  getHighlightVariables(window) {
+    // Prefix lines with their time so the model can point at the exact moment
+    const text = window.segments
+      .map(s => `[${this.formatTimestamp(s.offset)}] ${s.text}`)
+      .join('\n');
+
+    return {
+      timeRange: `${this.formatTimestamp(window.startTime)} - ${this.formatTimestamp(window.endTime)}`,
+      transcript: text.substring(0, 8000)
+    };
+  }
+
+  /**
+   * Split transcript segments into consecutive time windows spanning the whole video
+   * @param {Array} transcript - Transcript segments ({ text, offset })
+   * @returns {Array} - Windows: { startTime, endTime, segments }
+   */
+  groupIntoWindows(transcript) {
+    const last = transcript[transcript.length - 1];
+    const totalSeconds = last.offset + (last.duration || 0);
+    const maxWindows = parseInt(process.env.HIGHLIGHT_MAX_WINDOWS) || 20;
+
+    // Five-minute windows, stretched so long videos stay within maxWindows
+    const windowSeconds = Math.max(300, Math.ceil(totalSeconds / maxWindows));
+    const windows = [];
+
+    for (const segment of transcript) {
+      const index = Math.floor(segment.offset / windowSeconds);
+      let window = windows[windows.length - 1];
+
+      if (!window || window.index !== index) {
+        window = { index, startTime: segment.offset, endTime: segment.offset, segments: [] };
+        windows.push(window);
+      }
+
+      window.segments.push(segment);
+      window.endTime = segment.offset + (segment.duration || 0);
+    }
+
+    return windows.map(({ startTime, endTime, segments }) => ({ startTime, endTime, segments }));
+  }
+
+  /**
+   * Parse "h:mm:ss" or "m:ss" (as produced by formatTimestamp) into seconds
+   * @param {string} text - Timestamp text
+   * @returns {number|null} - Seconds or null if invalid
+   */
+  parseTimestamp(text) {
+    if (typeof text !== 'string' || !/^\d+(:\d{1,2}){1,2}$/.test(text.trim())) {
+      return null;
     }
+
+    return text.trim().split(':').map(Number).reduce((total, part) => total * 60 + part, 0);
   }
 
   /**
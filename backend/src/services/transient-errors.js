@@ -0,0 +1,25 @@
+// Network errors worth retrying
+const TRANSIENT_CODES = ['ECONNRESET', 'ETIMEDOUT', 'ECONNABORTED', 'ECONNREFUSED', 'EAI_AGAIN', 'EPIPE', 'ENOTFOUND'];
+
+/**
+ * Whether a failed outbound call may succeed when retried (rate limits, server errors, network errors)
+ * @param {Error} error - Error thrown by the call
+ * @param {number|null} status - HTTP status, for callers that read it from more than error.status
+ * @returns {boolean}
+ */
+function isTransientError(error, status = error.status || error.response?.status) {
+  if (status) {
+    return status === 408 || status === 429 || status >= 500;
+  }
+
+  // youtube-transcript reports rate limiting only in the message, and fetch() keeps the network error in `cause`.
+  // The OpenAI SDK wraps network failures and timeouts in its own error classes.
+  return /too many requests/i.test(error.message || '') ||
+    Boolean(error.timeout) ||
+    TRANSIENT_CODES.includes(error.code) ||
+    TRANSIENT_CODES.includes(error.cause?.code) ||
+    error.name === 'APIConnectionError' ||
+    error.name === 'APIConnectionTimeoutError';
+}
+
+module.exports = { isTransientError };
@@ -0,0 +1,249 @@
+const { PrismaClient } = require('@prisma/client');
+const llmService = require('./llm.service');
+const transcriptionService = require('./transcription.service');
+
+const prisma = new PrismaClient();
+
+// Segments sent to the LLM per translation request
+const SEGMENT_BATCH_SIZE = 40;
+
+class TranslationService {
+  /**
+   * Configured target language for translations (TRANSLATION_TARGET_LANGUAGE), e.g. "en"
+   * @returns {string|null} - Language code or null if translation is not configured
+   */
+  getTargetLanguage() {
+    return process.env.TRANSLATION_TARGET_LANGUAGE || null;
+  }
+
+  /**
+   * Human-readable English name of a language code, used in prompts
+   * @param {string} code - Language code (e.g. "de", "ja", "pt-BR")
+   * @returns {string} - Language name (e.g. "German"), or the code if unknown
+   */
+  getLanguageName(code) {
+    try {
+      return new Intl.DisplayNames(['en'], { type: 'language' }).of(code) || code;
+    } catch (error) {
+      return code;
+    }
+  }
+
+  /**
+   * Whether two language codes refer to the same language ("de" and "de-DE" do)
+   * @param {string} a - Language code
+   * @param {string} b - Language code
+   * @returns {boolean}
+   */
+  isSameLanguage(a, b) {
+    if (!a || !b || a === 'unknown' || b === 'unknown') {
+      return false;
+    }
+
+    return a.toLowerCase().split(/[-_]/)[0] === b.toLowerCase().split(/[-_]/)[0];
+  }
+
+  /**
+   * Translate a list of short texts, keeping their order
+   * @param {Array<string>} texts - Texts to translate
+   * @param {string} targetLanguage - Target language code
+   * @param {string} sourceLanguage - Source language code (optional)
+   * @param {string} videoId - Video record ID for usage accounting (optional)
+   * @returns {Promise<Array<string>>} - Translated texts, same length as the input
+   */
+  async translateTexts(texts, targetLanguage, sourceLanguage, videoId) {
+    const translated = [];
+
+    for (let i = 0; i < texts.length; i += SEGMENT_BATCH_SIZE) {
+      translated.push(...await this.translateBatch(texts.slice(i, i + SEGMENT_BATCH_SIZE), targetLanguage, sourceLanguage, videoId));
+    }
+
+    return translated;
+  }
+
+  /**
+   * Translate one batch of texts, splitting it up when the model returns the wrong number of items
+   */
+  async translateBatch(texts, targetLanguage, sourceLanguage, videoId) {
+    const from = sourceLanguage && sourceLanguage !== 'unknown' ? ` from ${this.getLanguageName(sourceLanguage)}` : '';
+
+    const prompt = `
+Translate each string in this JSON array${from} to ${this.getLanguageName(targetLanguage)}.
+The strings are consecutive lines of a video transcript; use the surrounding lines for context,
+but translate every line separately.
+
+Return only a JSON array with exactly ${texts.length} translated strings, in the same order.
+
+${JSON.stringify(texts)}
+`;
+
+    const schema = { type: 'array', minItems: texts.length, maxItems: texts.length, items: { type: 'string' } };
+
+    let result = null;
+    try {
+      result = await llmService.generateStructured(prompt, schema, {
+        temperature: 0.2,
+        maxTokens: 4000,
+        systemPrompt: 'You are a professional translator. Always respond with a valid JSON array of strings.',
+        feature: 'translation',
+        videoId
+      });
+    } catch (error) {
+      if (!error.validationErrors) {
+        throw error;
+      }
+      console.error('Error parsing translation response:', error.message);
+    }
+
+    if (result) {
+      return result.map((text, index) => (text.trim() ? text.trim() : texts[index]));
+    }
+
+    if (texts.length === 1) {
+      throw new Error('Translation response was not a valid JSON array');
+    }
+
+    const middle = Math.ceil(texts.length / 2);
+    return [
+      ...await this.translateBatch(texts.slice(0, middle), targetLanguage, sourceLanguage, videoId),
+      ...await this.translateBatch(texts.slice(middle), targetLanguage, sourceLanguage, videoId)
+    ];
+  }
+
+  /**
+   * Translate the stored original transcript of a video and store the result next to it
+   * @param {string} videoId - Video record ID
+   * @param {string} targetLanguage - Target language code
+   * @param {Object} options - { sourceLanguage } to pick the original transcript
+   * @returns {Promise<Object>} - Stored translation transcript (without segments)
+   */
+  async translateTranscript(videoId, targetLanguage, options = {}) {
+    const original = options.sourceLanguage
+      ? await transcriptionService.loadTranscript(videoId, { language: options.sourceLanguage })
+      : await transcriptionService.loadTranscript(videoId);
+
+    if (!original) {
+      const error = new Error('No transcript stored for this video');
+      error.status = 404;
+      throw error;
+    }
+
+    if (original.source === 'translation') {
+      const error = new Error('Cannot translate a translated transcript');
+      error.status = 400;
+      throw error;
+    }
+
+    const texts = await this.translateTexts(
+      original.transcript.map(segment => segment.text),
+      targetLanguage,
+      original.language,
+      videoId
+    );
+
+    return await transcriptionService.saveTranscript(
+      videoId,
+      original.transcript.map((segment, index) => ({ ...segment, text: texts[index] })),
+      {
+        language: targetLanguage,
+        source: 'translation',
+        translatedFrom: original.language
+      }
+    );
+  }
+
+  /**
+   * Translate the summary of a video, keeping the original summary untouched
+   * @param {string} videoId - Video record ID
+   * @param {string} targetLanguage - Target language code
+   * @returns {Promise<Object>} - Stored summary translation
+   */
+  async translateSummary(videoId, targetLanguage) {
+    const video = await prisma.video.findUnique({
+      where: { id: videoId },
+      select: { id: true, summaryJson: true, summaryLanguage: true }
+    });
+
+    if (!video || !video.summaryJson) {
+      const error = new Error('No summary stored for this video');
+      error.status = 404;
+      throw error;
+    }
+
+    const prompt = `
+Translate the string values of this JSON summary to ${this.getLanguageName(targetLanguage)}.
+Keep the keys and the structure unchanged.
+
+${video.summaryJson}
+
+Return only the translated JSON object.
+`;
+
+    // The translation must keep every field of the original summary
+    const schema = { type: 'object', required: Object.keys(JSON.parse(video.summaryJson)) };
+
+    const summary = await llmService.generateStructured(prompt, schema, {
+      temperature: 0.2,
+      maxTokens: 2000,
+      systemPrompt: 'You are a professional translator. Always respond with valid JSON.',
+      feature: 'translation',
+      videoId
+    });
+
+    return await prisma.summaryTranslation.upsert({
+      where: { videoId_language: { videoId, language: targetLanguage } },
+      update: {
+        summaryJson: JSON.stringify(summary),
+        translatedFrom: video.summaryLanguage
+      },
+      create: {
+        videoId,
+        language: targetLanguage,
+        translatedFrom: video.summaryLanguage,
+        summaryJson: JSON.stringify(summary)
+      }
+    });
+  }
+
+  /**
+   * Translate a video's transcript and/or summary
+   * @param {string} videoId - Video record ID
+   * @param {Object} options - { language (defaults to the configured target), transcript, summary, sourceLanguage }
+   * @returns {Promise<Object>} - { language, transcript, summary }
+   */
+  async translateVideo(videoId, options = {}) {
+    const language = options.language || this.getTargetLanguage();
+    const { transcript = true, summary = true, sourceLanguage } = options;
+
+    if (!language) {
+      const error = new Error('No target language given and TRANSLATION_TARGET_LANGUAGE is not set');
+      error.status = 400;
+      throw error;
+    }
+
+    const result = { language, transcript: null, summary: null };
+
+    if (transcript) {
+      const stored = await this.translateTranscript(videoId, language, { sourceLanguage });
+      result.transcript = {
+        transcriptId: stored.id,
+        language: stored.language,
+        translatedFrom: stored.translatedFrom,
+        segmentCount: stored.segmentCount
+      };
+    }
+
+    if (summary) {
+      const stored = await this.translateSummary(videoId, language);
+      result.summary = {
+        language: stored.language,
+        translatedFrom: stored.translatedFrom,
+        summaryJson: JSON.parse(stored.summaryJson)
+      };
+    }
+
+    return result;
+  }
+}
+
+module.exports = new TranslationService();
@@ -0,0 +1,251 @@
+const { PrismaClient } = require('@prisma/client');
+
+const prisma = new PrismaClient();
+
+// USD per million tokens [prompt, completion]; LLM_PRICES (JSON, same shape) adds or overrides models
+const PRICES = {
+  'gpt-3.5-turbo': [0.5, 1.5],
+  'gpt-4o-mini': [0.15, 0.6],
+  'gpt-4o': [2.5, 10],
+  'gpt-4-turbo': [10, 30],
+  'gpt-4.1': [2, 8],
+  'gpt-4.1-mini': [0.4, 1.6],
+  'gpt-4.1-nano': [0.1, 0.4],
+  'gemini-pro': [0.5, 1.5],
+  'gemini-1.5-flash': [0.075, 0.3],
+  'gemini-1.5-pro': [1.25, 5],
+  'gemini-2.0-flash': [0.1, 0.4]
+};
+
+// Characters per token when a provider reports no token counts
+const CHARS_PER_TOKEN = 4;
+
+class UsageService {
+  /**
+   * Price of a model, matching dated variants (e.g. gpt-4o-mini-2024-07-18) by prefix
+   * @param {string} provider - Provider name
+   * @param {string} model - Model name
+   * @returns {Array<number>} - [prompt, completion] USD per million tokens; self-hosted and mock models are free
+   */
+  getPrice(provider, model) {
+    if (provider === 'local' || provider === 'compatible' || provider === 'mock') {
+      return [0, 0];
+    }
+
+    let prices = PRICES;
+    if (process.env.LLM_PRICES) {
+      try {
+        prices = { ...PRICES, ...JSON.parse(process.env.LLM_PRICES) };
+      } catch (error) {
+        console.error('Error parsing LLM_PRICES:', error.message);
+      }
+    }
+
+    const name = Object.keys(prices)
+      .filter(key => model === key || model.startsWith(`${key}-`))
+      .sort((a, b) => b.length - a.length)[0];
+
+    return name ? prices[name] : [0, 0];
+  }
+
+  /**
+   * Rough token count of a text
+   * @param {string} text - Text
+   * @returns {number}
+   */
+  estimateTokens(text) {
+    return Math.ceil((text || '').length / CHARS_PER_TOKEN);
+  }
+
+  /**
+   * Record one LLM call; failures to record are logged, never thrown
+   * @param {Object} entry - { feature, provider, model, videoId, promptTokens, completionTokens,
+   *   estimated, latencyMs, cached, success, error }
+   */
+  async record(entry) {
+    const { provider, model, promptTokens = 0, completionTokens = 0, cached = false } = entry;
+    const [promptPrice, completionPrice] = this.getPrice(provider, model || '');
+
+    try {
+      await prisma.llmUsage.create({
+        data: {
+          feature: entry.feature || 'other',
+          provider,
+          model: model || 'unknown',
+          videoId: entry.videoId || null,
+          promptTokens,
+          completionTokens,
+          estimated: Boolean(entry.estimated),
+          latencyMs: Math.round(entry.latencyMs || 0),
+          cost: cached ? 0 : (promptTokens * promptPrice + completionTokens * completionPrice) / 1e6,
+          cached,
+          success: entry.success !== false,
+          error: entry.error || null
+        }
+      });
+    } catch (error) {
+      console.error('Error recording LLM usage:', error.message);
+    }
+  }
+
+  /**
+   * Start of the current calendar month (budget period)
+   * @returns {Date}
+   */
+  getMonthStart() {
+    const now = new Date();
+    return new Date(now.getFullYear(), now.getMonth(), 1);
+  }
+
+  /**
+   * Spending against LLM_MONTHLY_BUDGET_USD for the current month
+   * @returns {Promise<Object>} - { monthlyBudget, spent, remaining, exceeded }; monthlyBudget is null without a budget
+   */
+  async getBudgetStatus() {
+    const monthlyBudget = parseFloat(process.env.LLM_MONTHLY_BUDGET_USD) || null;
+
+    const aggregate = await prisma.llmUsage.aggregate({
+      where: { createdAt: { gte: this.getMonthStart() } },
+      _sum: { cost: true }
+    });
+    const spent = aggregate._sum.cost || 0;
+
+    return {
+      monthlyBudget,
+      spent,
+      remaining: monthlyBudget === null ? null : Math.max(0, monthlyBudget - spent),
+      exceeded: monthlyBudget !== null && spent >= monthlyBudget
+    };
+  }
+
+  /**
+   * Throw if the monthly budget is used up (for background work; interactive use is never blocked)
+   */
+  async assertWithinBudget() {
+    const budget = await this.getBudgetStatus();
+
+    if (budget.exceeded) {
+      const error = new Error(
+        `Monthly LLM budget of $${budget.monthlyBudget.toFixed(2)} exceeded ($${budget.spent.toFixed(2)} spent)`
+      );
+      error.status = 402;
+      error.code = 'LLM_BUDGET_EXCEEDED';
+      error.retryable = false;
+      throw error;
+    }
+  }
+
+  /**
+   * Whether an error is the one assertWithinBudget() throws; code that falls back on LLM failures
+   * rethrows it, so background work stops instead of storing fallback results
+   * @param {Error} error - Caught error
+   * @returns {boolean}
+   */
+  isBudgetError(error) {
+    return error?.code === 'LLM_BUDGET_EXCEEDED';
+  }
+
+  /**
+   * Usage aggregated by day, feature and video
+   * @param {Object} filters - { from, to (Dates; default: current month), feature, videoId }
+   * @returns {Promise<Object>} - { from, to, totals, byDay, byFeature, byProvider, byVideo, budget }
+   */
+  async getReport(filters = {}) {
+    const from = filters.from || this.getMonthStart();
+    const to = filters.to || new Date();
+
+    const where = { createdAt: { gte: from, lte: to } };
+    if (filters.feature) {
+      where.feature = filters.feature;
+    }
+    if (filters.videoId) {
+      where.videoId = filters.videoId;
+    }
+
+    const rows = await prisma.llmUsage.findMany({
+      where,
+      select: {
+        feature: true,
+        provider: true,
+        model: true,
+        videoId: true,
+        promptTokens: true,
+        completionTokens: true,
+        latencyMs: true,
+        cost: true,
+        cached: true,
+        success: true,
+        createdAt: true
+      }
+    });
+
+    const group = keyOf => {
+      const groups = new Map();
+      for (const row of rows) {
+        const key = keyOf(row);
+        if (!groups.has(key)) {
+          groups.set(key, this.emptyTotals());
+        }
+        this.addRow(groups.get(key), row);
+      }
+      return [...groups.entries()].map(([key, totals]) => ({ key, ...this.finishTotals(totals) }));
+    };
+
+    const totals = this.emptyTotals();
+    rows.forEach(row => this.addRow(totals, row));
+
+    const byVideo = group(row => row.videoId).filter(item => item.key);
+    const videos = await prisma.video.findMany({
+      where: { id: { in: byVideo.map(item => item.key) } },
+      select: { id: true, title: true }
+    });
+
+    return {
+      from,
+      to,
+      totals: this.finishTotals(totals),
+      byDay: group(row => row.createdAt.toISOString().substring(0, 10))
+        .map(({ key, ...rest }) => ({ day: key, ...rest }))
+        .sort((a, b) => a.day.localeCompare(b.day)),
+      byFeature: group(row => row.feature)
+        .map(({ key, ...rest }) => ({ feature: key, ...rest }))
+        .sort((a, b) => b.cost - a.cost),
+      byProvider: group(row => `${row.provider}/${row.model}`)
+        .map(({ key, ...rest }) => ({ provider: key.split('/')[0], model: key.split('/').slice(1).join('/'), ...rest }))
+        .sort((a, b) => b.cost - a.cost),
+      byVideo: byVideo
+        .map(({ key, ...rest }) => ({
+          videoId: key,
+          title: videos.find(v => v.id === key)?.title || null,
+          ...rest
+        }))
+        .sort((a, b) => b.cost - a.cost),
+      budget: await this.getBudgetStatus()
+    };
+  }
+
+  emptyTotals() {
+    return { calls: 0, cachedCalls: 0, failedCalls: 0, promptTokens: 0, completionTokens: 0, cost: 0, latencyMs: 0 };
+  }
+
+  addRow(totals, row) {
+    totals.calls++;
+    totals.cachedCalls += row.cached ? 1 : 0;
+    totals.failedCalls += row.success ? 0 : 1;
+    totals.promptTokens += row.promptTokens;
+    totals.completionTokens += row.completionTokens;
+    totals.cost += row.cost;
+    totals.latencyMs += row.latencyMs;
+  }
+
+  finishTotals(totals) {
+    const { latencyMs, ...rest } = totals;
+    return {
+      ...rest,
+      totalTokens: totals.promptTokens + totals.completionTokens,
+      avgLatencyMs: totals.calls ? Math.round(latencyMs / totals.calls) : 0
+    };
+  }
+}
+
+module.exports = new UsageService();
@@ -0,0 +1,176 @@
+const { PrismaClient } = require('@prisma/client');
+const youtubeService = require('./youtube.service');
+const sourceProviderService = require('./source-provider.service');
+const realtimeService = require('./realtime.service');
+
+const prisma = new PrismaClient();
+
+class VideoImportService {
+  /**
+   * Find an existing video by source and source ID
+   * @param {string} source - Source provider name
+   * @param {string} sourceId - Source ID
+   * @returns {Promise<Object|null>} - Video record or null
+   */
+  async findExisting(source, sourceId) {
+    // YouTube videos added before source providers existed only carry youtubeId
+    const where = source === 'youtube'
+      ? { OR: [{ youtubeId: sourceId }, { source, sourceId }] }
+      : { source, sourceId };
+
+    return await prisma.video.findFirst({ where });
+  }
+
+  /**
+   * Create a video record from a source ID
+   * @param {string} sourceId - Source ID (YouTube video ID, file path, episode reference)
+   * @param {Object} options - source, categoryId, tags, watchStatus, watchedAt and optional known metadata
+   * @returns {Promise<Object>} - { status: 'added' | 'duplicate', video }
+   */
+  async addVideo(sourceId, options = {}) {
+    const {
+      source = 'youtube',
+      categoryId,
+      tags,
+      knownMetadata,
+      fetchMetadata = true,
+      watchStatus = 'unwatched',
+      watchedAt = null
+    } = options;
+
+    const provider = sourceProviderService.getProvider(source);
+
+    let existing = await this.findExisting(source, sourceId);
+
+    if (existing) {
+      return { status: 'duplicate', video: existing };
+    }
+
+    let metadata = fetchMetadata || !provider.getBasicMetadata
+      ? await provider.getMetadata(sourceId)
+      : provider.getBasicMetadata(sourceId);
+
+    // Providers may canonicalize the ID (e.g. "latest episode" -> episode guid)
+    if (metadata.sourceId && metadata.sourceId !== sourceId) {
+      existing = await this.findExisting(source, metadata.sourceId);
+
+      if (existing) {
+        return { status: 'duplicate', video: existing };
+      }
+    }
+
+    // Playlist listings already carry title/author, prefer them over the placeholder
+    if (metadata.error && knownMetadata) {
+      metadata = {
+        ...metadata,
+        title: knownMetadata.title || metadata.title,
+        author: knownMetadata.author || metadata.author,
+        duration: knownMetadata.duration || metadata.duration
+      };
+    }
+
+    const resolvedId = metadata.sourceId || sourceId;
+
+    const video = await prisma.video.create({
+      data: {
+        source,
+        sourceId: resolvedId,
+        youtubeId: source === 'youtube' ? resolvedId : null,
+        url: metadata.url,
+        title: metadata.title,
+        author: metadata.author,
+        duration: metadata.duration,
+        uploadDate: metadata.uploadDate,
+        thumbnail: metadata.thumbnail || null,
+        description: metadata.description || null,
+        viewCount: metadata.error ? null : metadata.viewCount ?? null,
+        likes: metadata.error ? null : metadata.likes ?? null,
+        metadataFallback: Boolean(metadata.error),
+        metadataError: metadata.error || null,
+        metadataUpdatedAt: metadata.error ? null : new Date(),
+        categoryId: categoryId || null,
+        tags: JSON.stringify(tags || []),
+        watchStatus,
+        watchedAt
+      },
+      include: { category: true }
+    });
+
+    realtimeService.emit('video:added', { video: realtimeService.formatVideo(video) });
+
+    return { status: 'added', video };
+  }
+
+  /**
+   * Import every video of a playlist, skipping videos already in the library
+   * @param {string} playlistId - YouTube playlist ID
+   * @param {Object} options - categoryId and tags applied to every new video
+   * @returns {Promise<Object>} - Per-item import report
+   */
+  async importPlaylist(playlistId, options = {}) {
+    const entries = await youtubeService.getPlaylistVideos(playlistId);
+
+    const existing = await prisma.video.findMany({
+      where: { youtubeId: { in: entries.map(e => e.youtubeId).filter(Boolean) } },
+      select: { id: true, youtubeId: true }
+    });
+    const existingIds = new Map(existing.map(v => [v.youtubeId, v.id]));
+    const seen = new Set();
+
+    const items = [];
+
+    for (const entry of entries) {
+      const item = {
+        youtubeId: entry.youtubeId,
+        title: entry.title,
+        position: entry.position
+      };
+
+      if (!entry.youtubeId || !entry.available) {
+        items.push({ ...item, status: 'failed', reason: 'Video is unavailable' });
+        continue;
+      }
+
+      if (existingIds.has(entry.youtubeId) || seen.has(entry.youtubeId)) {
+        items.push({
+          ...item,
+          status: 'skipped',
+          reason: 'Duplicate',
+          videoId: existingIds.get(entry.youtubeId) || null
+        });
+        continue;
+      }
+
+      seen.add(entry.youtubeId);
+
+      try {
+        const result = await this.addVideo(entry.youtubeId, {
+          ...options,
+          knownMetadata: entry
+        });
+
+        items.push({
+          ...item,
+          title: result.video.title,
+          status: result.status === 'added' ? 'added' : 'skipped',
+          reason: result.status === 'added' ? undefined : 'Duplicate',
+          videoId: result.video.id
+        });
+      } catch (error) {
+        console.error(`Error importing playlist video ${entry.youtubeId}:`, error.message);
+        items.push({ ...item, status: 'failed', reason: error.message });
+      }
+    }
+
+    return {
+      playlistId,
+      total: items.length,
+      added: items.filter(i => i.status === 'added').length,
+      skipped: items.filter(i => i.status === 'skipped').length,
+      failed: items.filter(i => i.status === 'failed').length,
+      items
+    };
+  }
+}
+
+module.exports = new VideoImportService();
@@ -0,0 +1,578 @@
+const crypto = require('crypto');
+const { PrismaClient } = require('@prisma/client');
+const transcriptionService = require('./transcription.service');
+const llmService = require('./llm.service');
+const ragService = require('./rag.service');
+const sourceProviderService = require('./source-provider.service');
+const speechToTextService = require('./speech-to-text.service');
+const translationService = require('./translation.service');
+const chapterService = require('./chapter.service');
+const realtimeService = require('./realtime.service');
+const settingsService = require('./settings.service');
+const promptService = require('./prompt.service');
+
+const prisma = new PrismaClient();
+
+class VideoProcessingService {
+  constructor() {
+    // Stages reported through options.onStage, in order
+    this.stages = ['transcript', 'summary', 'highlights', 'chapters', 'translation', 'indexing'];
+
+    // What regenerate() can redo from the stored transcript, in the order it does them
+    this.regenerateTargets = ['summary', 'highlights', 'index'];
+  }
+
+  /**
+   * Process a video: fetch transcript, generate summary, highlights and chapters, and index it for RAG
+   * @param {string} id - Video record ID
+   * @param {Object} options - { language } transcript language to use when the source offers several,
+   *   { onStage(name) } called before each stage (may throw to abort, e.g. on cancellation),
+   *   { checkpoint: { get(name), set(name, value) } } to keep LLM results across retries
+   * @returns {Promise<Object>} - Processing result
+   */
+  async processVideo(id, options = {}) {
+    const { language, onStage = async () => {} } = options;
+
+    const video = await prisma.video.findUnique({
+      where: { id }
+    });
+
+    if (!video) {
+      return {
+        success: false,
+        status: 404,
+        error: 'Video not found'
+      };
+    }
+
+    await onStage('transcript');
+
+    let transcriptResult = await this.loadPreferredTranscript(id, language);
+
+    if (!transcriptResult) {
+      const { provider, sourceId } = sourceProviderService.getVideoSource(video);
+      transcriptResult = await transcriptionService.getTranscript(sourceId, provider.name, { lang: language });
+
+      if (transcriptResult.success) {
+        // Keep the timestamped segments, not just the flattened text
+        await transcriptionService.saveTranscript(id, transcriptResult.transcript, {
+          language: transcriptResult.language,
+          source: 'captions'
+        });
+      } else if (speechToTextService.isEnabled()) {
+        transcriptResult = await this.transcribeAudio(video, transcriptResult.message, language);
+      }
+
+      if (!transcriptResult.success) {
+        // Rate limits, source outages and network errors are worth retrying; a missing transcript is not
+        return {
+          success: false,
+          status: transcriptResult.retryable ? 503 : 400,
+          error: 'Failed to get transcript',
+          message: transcriptResult.message
+        };
+      }
+    }
+
+    const transcriptLanguage = transcriptResult.language !== 'unknown' ? transcriptResult.language : null;
+
+    // Generate summary in the transcript's language (translations are stored separately)
+    const { promptVersions, provider, model, ...summary } = await this.runStage('summary', options, () => llmService.generateSummary(
+      transcriptResult.fullText,
+      video.title,
+      { language: transcriptLanguage && translationService.getLanguageName(transcriptLanguage), videoId: id }
+    ));
+
+    // Key moments and chapters across the whole video, linking into the source at each timestamp
+    const linkBuilder = seconds => sourceProviderService.getTimestampUrl(video, seconds);
+
+    const highlights = await this.runStage('highlights', options, () => transcriptionService.generateHighlights(
+      transcriptResult.transcript,
+      video.title,
+      { linkBuilder, videoId: id }
+    ));
+
+    const chapters = await this.runStage('chapters', options, () => chapterService.generateChapters(
+      video,
+      transcriptResult.transcript,
+      { linkBuilder }
+    ));
+
+    // Update video with transcription and summary; translations of the previous summary are outdated
+    await prisma.video.update({
+      where: { id },
+      data: {
+        transcription: transcriptResult.fullText,
+        ...this.buildSummaryData(summary, {
+          language: transcriptLanguage,
+          provider,
+          model,
+          promptVersions,
+          transcript: transcriptResult.fullText
+        }),
+        highlightsJson: JSON.stringify(highlights),
+        chaptersJson: JSON.stringify(chapters),
+        summaryTranslations: { deleteMany: {} }
+      }
+    });
+
+    realtimeService.emit('video:summary-ready', { videoId: id, summary });
+
+    const targetLanguage = translationService.getTargetLanguage();
+
+    if (targetLanguage && !translationService.isSameLanguage(targetLanguage, transcriptLanguage)) {
+      await onStage('translation');
+      try {
+        await translationService.translateVideo(id, {
+          language: targetLanguage,
+          sourceLanguage: transcriptResult.language
+        });
+      } catch (error) {
+        // The original transcript and summary are already stored; translation can be retried
+        console.error(`Error translating video ${id}:`, error.message);
+      }
+    }
+
+    const updatedVideo = await prisma.video.findUnique({
+      where: { id },
+      include: { category: true, summaryTranslations: true }
+    });
+
+    // Index in RAG system
+    await onStage('indexing');
+    await ragService.indexVideo(id, transcriptResult.fullText, {
+      title: video.title,
+      author: video.author
+    });
+
+    return {
+      success: true,
+      video: updatedVideo,
+      summary
+    };
+  }
+
+  /**
+   * Redo parts of processing from the stored transcript, without fetching it again
+   * @param {string} id - Video record ID
+   * @param {Object} options - { targets } any of regenerateTargets (default ['summary']),
+   *   { onStage(name) } called before each target
+   * @returns {Promise<Object>} - Result with the updated video
+   */
+  async regenerate(id, options = {}) {
+    const { targets = ['summary'], onStage = async () => {} } = options;
+
+    const video = await prisma.video.findUnique({ where: { id } });
+
+    if (!video) {
+      return { success: false, status: 404, error: 'Video not found' };
+    }
+
+    const transcriptResult = await this.loadPreferredTranscript(id)
+      || await transcriptionService.loadTranscript(id);
+
+    if (!transcriptResult) {
+      return {
+        success: false,
+        status: 400,
+        error: 'No stored transcript',
+        message: 'Process the video first'
+      };
+    }
+
+    const data = {};
+    let summary = null;
+
+    // An uploaded or speech-to-text transcript can be newer than the stored text
+    if (transcriptResult.fullText !== video.transcription) {
+      data.transcription = transcriptResult.fullText;
+    }
+
+    if (targets.includes('summary')) {
+      await onStage('summary');
+
+      const language = transcriptResult.language !== 'unknown' ? transcriptResult.language : null;
+      const { promptVersions, provider, model, ...generated } = await llmService.generateSummary(
+        transcriptResult.fullText,
+        video.title,
+        { language: language && translationService.getLanguageName(language), videoId: id }
+      );
+
+      summary = generated;
+      Object.assign(data, this.buildSummaryData(summary, {
+        language,
+        provider,
+        model,
+        promptVersions,
+        transcript: transcriptResult.fullText
+      }), { summaryTranslations: { deleteMany: {} } });
+    }
+
+    if (targets.includes('highlights')) {
+      await onStage('highlights');
+
+      const highlights = await transcriptionService.generateHighlights(transcriptResult.transcript, video.title, {
+        linkBuilder: seconds => sourceProviderService.getTimestampUrl(video, seconds),
+        videoId: id
+      });
+      data.highlightsJson = JSON.stringify(highlights);
+    }
+
+    if (Object.keys(data).length > 0) {
+      await prisma.video.update({ where: { id }, data });
+    }
+
+    if (summary) {
+      realtimeService.emit('video:summary-ready', { videoId: id, summary });
+    }
+
+    if (targets.includes('index')) {
+      await onStage('index');
+      await ragService.indexVideo(id, transcriptResult.fullText, {
+        title: video.title,
+        author: video.author
+      });
+    }
+
+    return {
+      success: true,
+      targets: this.regenerateTargets.filter(target => targets.includes(target)),
+      video: await prisma.video.findUnique({
+        where: { id },
+        include: { category: true, summaryTranslations: true }
+      })
+    };
+  }
+
+  /**
+   * Stored transcript that processing prefers over fetching captions from the source
+   * @param {string} id - Video record ID
+   * @param {string} language - Transcript language (optional)
+   * @returns {Promise<Object|null>} - loadTranscript result
+   */
+  async loadPreferredTranscript(id, language) {
+    // Uploaded captions take precedence over fetching from the source,
+    // and an earlier speech-to-text run is reused rather than repeated
+    return await transcriptionService.loadTranscript(id, { source: 'upload', language })
+      || await transcriptionService.loadTranscript(id, { source: 'stt', language });
+  }
+
+  /**
+   * Video columns for a newly generated summary, with its provenance and history entry
+   * @param {Object} summary - Summary object (quickSummary, detailedSummary, keyPoints, coverage)
+   * @param {Object} provenance - { language, provider, model, promptVersions, transcript }
+   * @returns {Object} - Prisma video update data
+   */
+  buildSummaryData(summary, provenance) {
+    const { language, provider = null, model = null, promptVersions = {}, transcript } = provenance;
+    const summaryJson = JSON.stringify(summary);
+    const promptVersionsJson = JSON.stringify(promptVersions);
+    const transcriptHash = this.hashTranscript(transcript);
+
+    return {
+      summaryJson,
+      summaryLanguage: language,
+      summaryPromptVersions: promptVersionsJson,
+      summaryProvider: provider,
+      summaryModel: model,
+      summaryGeneratedAt: new Date(),
+      summaryTranscriptHash: transcriptHash,
+      summaryVersions: {
+        create: {
+          summaryJson,
+          language,
+          provider,
+          model,
+          promptVersions: promptVersionsJson,
+          transcriptHash
+        }
+      }
+    };
+  }
+
+  /**
+   * Fingerprint of transcript text
+   * @param {string} text - Transcript text
+   * @returns {string} - SHA-256 hex digest
+   */
+  hashTranscript(text) {
+    return crypto.createHash('sha256').update(text || '').digest('hex');
+  }
+
+  /**
+   * Providers, their summary models and the prompt versions a summary would be generated with now
+   * @returns {Promise<Object>} - { providers (the fallback chain), models (summary model by provider), promptVersions }
+   */
+  async getCurrentProvenance() {
+    await settingsService.get();
+
+    const providers = [...llmService.providers];
+    const models = Object.fromEntries(providers.map(provider => [provider, llmService.getModelName(provider, 'summary')]));
+    const promptVersions = {};
+
+    for (const key of ['summary', 'summary-chunk', 'summary-merge']) {
+      promptVersions[key] = (await promptService.getActive(key)).version;
+    }
+
+    return { providers, models, promptVersions };
+  }
+
+  /**
+   * Why a video's summary doesn't match the current settings
+   * @param {Object} video - Video record
+   * @param {Object} current - getCurrentProvenance() result
+   * @returns {Array<string>} - Reasons (missing, provider, model, prompt, transcript); empty when up to date
+   */
+  getStaleReasons(video, current) {
+    if (!video.summaryJson) {
+      return ['missing'];
+    }
+
+    const reasons = [];
+    const promptVersions = video.summaryPromptVersions ? JSON.parse(video.summaryPromptVersions) : {};
+
+    // A summary written by any provider in the chain (e.g. a fallback) stays current as long as
+    // that provider is still configured with the model it used
+    if (!current.providers.includes(video.summaryProvider)) {
+      reasons.push('provider');
+    } else if (video.summaryModel !== current.models[video.summaryProvider]) {
+      reasons.push('model');
+    }
+    // Only the prompts the summary used count; short transcripts skip the chunk and merge prompts
+    if (Object.keys(promptVersions).length === 0 ||
+      Object.entries(promptVersions).some(([key, version]) => current.promptVersions[key] !== version)) {
+      reasons.push('prompt');
+    }
+    if (video.summaryTranscriptHash !== this.hashTranscript(video.transcription)) {
+      reasons.push('transcript');
+    }
+
+    return reasons;
+  }
+
+  /**
+   * Summarized videos whose summary doesn't match the current settings
+   * @param {Object} options - { videoIds } to check only these videos
+   * @returns {Promise<Object>} - { current, videos: [{ id, title, summaryProvider, summaryModel, summaryGeneratedAt, reasons }] }
+   */
+  async findStale(options = {}) {
+    const current = await this.getCurrentProvenance();
+
+    const videos = await prisma.video.findMany({
+      where: {
+        summaryJson: { not: null },
+        ...(options.videoIds && { id: { in: options.videoIds } })
+      },
+      select: {
+        id: true,
+        title: true,
+        transcription: true,
+        summaryJson: true,
+        summaryPromptVersions: true,
+        summaryProvider: true,
+        summaryModel: true,
+        summaryGeneratedAt: true,
+        summaryTranscriptHash: true
+      },
+      orderBy: { createdAt: 'desc' }
+    });
+
+    return {
+      current,
+      videos: videos
+        .map(video => ({
+          id: video.id,
+          title: video.title,
+          summaryProvider: video.summaryProvider,
+          summaryModel: video.summaryModel,
+          summaryGeneratedAt: video.summaryGeneratedAt,
+          reasons: this.getStaleReasons(video, current)
+        }))
+        .filter(video => video.reasons.length > 0)
+    };
+  }
+
+  /**
+   * All summaries generated for a video, newest (the current one) first
+   * @param {string} id - Video record ID
+   * @returns {Promise<Array>} - Summary versions with parsed JSON
+   */
+  async getSummaryVersions(id) {
+    const versions = await prisma.summaryVersion.findMany({
+      where: { videoId: id },
+      orderBy: { createdAt: 'desc' }
+    });
+
+    return versions.map(version => ({
+      ...version,
+      summaryJson: JSON.parse(version.summaryJson),
+      promptVersions: version.promptVersions ? JSON.parse(version.promptVersions) : null
+    }));
+  }
+
+  /**
+   * A study format of a video (outline, Cornell notes, ...), generated from its transcript on first
+   * request and served from the database until the transcript or the format's prompt changes
+   * @param {string} id - Video record ID
+   * @param {string} format - One of llmService.summaryFormats
+   * @param {Object} options - { refresh } to generate it again anyway
+   * @returns {Promise<Object>} - { format, content, coverage, language, provider, model, promptVersions, generatedAt, cached }
+   */
+  async getSummaryFormat(id, format, options = {}) {
+    if (!llmService.summaryFormats.includes(format)) {
+      const error = new Error(`Unknown summary format: ${format} (use ${llmService.summaryFormats.join(', ')})`);
+      error.status = 400;
+      throw error;
+    }
+
+    const video = await prisma.video.findUnique({
+      where: { id },
+      select: { id: true, title: true, transcription: true, summaryLanguage: true }
+    });
+
+    if (!video) {
+      const error = new Error('Video not found');
+      error.status = 404;
+      throw error;
+    }
+
+    if (!video.transcription) {
+      const error = new Error('No transcript yet; process the video first');
+      error.status = 400;
+      throw error;
+    }
+
+    const transcriptHash = this.hashTranscript(video.transcription);
+    const where = { videoId_format: { videoId: id, format } };
+    const stored = await prisma.summaryFormat.findUnique({ where });
+
+    if (stored && !options.refresh && await this.isSummaryFormatCurrent(stored, transcriptHash)) {
+      return this.formatSummaryFormat(stored, true);
+    }
+
+    const result = await llmService.generateSummaryFormat(format, video.transcription, video.title, {
+      language: video.summaryLanguage && translationService.getLanguageName(video.summaryLanguage),
+      videoId: id
+    });
+
+    const data = {
+      contentJson: JSON.stringify(result.content),
+      coverage: result.coverage,
+      language: video.summaryLanguage,
+      provider: result.provider || null,
+      model: result.model || null,
+      promptVersions: JSON.stringify(result.promptVersions),
+      transcriptHash
+    };
+
+    const saved = await prisma.summaryFormat.upsert({
+      where,
+      update: data,
+      create: { videoId: id, format, ...data }
+    });
+
+    return this.formatSummaryFormat(saved, false);
+  }
+
+  /**
+   * Whether a stored study format was generated from the current transcript with the active prompts
+   * @param {Object} stored - SummaryFormat record
+   * @param {string} transcriptHash - Hash of the current transcript
+   * @returns {Promise<boolean>}
+   */
+  async isSummaryFormatCurrent(stored, transcriptHash) {
+    if (stored.transcriptHash !== transcriptHash) {
+      return false;
+    }
+
+    const promptVersions = stored.promptVersions ? JSON.parse(stored.promptVersions) : {};
+
+    for (const [key, version] of Object.entries(promptVersions)) {
+      if ((await promptService.getActive(key)).version !== version) {
+        return false;
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Study format record as the API returns it
+   * @param {Object} stored - SummaryFormat record
+   * @param {boolean} cached - Whether it was served from the database
+   * @returns {Object}
+   */
+  formatSummaryFormat(stored, cached) {
+    return {
+      format: stored.format,
+      content: JSON.parse(stored.contentJson),
+      coverage: stored.coverage,
+      language: stored.language,
+      provider: stored.provider,
+      model: stored.model,
+      promptVersions: stored.promptVersions ? JSON.parse(stored.promptVersions) : null,
+      generatedAt: stored.updatedAt,
+      cached
+    };
+  }
+
+  /**
+   * Run one stage, reusing its checkpointed result from an earlier attempt
+   * @param {string} name - Stage name
+   * @param {Object} options - processVideo options (onStage, checkpoint)
+   * @param {Function} compute - Produces the stage result
+   * @returns {Promise<*>} - Stage result
+   */
+  async runStage(name, options, compute) {
+    const { onStage, checkpoint } = options;
+
+    if (onStage) {
+      await onStage(name);
+    }
+
+    const saved = checkpoint ? checkpoint.get(name) : undefined;
+    if (saved !== undefined) {
+      return saved;
+    }
+
+    const value = await compute();
+
+    if (checkpoint) {
+      await checkpoint.set(name, value);
+    }
+
+    return value;
+  }
+
+  /**
+   * Fall back to local speech-to-text when the source has no captions
+   * @param {Object} video - Video record
+   * @param {string} captionMessage - Why captions were unavailable
+   * @param {string} language - Spoken language, auto-detected when omitted
+   * @returns {Promise<Object>} - Transcript data in the same shape as getTranscript
+   */
+  async transcribeAudio(video, captionMessage, language) {
+    try {
+      console.log(`No captions for ${video.id} (${captionMessage}), running local speech-to-text`);
+
+      const result = await speechToTextService.transcribeVideo(video, { language });
+
+      if (result.segments.length === 0) {
+        return { success: false, message: `${captionMessage}; speech-to-text found no speech` };
+      }
+
+      await transcriptionService.saveTranscript(video.id, result.segments, {
+        language: result.language,
+        source: 'stt',
+        engine: result.engine
+      });
+
+      return await transcriptionService.loadTranscript(video.id, { source: 'stt' });
+    } catch (error) {
+      console.error('Error running speech-to-text:', error.message);
+      return { success: false, message: `${captionMessage}; speech-to-text failed: ${error.message}` };
+    }
+  }
+}
+
+module.exports = new VideoProcessingService();
@@ -88,14 +88,253 @@ class YouTubeService {
   }
 
   /**
-   * Get playlist videos (placeholder for YouTube Data API)
+   * Extract YouTube playlist ID from URL
+   * @param {string} url - YouTube playlist URL or playlist ID
+   * @returns {string|null} - Playlist ID or null if invalid
+   */
+  extractPlaylistId(url) {
+    try {
+      const listMatch = url.match(/[?&]list=([a-zA-Z0-9_-]+)/);
+      if (listMatch) {
+        return listMatch[1];
+      }
+
+      // Bare playlist IDs (PL..., UU..., OLAK5uy_..., etc.)
+      if (/^(PL|UU|LL|FL|OL|RD)[a-zA-Z0-9_-]{10,}$/.test(url)) {
+        return url;
+      }
+
+      return null;
+    } catch (error) {
+      console.error('Error extracting playlist ID:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Check whether input points at a playlist rather than a single video
+   * @param {string} input - YouTube URL or ID
+   * @returns {boolean} - True if input is a playlist without a video ID
+   */
+  isPlaylistUrl(input) {
+    return this.extractPlaylistId(input) !== null && this.extractVideoId(input) === null;
+  }
+
+  /**
+   * Get playlist videos, via the Data API when YOUTUBE_API_KEY is set,
+   * otherwise from the playlist page's embedded data
    * @param {string} playlistId - YouTube playlist ID
-   * @returns {Promise<Array>} - Array of video IDs
+   * @returns {Promise<Array>} - Array of playlist entries
    */
   async getPlaylistVideos(playlistId) {
-    // This would require YouTube Data API key
-    // For now, return placeholder
-    throw new Error('Playlist import requires YouTube Data API key (not implemented yet)');
+    if (process.env.YOUTUBE_API_KEY) {
+      try {
+        return await this.getPlaylistVideosFromApi(playlistId, process.env.YOUTUBE_API_KEY);
+      } catch (error) {
+        console.error('Error fetching playlist from Data API, falling back to page data:', error.message);
+      }
+    }
+
+    return await this.getPlaylistVideosFromPage(playlistId);
+  }
+
+  /**
+   * Enumerate playlist items using the YouTube Data API v3
+   * @param {string} playlistId - YouTube playlist ID
+   * @param {string} apiKey - YouTube Data API key
+   * @returns {Promise<Array>} - Array of playlist entries
+   */
+  async getPlaylistVideosFromApi(playlistId, apiKey) {
+    const entries = [];
+    let pageToken;
+
+    do {
+      const response = await axios.get('https://www.googleapis.com/youtube/v3/playlistItems', {
+        params: {
+          part: 'snippet,contentDetails',
+          maxResults: 50,
+          playlistId,
+          pageToken,
+          key: apiKey
+        }
+      });
+
+      for (const item of response.data.items || []) {
+        const title = item.snippet?.title;
+        entries.push({
+          youtubeId: item.contentDetails?.videoId || item.snippet?.resourceId?.videoId,
+          title,
+          author: item.snippet?.videoOwnerChannelTitle || null,
+          duration: null,
+          position: item.snippet?.position ?? entries.length,
+          available: title !== 'Private video' && title !== 'Deleted video'
+        });
+      }
+
+      pageToken = response.data.nextPageToken;
+    } while (pageToken);
+
+    return entries;
+  }
+
+  /**
+   * Enumerate playlist items from the ytInitialData embedded in the playlist page
+   * @param {string} playlistId - YouTube playlist ID
+   * @returns {Promise<Array>} - Array of playlist entries
+   */
+  async getPlaylistVideosFromPage(playlistId) {
+    const response = await axios.get('https://www.youtube.com/playlist', {
+      params: { list: playlistId, hl: 'en' },
+      headers: { 'Accept-Language': 'en-US,en;q=0.9' }
+    });
+
+    const html = response.data;
+    const dataMatch = html.match(/var ytInitialData = (\{.*?\});<\/script>/s);
+    if (!dataMatch) {
+      throw new Error('Could not find playlist data on the playlist page');
+    }
+
+    const entries = [];
+    let { videos, continuation } = this.collectPlaylistRenderers(JSON.parse(dataMatch[1]));
+
+    if (videos.length === 0 && !continuation) {
+      throw new Error('Playlist is empty, private or does not exist');
+    }
+
+    const apiKey = html.match(/"INNERTUBE_API_KEY":"([^"]+)"/)?.[1];
+    const clientVersion = html.match(/"INNERTUBE_CLIENT_VERSION":"([^"]+)"/)?.[1] || '2.20240101.00.00';
+
+    while (true) {
+      for (const renderer of videos) {
+        entries.push({
+          youtubeId: renderer.videoId,
+          title: renderer.title?.runs?.[0]?.text || renderer.title?.simpleText || null,
+          author: renderer.shortBylineText?.runs?.[0]?.text || null,
+          duration: renderer.lengthSeconds ? parseInt(renderer.lengthSeconds) : null,
+          position: entries.length,
+          available: renderer.isPlayable !== false
+        });
+      }
+
+      if (!continuation || !apiKey) {
+        break;
+      }
+
+      // Playlists longer than 100 videos are paged through the innertube browse endpoint
+      const next = await axios.post(
+        `https://www.youtube.com/youtubei/v1/browse?key=${apiKey}`,
+        {
+          context: { client: { clientName: 'WEB', clientVersion, hl: 'en' } },
+          continuation
+        }
+      );
+
+      ({ videos, continuation } = this.collectPlaylistRenderers(next.data));
+    }
+
+    return entries;
+  }
+
+  /**
+   * Resolve a channel URL, @handle or channel ID to a channel ID
+   * @param {string} input - Channel URL, @handle or UC... channel ID
+   * @returns {Promise<string|null>} - Channel ID or null if it cannot be resolved
+   */
+  async resolveChannelId(input) {
+    const directMatch = input.match(/(?:youtube\.com\/channel\/)?(UC[a-zA-Z0-9_-]{22})/);
+    if (directMatch) {
+      return directMatch[1];
+    }
+
+    const handleMatch = input.match(/(?:youtube\.com\/)?(@[a-zA-Z0-9._-]+)/);
+    if (!handleMatch) {
+      return null;
+    }
+
+    try {
+      const response = await axios.get(`https://www.youtube.com/${handleMatch[1]}`, {
+        headers: { 'Accept-Language': 'en-US,en;q=0.9' }
+      });
+
+      const idMatch = response.data.match(/"(?:externalId|channelId)":"(UC[a-zA-Z0-9_-]{22})"/);
+      return idMatch ? idMatch[1] : null;
+    } catch (error) {
+      console.error('Error resolving channel handle:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * List the caption tracks of a video from the player response embedded in the watch page
+   * @param {string} videoId - YouTube video ID
+   * @returns {Promise<Array>} - [{ language, name, autoGenerated }]
+   */
+  async getCaptionTracks(videoId) {
+    const response = await axios.get('https://www.youtube.com/watch', {
+      params: { v: videoId, hl: 'en' },
+      headers: { 'Accept-Language': 'en-US,en;q=0.9' }
+    });
+
+    const playerMatch = response.data.match(/var ytInitialPlayerResponse = (\{.*?\});(?:var |<\/script>)/s);
+    if (!playerMatch) {
+      throw new Error('Could not find player data on the watch page');
+    }
+
+    const player = JSON.parse(playerMatch[1]);
+    const tracks = player.captions?.playerCaptionsTracklistRenderer?.captionTracks || [];
+
+    return tracks.map(track => ({
+      language: track.languageCode,
+      name: track.name?.simpleText || track.name?.runs?.map(run => run.text).join('') || null,
+      autoGenerated: track.kind === 'asr'
+    }));
+  }
+
+  /**
+   * Get the public Atom feed URL for a channel
+   * @param {string} channelId - YouTube channel ID
+   * @returns {string} - Feed URL
+   */
+  getChannelFeedUrl(channelId) {
+    return `https://www.youtube.com/feeds/videos.xml?channel_id=${channelId}`;
+  }
+
+  /**
+   * Walk a ytInitialData / browse response and collect playlist video renderers
+   * @param {Object} data - Parsed YouTube page data
+   * @returns {Object} - { videos, continuation }
+   */
+  collectPlaylistRenderers(data) {
+    const videos = [];
+    let continuation = null;
+
+    const walk = (node) => {
+      if (!node || typeof node !== 'object') {
+        return;
+      }
+
+      if (Array.isArray(node)) {
+        node.forEach(walk);
+        return;
+      }
+
+      if (node.playlistVideoRenderer) {
+        videos.push(node.playlistVideoRenderer);
+        return;
+      }
+
+      if (node.continuationItemRenderer) {
+        continuation = node.continuationItemRenderer.continuationEndpoint
+          ?.continuationCommand?.token || continuation;
+        return;
+      }
+
+      Object.values(node).forEach(walk);
+    };
+
+    walk(data);
+
+    return { videos, continuation };
   }
 }
 
@@ -0,0 +1,79 @@
+process.env.LLM_PROVIDER = 'openai';
+process.env.LLM_CACHE = 'false';
+// Spent by the first request
+process.env.LLM_MONTHLY_BUDGET_USD = '0.000001';
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const db = require('./helpers/prisma');
+const jobService = require('../src/services/job.service');
+const llmService = require('../src/services/llm.service');
+require('../src/services/job-handlers');
+
+const CAPTIONS = [
+  'Photosynthesis is how plants turn light into chemical energy.',
+  'Chlorophyll in the leaves absorbs red and blue light.',
+  'The light reactions split water and release oxygen.',
+  'The Calvin cycle then fixes carbon dioxide into glucose.'
+].map((text, i) => ({ text, offset: i * 30, duration: 30 }));
+
+/**
+ * Queue a job and run one attempt of it, as the worker would
+ */
+async function runJob(type, payload, videoId) {
+  await jobService.enqueue(type, payload, { videoId });
+  await jobService.execute(await jobService.claimNext());
+  return db.rows('job')[0];
+}
+
+describe('monthly LLM budget', () => {
+  beforeEach(() => db.reset());
+
+  afterEach(() => mock.restoreAll());
+
+  it('stops a processing job once its first request has spent the budget', async () => {
+    mock.method(llmService, 'generateOpenAI', async () => JSON.stringify({
+      quickSummary: 'Plants turn light into chemical energy.',
+      detailedSummary: 'Chlorophyll absorbs light and the Calvin cycle makes glucose.',
+      keyPoints: ['Chlorophyll absorbs light']
+    }));
+    const video = db.seed('video', { title: 'How photosynthesis works', source: 'youtube', sourceId: 'aaaaaaaaaa1', youtubeId: 'aaaaaaaaaa1' });
+    db.seed('transcript', {
+      videoId: video.id,
+      language: 'en',
+      source: 'upload',
+      segmentCount: CAPTIONS.length,
+      segments: { create: CAPTIONS.map((segment, position) => ({ position, ...segment })) }
+    });
+
+    const job = await runJob('process-video', {}, video.id);
+
+    // The summary went through; the first highlight request was refused and failed the job
+    assert.equal(job.status, 'failed');
+    assert.match(job.error, /Monthly LLM budget of \$0\.00 exceeded/);
+    assert.equal(llmService.generateOpenAI.mock.callCount(), 1);
+    assert.equal(db.rows('video')[0].summaryJson, null);
+    assert.equal(db.rows('video')[0].highlightsJson, null);
+  });
+
+  it('stops bulk categorization before the next video once the budget is spent', async () => {
+    mock.method(llmService, 'generateOpenAI', async () => JSON.stringify({ suggestedCategory: 'Science', tags: ['plants'] }));
+    const videos = db.seed('video', [
+      { title: 'How photosynthesis works', source: 'youtube', sourceId: 'aaaaaaaaaa1' },
+      { title: 'The Calvin cycle', source: 'youtube', sourceId: 'bbbbbbbbbb2' }
+    ]);
+
+    const job = await runJob('categorize-videos', { videoIds: videos.map(video => video.id) });
+
+    assert.equal(job.status, 'failed');
+    assert.match(job.error, /budget/);
+    assert.equal(llmService.generateOpenAI.mock.callCount(), 1);
+  });
+
+  it('keeps answering interactive requests', async () => {
+    mock.method(llmService, 'generateOpenAI', async () => 'An answer.');
+
+    await llmService.generateCompletion('First question', { feature: 'chat' });
+    assert.equal(await llmService.generateCompletion('Second question', { feature: 'chat' }), 'An answer.');
+  });
+});
@@ -0,0 +1,331 @@
+/**
+ * In-memory stand-in for @prisma/client, so services can be exercised without a
+ * generated client or a database. Require this before any service module: every
+ * `new PrismaClient()` then returns the same shared client, whose tables can be
+ * seeded and inspected through the helpers exported here.
+ *
+ * New rows get the schema's @default values. Covers the subset of the query API the services
+ * use: equality, in/not/gt/gte/lt/lte filters, compound unique keys, orderBy/skip/take/distinct,
+ * nested create/deleteMany relation writes, and array or callback $transaction.
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const SCHEMA_PATH = path.join(__dirname, '../../src/prisma/schema.prisma');
+
+// Relation fields written through nested writes: field -> [model, foreign key]
+const RELATIONS = {
+  'transcript.segments': ['transcriptSegment', 'transcriptId'],
+  'video.summaryVersions': ['summaryVersion', 'videoId'],
+  'video.summaryTranslations': ['summaryTranslation', 'videoId'],
+  'video.summaryFormats': ['summaryFormat', 'videoId']
+};
+
+/**
+ * Column defaults per model, read from the schema: @default values, and null for optional columns
+ * @returns {Object} - { [model]: () => row defaults }
+ */
+function loadDefaults() {
+  const schema = fs.readFileSync(SCHEMA_PATH, 'utf8');
+  const defaults = {};
+
+  for (const [, name, body] of schema.matchAll(/^model (\w+) \{([\s\S]*?)^\}/gm)) {
+    const columns = [];
+
+    for (const line of body.split('\n')) {
+      const match = line.match(/^\s*(\w+)\s+(String|Int|Float|Boolean|DateTime)(\?)?(.*)$/);
+      if (!match) continue;
+
+      const [, column, type, optional, rest] = match;
+      const value = rest.match(/@default\(((?:[^()]|\(\))*)\)/)?.[1];
+
+      if (value === 'now()') {
+        columns.push([column, () => new Date()]);
+      } else if (value === 'uuid()' || value === 'cuid()') {
+        columns.push([column, () => crypto.randomUUID()]);
+      } else if (value !== undefined) {
+        const literal = type === 'String' ? JSON.parse(value) : type === 'Boolean' ? value === 'true' : Number(value);
+        columns.push([column, () => literal]);
+      } else if (optional) {
+        columns.push([column, () => null]);
+      }
+    }
+
+    const model = name[0].toLowerCase() + name.slice(1);
+    defaults[model] = () => Object.fromEntries(columns.map(([column, get]) => [column, get()]));
+  }
+
+  return defaults;
+}
+
+const DEFAULTS = loadDefaults();
+
+const tables = {};
+
+const table = (model) => {
+  if (!tables[model]) {
+    tables[model] = [];
+  }
+  return tables[model];
+};
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !(value instanceof Date) && !Array.isArray(value);
+
+const compare = (a, b) => {
+  const left = a instanceof Date ? a.getTime() : a;
+  const right = b instanceof Date ? b.getTime() : b;
+  return left < right ? -1 : left > right ? 1 : 0;
+};
+
+function matchesFilter(value, filter) {
+  if (filter === null) {
+    return value === null || value === undefined;
+  }
+  if (!isPlainObject(filter)) {
+    return compare(value, filter) === 0;
+  }
+
+  return Object.entries(filter).every(([op, operand]) => {
+    switch (op) {
+      case 'equals': return compare(value, operand) === 0;
+      case 'not': return !matchesFilter(value, operand);
+      case 'in': return operand.some(item => compare(value, item) === 0);
+      case 'notIn': return !operand.some(item => compare(value, item) === 0);
+      case 'gt': return value != null && compare(value, operand) > 0;
+      case 'gte': return value != null && compare(value, operand) >= 0;
+      case 'lt': return value != null && compare(value, operand) < 0;
+      case 'lte': return value != null && compare(value, operand) <= 0;
+      case 'contains': return typeof value === 'string' && value.includes(operand);
+      default: throw new Error(`Fake prisma: unsupported filter ${op}`);
+    }
+  });
+}
+
+function matches(row, where = {}) {
+  return Object.entries(where).every(([key, condition]) => {
+    if (condition === undefined) return true;
+    if (key === 'AND') return [].concat(condition).every(part => matches(row, part));
+    if (key === 'OR') return condition.some(part => matches(row, part));
+    if (key === 'NOT') return ![].concat(condition).some(part => matches(row, part));
+
+    // Compound unique key, e.g. { videoId_format: { videoId, format } }
+    if (isPlainObject(condition) && key.includes('_') && !(key in row)) {
+      return matches(row, condition);
+    }
+
+    return matchesFilter(row[key], condition);
+  });
+}
+
+function sortRows(rows, orderBy) {
+  const orders = [].concat(orderBy || []).flatMap(entry => Object.entries(entry));
+
+  return [...rows].sort((a, b) => {
+    for (const [field, direction] of orders) {
+      const result = compare(a[field], b[field]);
+      if (result !== 0) {
+        return direction === 'desc' ? -result : result;
+      }
+    }
+    return 0;
+  });
+}
+
+function applyData(model, row, data) {
+  const nested = [];
+
+  for (const [key, value] of Object.entries(data)) {
+    if (value === undefined) continue;
+
+    const relation = RELATIONS[`${model}.${key}`];
+    if (relation) {
+      nested.push([relation, value]);
+    } else if (isPlainObject(value) && ('increment' in value || 'decrement' in value)) {
+      row[key] = (row[key] || 0) + (value.increment || 0) - (value.decrement || 0);
+    } else if (isPlainObject(value) && 'set' in value) {
+      row[key] = value.set;
+    } else if (isPlainObject(value) && ('connect' in value || 'create' in value)) {
+      throw new Error(`Fake prisma: add ${model}.${key} to RELATIONS`);
+    } else {
+      row[key] = value;
+    }
+  }
+
+  return nested;
+}
+
+function applyNested(row, nested) {
+  for (const [[relatedModel, foreignKey], operations] of nested) {
+    if (operations.deleteMany) {
+      const rows = table(relatedModel);
+      const keep = rows.filter(related => !(related[foreignKey] === row.id && matches(related, operations.deleteMany)));
+      rows.splice(0, rows.length, ...keep);
+    }
+    for (const data of [].concat(operations.create || [], operations.createMany?.data || [])) {
+      createRow(relatedModel, { ...data, [foreignKey]: row.id });
+    }
+  }
+}
+
+function createRow(model, data) {
+  const now = new Date();
+  const row = { id: crypto.randomUUID(), createdAt: now, updatedAt: now, ...DEFAULTS[model]?.() };
+  const nested = applyData(model, row, data);
+
+  table(model).push(row);
+  applyNested(row, nested);
+  return row;
+}
+
+function updateRow(model, row, data) {
+  const nested = applyData(model, row, data);
+  row.updatedAt = new Date();
+  applyNested(row, nested);
+  return row;
+}
+
+const notFound = (model) => {
+  const error = new Error(`Fake prisma: no ${model} record found`);
+  error.code = 'P2025';
+  return error;
+};
+
+function createModel(model) {
+  const find = (args = {}) => {
+    let rows = sortRows(table(model).filter(row => matches(row, args.where)), args.orderBy);
+
+    if (args.distinct) {
+      const seen = new Set();
+      rows = rows.filter(row => {
+        const key = JSON.stringify(args.distinct.map(field => row[field]));
+        return seen.has(key) ? false : seen.add(key);
+      });
+    }
+
+    const start = args.skip || 0;
+    return rows.slice(start, args.take !== undefined ? start + args.take : undefined);
+  };
+
+  const first = (args) => {
+    const [row] = find(args);
+    return row ? { ...row } : null;
+  };
+
+  return {
+    findUnique: async (args) => first(args),
+    findFirst: async (args) => first(args),
+    findMany: async (args) => find(args).map(row => ({ ...row })),
+    count: async (args) => find(args).length,
+    create: async ({ data }) => ({ ...createRow(model, data) }),
+    createMany: async ({ data }) => {
+      data.forEach(item => createRow(model, item));
+      return { count: data.length };
+    },
+    update: async ({ where, data }) => {
+      const row = table(model).find(candidate => matches(candidate, where));
+      if (!row) throw notFound(model);
+      return { ...updateRow(model, row, data) };
+    },
+    updateMany: async ({ where, data }) => {
+      const rows = table(model).filter(row => matches(row, where));
+      rows.forEach(row => updateRow(model, row, data));
+      return { count: rows.length };
+    },
+    upsert: async ({ where, create, update }) => {
+      const row = table(model).find(candidate => matches(candidate, where));
+      return { ...(row ? updateRow(model, row, update) : createRow(model, create)) };
+    },
+    delete: async ({ where }) => {
+      const rows = table(model);
+      const index = rows.findIndex(row => matches(row, where));
+      if (index === -1) throw notFound(model);
+      return rows.splice(index, 1)[0];
+    },
+    deleteMany: async (args = {}) => {
+      const rows = table(model);
+      const keep = rows.filter(row => !matches(row, args.where));
+      const count = rows.length - keep.length;
+      rows.splice(0, rows.length, ...keep);
+      return { count };
+    },
+    aggregate: async (args = {}) => {
+      const rows = find(args);
+      const result = { _count: rows.length };
+      for (const op of ['_sum', '_avg', '_min', '_max']) {
+        if (!args[op]) continue;
+        result[op] = {};
+        for (const field of Object.keys(args[op])) {
+          const values = rows.map(row => row[field]).filter(value => value != null);
+          result[op][field] = values.length === 0 ? null
+            : op === '_sum' ? values.reduce((sum, value) => sum + value, 0)
+              : op === '_avg' ? values.reduce((sum, value) => sum + value, 0) / values.length
+                : [...values].sort(compare)[op === '_min' ? 0 : values.length - 1];
+        }
+      }
+      return result;
+    }
+  };
+}
+
+const models = {};
+
+const client = new Proxy({
+  $connect: async () => {},
+  $disconnect: async () => {},
+  $transaction: async (operations) =>
+    typeof operations === 'function' ? operations(client) : Promise.all(operations)
+}, {
+  get(target, name) {
+    if (name in target || typeof name !== 'string') {
+      return target[name];
+    }
+    if (!models[name]) {
+      models[name] = createModel(name);
+    }
+    return models[name];
+  }
+});
+
+class PrismaClient {
+  constructor() {
+    return client;
+  }
+}
+
+require.cache[require.resolve('@prisma/client')] = {
+  id: '@prisma/client',
+  filename: require.resolve('@prisma/client'),
+  loaded: true,
+  exports: { PrismaClient, Prisma: {} }
+};
+
+module.exports = {
+  client,
+
+  /**
+   * Rows of a model's table (live array)
+   * @param {string} model - Model name as used on the client, e.g. 'video'
+   * @returns {Array<Object>}
+   */
+  rows: table,
+
+  /**
+   * Insert rows directly, filling id and timestamps
+   * @param {string} model - Model name
+   * @param {Object|Array<Object>} data - Row data
+   * @returns {Object|Array<Object>} - Inserted rows
+   */
+  seed(model, data) {
+    const inserted = [].concat(data).map(item => createRow(model, item));
+    return Array.isArray(data) ? inserted : inserted[0];
+  },
+
+  /**
+   * Empty every table
+   */
+  reset() {
+    Object.values(tables).forEach(rows => rows.splice(0, rows.length));
+  }
+};
@@ -0,0 +1,26 @@
+/**
+ * Serve caption XML to youtube-transcript, so the YouTube provider can be exercised without
+ * network access. Call inside a test; mock.restoreAll() puts the real fetch back.
+ */
+const { mock } = require('node:test');
+
+/**
+ * Answer youtube-transcript's requests with one English caption track in the given XML
+ * @param {string} xml - srv3 or classic caption XML
+ */
+function serveCaptions(xml) {
+  mock.method(globalThis, 'fetch', async (url) => {
+    if (String(url).includes('/youtubei/v1/player')) {
+      return Response.json({
+        captions: {
+          playerCaptionsTracklistRenderer: {
+            captionTracks: [{ baseUrl: 'https://www.youtube.com/api/timedtext?v=aaaaaaaaaa1&lang=en', languageCode: 'en' }]
+          }
+        }
+      });
+    }
+    return new Response(xml);
+  });
+}
+
+module.exports = { serveCaptions };
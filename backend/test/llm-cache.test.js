@@ -0,0 +1,110 @@
+process.env.LLM_PROVIDER = 'openai,local';
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const db = require('./helpers/prisma');
+const llmCache = require('../src/services/llm-cache.service');
+const llmService = require('../src/services/llm.service');
+
+const REQUEST = {
+  provider: 'openai',
+  model: 'gpt-4o-mini',
+  prompt: 'Summarize this',
+  systemPrompt: 'You summarize videos.',
+  temperature: 0.3,
+  maxTokens: 500,
+  json: false
+};
+
+describe('LLM cache', () => {
+  beforeEach(() => db.reset());
+
+  afterEach(() => {
+    delete process.env.LLM_CACHE_TTL_HOURS;
+    mock.restoreAll();
+    mock.timers.reset();
+  });
+
+  describe('buildKey', () => {
+    it('gives the same request the same key', () => {
+      assert.equal(llmCache.buildKey(REQUEST), llmCache.buildKey({ ...REQUEST }));
+      assert.equal(llmCache.buildKey({ ...REQUEST, json: undefined }), llmCache.buildKey(REQUEST));
+      assert.match(llmCache.buildKey(REQUEST), /^[0-9a-f]{64}$/);
+    });
+
+    for (const [field, value] of Object.entries({
+      provider: 'local',
+      model: 'gpt-4o',
+      prompt: 'Summarize that',
+      systemPrompt: 'You translate videos.',
+      temperature: 0.7,
+      maxTokens: 501,
+      json: true
+    })) {
+      it(`changes with ${field}`, () => {
+        assert.notEqual(llmCache.buildKey({ ...REQUEST, [field]: value }), llmCache.buildKey(REQUEST));
+      });
+    }
+  });
+
+  describe('get and set', () => {
+    it('expires entries after LLM_CACHE_TTL_HOURS', async () => {
+      mock.timers.enable({ apis: ['Date'], now: new Date('2024-05-01T00:00:00Z') });
+      process.env.LLM_CACHE_TTL_HOURS = '2';
+      await llmCache.set('key-a', REQUEST, 'cached answer');
+
+      mock.timers.tick(2 * 3600 * 1000 - 1);
+      assert.equal((await llmCache.get(['key-a'])).response, 'cached answer');
+
+      mock.timers.tick(1);
+      assert.equal(await llmCache.get(['key-a']), null);
+    });
+
+    it('keeps entries without expiry when the TTL is 0', async () => {
+      process.env.LLM_CACHE_TTL_HOURS = '0';
+      await llmCache.set('key-a', REQUEST, 'cached answer');
+
+      assert.equal(db.rows('llmCacheEntry')[0].expiresAt, null);
+      assert.equal((await llmCache.get(['key-a'])).response, 'cached answer');
+    });
+
+    it('returns the first key with a live entry and counts the hit on it', async () => {
+      await llmCache.set('key-b', { ...REQUEST, provider: 'local' }, 'second choice');
+      await llmCache.set('key-c', REQUEST, 'third choice');
+
+      const entry = await llmCache.get(['key-a', 'key-b', 'key-c']);
+
+      assert.equal(entry.response, 'second choice');
+      assert.deepEqual(db.rows('llmCacheEntry').map(row => [row.key, row.hits]), [['key-b', 1], ['key-c', 0]]);
+    });
+  });
+
+  describe('generateCompletion', () => {
+    it('serves an answer from a fallback provider without calling the chain again', async () => {
+      mock.method(llmService, 'generateOpenAI', async () => {
+        throw Object.assign(new Error('Invalid API key'), { status: 401 });
+      });
+      mock.method(llmService, 'generateLocal', async () => 'local answer');
+
+      assert.equal(await llmService.generateCompletion('Summarize this'), 'local answer');
+      assert.equal(await llmService.generateCompletion('Summarize this'), 'local answer');
+
+      assert.equal(llmService.generateOpenAI.mock.callCount(), 1);
+      assert.equal(llmService.generateLocal.mock.callCount(), 1);
+      assert.equal(db.rows('llmCacheEntry')[0].hits, 1);
+    });
+
+    it('drops an unusable structured answer instead of serving it again', async () => {
+      const responses = ['{"topics": "photosynthesis"}', '{"topics": ["photosynthesis"]}', '{"topics": ["chlorophyll"]}'];
+      mock.method(llmService, 'generateOpenAI', async () => responses.shift());
+      const schema = { type: 'object', required: ['topics'], properties: { topics: { type: 'array' } } };
+
+      assert.deepEqual(await llmService.generateStructured('List the topics', schema), { topics: ['photosynthesis'] });
+      assert.deepEqual(db.rows('llmCacheEntry').map(row => row.response), ['{"topics": ["photosynthesis"]}']);
+
+      // The original prompt misses the cache and is asked again
+      assert.deepEqual(await llmService.generateStructured('List the topics', schema), { topics: ['chlorophyll'] });
+      assert.equal(llmService.generateOpenAI.mock.callCount(), 3);
+    });
+  });
+});
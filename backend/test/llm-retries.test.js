@@ -0,0 +1,149 @@
+process.env.LLM_PROVIDER = 'openai,local';
+process.env.LLM_CACHE = 'false';
+process.env.LLM_RETRY_BASE_MS = '1';
+
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers/prisma');
+const llmService = require('../src/services/llm.service');
+
+const httpError = (status, headers = {}) => Object.assign(new Error(`Request failed with status ${status}`), { status, headers });
+
+/**
+ * A provider call that throws the error for its first `failures` calls, then answers
+ */
+function failingCall(failures, error) {
+  let calls = 0;
+  const call = async () => {
+    calls++;
+    if (calls <= failures) {
+      throw error;
+    }
+    return 'answer';
+  };
+  call.calls = () => calls;
+  return call;
+}
+
+describe('LLM retries', () => {
+  afterEach(() => mock.restoreAll());
+
+  describe('callWithRetries', () => {
+    it('retries transient errors until the call succeeds', async () => {
+      const call = failingCall(2, httpError(503));
+
+      assert.equal(await llmService.callWithRetries('openai', call), 'answer');
+      assert.equal(call.calls(), 3);
+    });
+
+    it('gives up after LLM_MAX_RETRIES retries', async () => {
+      const call = failingCall(3, httpError(503));
+
+      await assert.rejects(llmService.callWithRetries('openai', call), { status: 503 });
+      assert.equal(call.calls(), 3);
+    });
+
+    it('does not retry errors that will not go away', async () => {
+      const call = failingCall(1, httpError(400));
+
+      await assert.rejects(llmService.callWithRetries('openai', call), { status: 400 });
+      assert.equal(call.calls(), 1);
+    });
+
+    it('waits as long as Retry-After asks', async () => {
+      mock.method(globalThis, 'setTimeout');
+      const seconds = failingCall(1, httpError(429, { 'retry-after': '0.05' }));
+      const milliseconds = failingCall(1, httpError(429, new Headers({ 'retry-after-ms': '30' })));
+
+      assert.equal(await llmService.callWithRetries('openai', seconds), 'answer');
+      assert.equal(await llmService.callWithRetries('openai', milliseconds), 'answer');
+
+      const delays = setTimeout.mock.calls.map(call => call.arguments[1]);
+      assert.ok(delays.includes(50));
+      assert.ok(delays.includes(30));
+    });
+
+    it('leaves the provider when Retry-After is longer than LLM_MAX_RETRY_AFTER_SECONDS', async () => {
+      const call = failingCall(1, httpError(429, { 'retry-after': '3600' }));
+
+      await assert.rejects(llmService.callWithRetries('openai', call), { status: 429 });
+      assert.equal(call.calls(), 1);
+    });
+  });
+
+  describe('generateCompletion', () => {
+    it('falls back to the next provider once retries are exhausted', async () => {
+      const openai = failingCall(Infinity, httpError(503));
+      mock.method(llmService, 'generateOpenAI', openai);
+      mock.method(llmService, 'generateLocal', async () => 'local answer');
+
+      assert.equal(await llmService.generateCompletion('Summarize this'), 'local answer');
+      assert.equal(openai.calls(), 3);
+    });
+
+    it('falls back at once on an error that is not worth retrying', async () => {
+      const openai = failingCall(Infinity, httpError(401));
+      mock.method(llmService, 'generateOpenAI', openai);
+      mock.method(llmService, 'generateLocal', async () => 'local answer');
+
+      assert.equal(await llmService.generateCompletion('Summarize this'), 'local answer');
+      assert.equal(openai.calls(), 1);
+    });
+
+    it('rejects with the last error when every provider fails', async () => {
+      mock.method(llmService, 'generateOpenAI', failingCall(Infinity, httpError(401)));
+      mock.method(llmService, 'generateLocal', failingCall(Infinity, httpError(404)));
+
+      await assert.rejects(llmService.generateCompletion('Summarize this'), { status: 404 });
+    });
+  });
+
+  describe('rate limiter', () => {
+    const limiterWith = (name, env) => {
+      Object.assign(process.env, env);
+      try {
+        return llmService.getLimiter(name);
+      } finally {
+        Object.keys(env).forEach(key => delete process.env[key]);
+      }
+    };
+
+    it('holds requests beyond LLM_MAX_CONCURRENCY until a slot is released', async () => {
+      const limiter = limiterWith('concurrency-test', { LLM_MAX_CONCURRENCY: '1' });
+      const release = await limiter.acquire();
+
+      let acquired = false;
+      const next = limiter.acquire().then(releaseNext => {
+        acquired = true;
+        return releaseNext;
+      });
+
+      await new Promise(resolve => setImmediate(resolve));
+      assert.equal(acquired, false);
+
+      release();
+      (await next)();
+      assert.equal(acquired, true);
+    });
+
+    it('holds requests beyond LLM_REQUESTS_PER_MINUTE until the minute has passed', async () => {
+      mock.timers.enable({ apis: ['setTimeout', 'Date'] });
+      const limiter = limiterWith('rate-test', { LLM_REQUESTS_PER_MINUTE: '2' });
+      (await limiter.acquire())();
+      (await limiter.acquire())();
+
+      let acquired = false;
+      const next = limiter.acquire().then(release => {
+        acquired = true;
+        return release;
+      });
+
+      await new Promise(resolve => setImmediate(resolve));
+      assert.equal(acquired, false);
+
+      mock.timers.tick(60000);
+      (await next)();
+      assert.equal(acquired, true);
+    });
+  });
+});
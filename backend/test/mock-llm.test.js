@@ -0,0 +1,117 @@
+process.env.LLM_PROVIDER = 'mock';
+process.env.LLM_CACHE = 'false';
+process.env.LLM_RETRY_BASE_MS = '1';
+
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+require('./helpers/prisma');
+const mockLLM = require('../src/services/mock-llm.service');
+const llmService = require('../src/services/llm.service');
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'llm-fixtures.json');
+const EXAMPLE_FIXTURES = path.join(__dirname, '..', 'fixtures', 'llm.example.json');
+
+describe('mock LLM provider', () => {
+  beforeEach(() => {
+    process.env.LLM_MOCK_FIXTURES = FIXTURES;
+  });
+
+  afterEach(() => {
+    delete process.env.LLM_MOCK_FIXTURES;
+    mock.restoreAll();
+  });
+
+  describe('fixtures', () => {
+    it('matches on feature and a case-insensitive substring, returning objects as JSON', () => {
+      const response = mockLLM.generate({ feature: 'summary', prompt: 'Transcript: photosynthesis in plants' });
+
+      assert.equal(JSON.parse(response).quickSummary, 'Plants turn light into chemical energy.');
+    });
+
+    it('uses the first matching rule and returns strings as they are', () => {
+      assert.equal(mockLLM.generate({ feature: 'chat', prompt: 'What is the capital of France?' }), 'Paris.');
+      assert.equal(mockLLM.generate({ feature: 'chat', prompt: 'Which capital?' }), 'Shadowed by the rule above.');
+    });
+
+    it('falls back to the heuristics when no rule matches', () => {
+      const response = mockLLM.generate({ feature: 'summary', prompt: 'Transcript:\nCells divide by mitosis.\nWrite the summary' });
+
+      assert.match(response, /mitosis/);
+      assert.equal(mockLLM.findFixture({ feature: 'summary', prompt: 'mitosis' }), undefined);
+    });
+
+    it('fails with the rule\'s error message and status', () => {
+      assert.throws(
+        () => mockLLM.generate({ feature: 'categorize', prompt: 'Categorize this video' }),
+        { message: 'Rate limit exceeded', status: 429 }
+      );
+    });
+
+    it('re-reads the fixture file when it changes', () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'llm-fixtures-'));
+      const file = path.join(dir, 'fixtures.json');
+
+      try {
+        process.env.LLM_MOCK_FIXTURES = file;
+        fs.writeFileSync(file, JSON.stringify([{ response: 'first' }]));
+        assert.equal(mockLLM.generate({ prompt: 'anything' }), 'first');
+
+        fs.writeFileSync(file, JSON.stringify([{ response: 'second' }]));
+        fs.utimesSync(file, new Date(), new Date(Date.now() + 5000));
+        assert.equal(mockLLM.generate({ prompt: 'anything' }), 'second');
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+
+    it('ships a valid example fixture file', () => {
+      process.env.LLM_MOCK_FIXTURES = EXAMPLE_FIXTURES;
+      const rules = mockLLM.loadFixtures();
+
+      assert.ok(rules.length > 0);
+      for (const rule of rules) {
+        assert.ok('response' in rule || 'error' in rule, JSON.stringify(rule));
+      }
+    });
+  });
+
+  describe('through the LLM service', () => {
+    before(() => {
+      process.env.LLM_MAX_RETRIES = '2';
+    });
+
+    after(() => {
+      delete process.env.LLM_MAX_RETRIES;
+    });
+
+    it('answers structured requests from a fixture', async () => {
+      const summary = await llmService.generateSummary('Photosynthesis turns light into sugar.', 'Plants');
+
+      assert.equal(summary.quickSummary, 'Plants turn light into chemical energy.');
+      assert.equal(summary.provider, 'mock');
+    });
+
+    it('retries fixture errors with a retryable status, then gives up', async () => {
+      mock.method(mockLLM, 'generate');
+
+      await assert.rejects(
+        llmService.generateCompletion('Categorize this video', { feature: 'categorize' }),
+        { message: 'Rate limit exceeded' }
+      );
+      assert.equal(mockLLM.generate.mock.callCount(), 3);
+    });
+
+    it('does not retry fixture errors with a client error status', async () => {
+      mock.method(mockLLM, 'generate');
+
+      await assert.rejects(
+        llmService.generateCompletion('List the topics', { feature: 'topics' }),
+        { message: 'Invalid request' }
+      );
+      assert.equal(mockLLM.generate.mock.callCount(), 1);
+    });
+  });
+});
@@ -0,0 +1,132 @@
+process.env.LLM_PROVIDER = 'mock';
+process.env.LLM_CACHE = 'false';
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+require('./helpers/prisma');
+const structuredOutput = require('../src/services/structured-output.service');
+const llmService = require('../src/services/llm.service');
+const mockLLM = require('../src/services/mock-llm.service');
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'llm-repair.json');
+
+const CHAPTER_SCHEMA = {
+  type: 'array',
+  minItems: 1,
+  items: {
+    type: 'object',
+    required: ['title', 'start'],
+    properties: {
+      title: { type: 'string', minLength: 1 },
+      start: { type: 'number', minimum: 0 },
+      level: { enum: ['main', 'sub'] }
+    }
+  }
+};
+
+describe('structured output', () => {
+  describe('parse', () => {
+    it('reads JSON from a code fence or surrounding prose', () => {
+      assert.deepEqual(structuredOutput.parse('```json\n[{"title": "Intro", "start": 0}]\n```', CHAPTER_SCHEMA).value, [{ title: 'Intro', start: 0 }]);
+      assert.deepEqual(structuredOutput.parse('Sure! [{"title": "Intro", "start": 0,}] Hope this helps.', CHAPTER_SCHEMA).value, [{ title: 'Intro', start: 0 }]);
+    });
+
+    it('reports every schema violation with its path', () => {
+      const { errors } = structuredOutput.parse('[{"title": " ", "start": -5, "level": "top"}, {"start": "0:30"}]', CHAPTER_SCHEMA);
+
+      assert.deepEqual(errors, [
+        '$[0].title should have at least 1 characters',
+        '$[0].start should be >= 0',
+        '$[0].level should be one of "main", "sub"',
+        '$[1].title is required',
+        '$[1].start should be number, got string'
+      ]);
+    });
+
+    it('reports output without JSON', () => {
+      assert.deepEqual(structuredOutput.parse('I could not find any chapters.', CHAPTER_SCHEMA).errors, ['Response does not contain valid JSON']);
+      assert.deepEqual(structuredOutput.parse('[]', CHAPTER_SCHEMA).errors, ['$ should have at least 1 items, got 0']);
+    });
+  });
+
+  describe('generateStructured', () => {
+    afterEach(() => mock.restoreAll());
+
+    /**
+     * Answer completions with the given responses in turn, recording the prompts
+     */
+    const scriptResponses = (...responses) => {
+      const prompts = [];
+      mock.method(llmService, 'generateCompletion', async (prompt) => {
+        prompts.push(prompt);
+        return responses[prompts.length - 1];
+      });
+      return prompts;
+    };
+
+    it('returns a valid answer without repairing it', async () => {
+      const prompts = scriptResponses('[{"title": "Intro", "start": 0}]');
+
+      assert.deepEqual(await llmService.generateStructured('Split the video', CHAPTER_SCHEMA), [{ title: 'Intro', start: 0 }]);
+      assert.equal(prompts.length, 1);
+    });
+
+    it('re-prompts with the validation errors and the previous answer', async () => {
+      const prompts = scriptResponses('[{"title": "Intro"}]', '[{"title": "Intro", "start": 0}]');
+
+      const chapters = await llmService.generateStructured('Split the video', CHAPTER_SCHEMA);
+
+      assert.deepEqual(chapters, [{ title: 'Intro', start: 0 }]);
+      assert.equal(prompts.length, 2);
+      assert.ok(prompts[1].startsWith('Split the video'));
+      assert.match(prompts[1], /- \$\[0\]\.start is required/);
+      assert.match(prompts[1], /Previous response:\n\[\{"title": "Intro"\}\]/);
+    });
+
+    it('gives up after the configured repair attempts', async () => {
+      const prompts = scriptResponses('not JSON', 'still not JSON', 'never JSON');
+
+      await assert.rejects(
+        llmService.generateStructured('Split the video', CHAPTER_SCHEMA, { repairAttempts: 1 }),
+        (error) => {
+          assert.equal(error.message, 'Invalid JSON response: Response does not contain valid JSON');
+          assert.deepEqual(error.validationErrors, ['Response does not contain valid JSON']);
+          return true;
+        }
+      );
+      assert.equal(prompts.length, 2);
+    });
+  });
+
+  describe('generateStructured on the mock provider', () => {
+    beforeEach(() => {
+      process.env.LLM_MOCK_FIXTURES = FIXTURES;
+      mock.method(mockLLM, 'generate');
+    });
+
+    afterEach(() => {
+      delete process.env.LLM_MOCK_FIXTURES;
+      mock.restoreAll();
+    });
+
+    const prompts = () => mockLLM.generate.mock.calls.map(call => call.arguments[0].prompt);
+
+    it('repairs an answer that misses a required field', async () => {
+      const chapters = await llmService.generateStructured('Split the video', CHAPTER_SCHEMA, { feature: 'chapters' });
+
+      assert.deepEqual(chapters, [{ title: 'Intro', start: 0 }]);
+      assert.equal(prompts().length, 2);
+      assert.match(prompts()[1], /- \$\[0\]\.start is required/);
+    });
+
+    it('gives up when the repaired answer is still not JSON', async () => {
+      await assert.rejects(
+        llmService.generateStructured('Outline the video', CHAPTER_SCHEMA, { feature: 'formats', repairAttempts: 2 }),
+        /Invalid JSON response: Response does not contain valid JSON/
+      );
+      assert.equal(prompts().length, 3);
+      assert.ok(prompts().slice(1).every(prompt => prompt.includes('Previous response:\nI could not come up with any.')));
+    });
+  });
+});
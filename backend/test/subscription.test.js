@@ -0,0 +1,172 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const db = require('./helpers/prisma');
+const subscriptionService = require('../src/services/subscription.service');
+const videoImportService = require('../src/services/video-import.service');
+const jobService = require('../src/services/job.service');
+
+const FEED_URL = 'https://www.youtube.com/feeds/videos.xml?channel_id=UCtest0000000000000000000';
+const feedXml = fs.readFileSync(path.join(__dirname, 'fixtures', 'channel-feed.xml'), 'utf8');
+
+describe('subscription feeds', () => {
+  let fetched;
+  let stored;
+
+  beforeEach(() => {
+    db.reset();
+    fetched = [];
+    stored = new Set();
+
+    subscriptionService.setFeedFetcher(async (url) => {
+      fetched.push(url);
+      return feedXml;
+    });
+
+    // Stands in for the real import, which would fetch metadata from YouTube
+    mock.method(videoImportService, 'addVideo', async (youtubeId) => {
+      const status = stored.has(youtubeId) ? 'duplicate' : 'added';
+      stored.add(youtubeId);
+      return { status, video: { id: `video-${youtubeId}`, title: youtubeId } };
+    });
+    mock.method(jobService, 'enqueue', async (type, payload, { videoId }) => ({
+      job: { id: `job-${videoId}` },
+      created: true
+    }));
+  });
+
+  afterEach(() => {
+    subscriptionService.setFeedFetcher(null);
+    mock.restoreAll();
+  });
+
+  describe('parseFeed', () => {
+    it('reads the channel title and every entry of a YouTube Atom feed', () => {
+      const feed = subscriptionService.parseFeed(feedXml);
+
+      assert.equal(feed.title, 'Plants & Science');
+      assert.deepEqual(feed.entries.map(entry => entry.youtubeId), ['cccccccccc3', 'bbbbbbbbbb2', 'aaaaaaaaaa1']);
+      assert.equal(feed.entries[1].title, 'Chlorophyll "explained"');
+      assert.equal(feed.entries[1].author, 'Plants & Science');
+      assert.deepEqual(feed.entries[1].published, new Date('2024-02-02T12:00:00Z'));
+    });
+
+    it('takes video IDs from the links of a generic RSS feed and drops non-video items', () => {
+      const feed = subscriptionService.parseFeed(`
+        <rss><channel><title>Links</title>
+          <item><title><![CDATA[First & best]]></title><link>https://youtu.be/dddddddddd4</link><pubDate>Mon, 01 Apr 2024 10:00:00 GMT</pubDate></item>
+          <item><title>Not a video</title><link>https://example.com/post</link></item>
+        </channel></rss>`);
+
+      assert.equal(feed.title, 'Links');
+      assert.equal(feed.entries.length, 1);
+      assert.equal(feed.entries[0].youtubeId, 'dddddddddd4');
+      assert.equal(feed.entries[0].title, 'First & best');
+    });
+  });
+
+  describe('createSubscription', () => {
+    it('rejects feed URLs that are not http(s) without fetching them', async () => {
+      await assert.rejects(
+        subscriptionService.createSubscription({ feedUrl: 'file:///etc/passwd' }),
+        { status: 400 }
+      );
+      assert.deepEqual(fetched, []);
+      assert.equal(db.rows('subscription').length, 0);
+    });
+
+    it('starts after the newest upload unless importExisting is set', async () => {
+      const { subscription, check } = await subscriptionService.createSubscription({ feedUrl: FEED_URL });
+
+      assert.equal(check, null);
+      assert.equal(subscription.title, 'Plants & Science');
+      assert.deepEqual(subscription.lastPublishedAt, new Date('2024-03-03T12:00:00Z'));
+      assert.equal(videoImportService.addVideo.mock.callCount(), 0);
+    });
+  });
+
+  describe('checkSubscription', () => {
+    it('ingests only uploads newer than the last one seen, oldest first', async () => {
+      const subscription = db.seed('subscription', {
+        feedUrl: FEED_URL,
+        tags: '["biology"]',
+        autoProcess: true,
+        active: true,
+        lastPublishedAt: new Date('2024-01-15T00:00:00Z')
+      });
+
+      const result = await subscriptionService.checkSubscription(subscription.id);
+
+      assert.equal(result.added, 2);
+      assert.deepEqual(result.items.map(item => item.youtubeId), ['bbbbbbbbbb2', 'cccccccccc3']);
+      assert.deepEqual(result.items.map(item => item.jobId), ['job-video-bbbbbbbbbb2', 'job-video-cccccccccc3']);
+      assert.deepEqual(videoImportService.addVideo.mock.calls[0].arguments[1].tags, ['biology']);
+      assert.deepEqual(result.subscription.lastPublishedAt, new Date('2024-03-03T12:00:00Z'));
+      assert.equal(result.subscription.lastError, null);
+    });
+
+    it('does not ingest the same uploads again on the next poll', async () => {
+      const subscription = db.seed('subscription', { feedUrl: FEED_URL, tags: '[]', active: true, lastPublishedAt: null });
+
+      const first = await subscriptionService.checkSubscription(subscription.id);
+      const second = await subscriptionService.checkSubscription(subscription.id);
+
+      assert.equal(first.added, 3);
+      assert.equal(second.items.length, 0);
+      assert.equal(videoImportService.addVideo.mock.callCount(), 3);
+    });
+
+    it('reports uploads already in the library as skipped and does not queue them', async () => {
+      stored.add('aaaaaaaaaa1');
+      const subscription = db.seed('subscription', { feedUrl: FEED_URL, tags: '[]', autoProcess: true, active: true, lastPublishedAt: null });
+
+      const result = await subscriptionService.checkSubscription(subscription.id);
+
+      assert.deepEqual(result.items.find(item => item.youtubeId === 'aaaaaaaaaa1'), {
+        youtubeId: 'aaaaaaaaaa1',
+        title: 'aaaaaaaaaa1',
+        videoId: 'video-aaaaaaaaaa1',
+        status: 'skipped'
+      });
+      assert.equal(result.skipped, 1);
+      assert.equal(jobService.enqueue.mock.callCount(), 2);
+    });
+
+    it('retries an upload that failed to import on the next poll', async () => {
+      const subscription = db.seed('subscription', {
+        feedUrl: FEED_URL,
+        tags: '[]',
+        active: true,
+        lastPublishedAt: new Date('2024-01-15T00:00:00Z')
+      });
+      let attempts = 0;
+      videoImportService.addVideo.mock.mockImplementation(async (youtubeId) => {
+        if (youtubeId === 'bbbbbbbbbb2' && attempts++ === 0) {
+          throw new Error('socket hang up');
+        }
+        const status = stored.has(youtubeId) ? 'duplicate' : 'added';
+        stored.add(youtubeId);
+        return { status, video: { id: `video-${youtubeId}`, title: youtubeId } };
+      });
+
+      const first = await subscriptionService.checkSubscription(subscription.id);
+      const second = await subscriptionService.checkSubscription(subscription.id);
+
+      assert.deepEqual(first.items.map(item => [item.youtubeId, item.status]), [['bbbbbbbbbb2', 'failed'], ['cccccccccc3', 'added']]);
+      assert.deepEqual(first.subscription.lastPublishedAt, new Date('2024-01-15T00:00:00Z'));
+      assert.deepEqual(second.items.map(item => [item.youtubeId, item.status]), [['bbbbbbbbbb2', 'added'], ['cccccccccc3', 'skipped']]);
+      assert.deepEqual(second.subscription.lastPublishedAt, new Date('2024-03-03T12:00:00Z'));
+    });
+
+    it('records a feed error on the subscription', async () => {
+      subscriptionService.setFeedFetcher(async () => {
+        throw new Error('Request failed with status code 503');
+      });
+      const subscription = db.seed('subscription', { feedUrl: FEED_URL, tags: '[]', active: true });
+
+      await assert.rejects(subscriptionService.checkSubscription(subscription.id), /503/);
+      assert.equal(db.rows('subscription')[0].lastError, 'Request failed with status code 503');
+    });
+  });
+});
@@ -0,0 +1,33 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+require('./helpers/prisma');
+const llmService = require('../src/services/llm.service');
+const transcriptionService = require('../src/services/transcription.service');
+const youtubeProvider = require('../src/services/providers/youtube.provider');
+const { serveCaptions } = require('./helpers/youtube-captions');
+
+// A 20 minute video with a 50 second srv3 cue every minute
+const DURATION = 1200;
+const SRV3 = `<?xml version="1.0" encoding="utf-8" ?><timedtext format="3"><body>
+${Array.from({ length: DURATION / 60 }, (_, minute) => `<p t="${minute * 60000}" d="50000">Minute ${minute} of the talk.</p>`).join('\n')}
+</body></timedtext>`;
+
+describe('generateHighlights', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('places highlights of YouTube captions within the video', async () => {
+    serveCaptions(SRV3);
+    // Point at the last transcript line the window shows
+    mock.method(llmService, 'generateCompletion', async (prompt) => {
+      const times = [...prompt.matchAll(/^\[(\d+:\d{2}(?::\d{2})?)\]/gm)].map(match => match[1]);
+      return JSON.stringify({ highlight: `Up to ${times[times.length - 1]}`, time: times[times.length - 1], important: true });
+    });
+
+    const { segments } = await youtubeProvider.getTranscript('aaaaaaaaaa1');
+    const highlights = await transcriptionService.generateHighlights(segments, 'A talk');
+
+    // One per five-minute window, each at the last cue the window saw
+    assert.deepEqual(highlights.map(highlight => highlight.formattedTime), ['4:00', '9:00', '14:00', '19:00']);
+    assert.ok(highlights.every(highlight => highlight.timestamp >= 0 && highlight.timestamp <= DURATION));
+  });
+});
@@ -0,0 +1,252 @@
+process.env.LLM_PROVIDER = 'mock';
+process.env.LLM_CACHE = 'false';
+
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const db = require('./helpers/prisma');
+const jobService = require('../src/services/job.service');
+const llmService = require('../src/services/llm.service');
+const settingsService = require('../src/services/settings.service');
+const videoProcessingService = require('../src/services/video-processing.service');
+const youtubeProvider = require('../src/services/providers/youtube.provider');
+require('../src/services/job-handlers');
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'llm-fixtures.json');
+
+const CAPTIONS = [
+  'Photosynthesis is how plants turn light into chemical energy.',
+  'Chlorophyll in the leaves absorbs red and blue light.',
+  'The light reactions split water and release oxygen.',
+  'The Calvin cycle then fixes carbon dioxide into glucose.'
+].map((text, i) => ({ text, offset: i * 30, duration: 30, lang: 'en' }));
+
+/**
+ * Queue a job for the video and run one attempt of it, as the worker would
+ */
+async function runProcessJob(videoId) {
+  await jobService.enqueue('process-video', {}, { videoId });
+  await jobService.execute(await jobService.claimNext());
+  return db.rows('job')[0];
+}
+
+describe('video processing jobs', () => {
+  let video;
+
+  beforeEach(() => {
+    db.reset();
+    video = db.seed('video', {
+      title: 'How photosynthesis works',
+      author: 'Plants & Science',
+      source: 'youtube',
+      sourceId: 'aaaaaaaaaa1',
+      youtubeId: 'aaaaaaaaaa1',
+      summaryJson: JSON.stringify({ quickSummary: 'Earlier summary' })
+    });
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('retries when the transcript fetch hits a rate limit', async () => {
+    mock.method(youtubeProvider, 'getTranscript', async () => {
+      throw new Error('YouTube is receiving too many requests from this IP and now requires solving a captcha to continue');
+    });
+
+    const job = await runProcessJob(video.id);
+
+    assert.equal(job.status, 'queued');
+    assert.ok(job.runAt > new Date());
+    assert.match(job.error, /too many requests/);
+  });
+
+  it('retries when the transcript fetch fails with a network error', async () => {
+    mock.method(youtubeProvider, 'getTranscript', async () => {
+      throw new TypeError('fetch failed', { cause: Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' }) });
+    });
+
+    const job = await runProcessJob(video.id);
+
+    assert.equal(job.status, 'queued');
+  });
+
+  it('fails at once when the video has no transcript', async () => {
+    mock.method(youtubeProvider, 'getTranscript', async () => {
+      throw new Error('[YoutubeTranscript] 🚨 Transcript is disabled on this video (aaaaaaaaaa1)');
+    });
+
+    const job = await runProcessJob(video.id);
+
+    assert.equal(job.status, 'failed');
+    assert.equal(job.error, 'Transcripts are disabled for this video');
+  });
+
+  it('retries when the LLM fails, keeping the stored summary', async () => {
+    mock.method(youtubeProvider, 'getTranscript', async () => ({ segments: CAPTIONS, language: 'en' }));
+    mock.method(llmService, 'generateStructured', async () => {
+      throw Object.assign(new Error('Service Unavailable'), { status: 503 });
+    });
+
+    const job = await runProcessJob(video.id);
+
+    assert.equal(job.status, 'queued');
+    assert.equal(job.error, 'Service Unavailable');
+    assert.equal(db.rows('video')[0].summaryJson, JSON.stringify({ quickSummary: 'Earlier summary' }));
+    assert.equal(db.rows('summaryVersion').length, 0);
+  });
+});
+
+describe('processVideo on the mock provider', () => {
+  let video;
+
+  beforeEach(() => {
+    db.reset();
+    video = db.seed('video', {
+      title: 'How photosynthesis works',
+      author: 'Plants & Science',
+      source: 'youtube',
+      sourceId: 'aaaaaaaaaa1',
+      youtubeId: 'aaaaaaaaaa1',
+      duration: 120
+    });
+
+    // Uploaded captions are used as they are, so nothing is fetched from YouTube
+    db.seed('transcript', {
+      videoId: video.id,
+      language: 'en',
+      source: 'upload',
+      segmentCount: CAPTIONS.length,
+      segments: { create: CAPTIONS.map(({ text, offset, duration }, position) => ({ position, text, offset, duration })) }
+    });
+  });
+
+  afterEach(() => {
+    delete process.env.LLM_MOCK_FIXTURES;
+  });
+
+  it('runs every stage and stores the results with their provenance', async () => {
+    const stages = [];
+    const result = await videoProcessingService.processVideo(video.id, {
+      onStage: async (name) => stages.push(name)
+    });
+
+    assert.equal(result.success, true);
+    assert.deepEqual(stages, ['transcript', 'summary', 'highlights', 'chapters', 'indexing']);
+
+    const [stored] = db.rows('video');
+    const summary = JSON.parse(stored.summaryJson);
+    assert.equal(stored.transcription, CAPTIONS.map(segment => segment.text).join(' '));
+    assert.ok(summary.quickSummary.length > 0);
+    assert.ok(summary.keyPoints.length > 0);
+    assert.equal(summary.coverage, 1);
+    assert.equal(stored.summaryLanguage, 'en');
+    assert.equal(stored.summaryProvider, 'mock');
+    assert.equal(stored.summaryTranscriptHash, videoProcessingService.hashTranscript(stored.transcription));
+    assert.ok(Array.isArray(JSON.parse(stored.highlightsJson)));
+    assert.ok(JSON.parse(stored.chaptersJson).length > 0);
+
+    assert.equal(db.rows('summaryVersion').length, 1);
+    assert.equal(db.rows('summaryVersion')[0].provider, 'mock');
+    assert.equal(db.rows('knowledgeGraph')[0].videoId, video.id);
+  });
+
+  it('stores scripted fixture responses', async () => {
+    process.env.LLM_MOCK_FIXTURES = FIXTURES;
+
+    await videoProcessingService.processVideo(video.id);
+
+    const summary = JSON.parse(db.rows('video')[0].summaryJson);
+    assert.equal(summary.quickSummary, 'Plants turn light into chemical energy.');
+    assert.deepEqual(summary.keyPoints, ['Chlorophyll absorbs light', 'Oxygen is released', 'Carbon dioxide becomes glucose']);
+  });
+
+  it('completes as a background job', async () => {
+    const job = await runProcessJob(video.id);
+
+    assert.equal(job.status, 'completed');
+    assert.deepEqual(JSON.parse(job.result), { videoId: video.id, title: 'How photosynthesis works' });
+    assert.ok(JSON.parse(job.stages).every(stage => ['completed', 'skipped'].includes(stage.status)));
+  });
+});
+
+describe('regeneration and stale summaries', () => {
+  let video;
+
+  const useProviders = (providers, models = {}) => {
+    const defaults = settingsService.getDefaults();
+    const settings = { ...defaults, providers, models: { ...defaults.models, ...models } };
+    settingsService.current = settings;
+    settingsService.emit('updated', settings);
+  };
+
+  beforeEach(async () => {
+    db.reset();
+    useProviders(['mock']);
+    video = db.seed('video', {
+      title: 'How photosynthesis works',
+      source: 'youtube',
+      sourceId: 'aaaaaaaaaa1',
+      youtubeId: 'aaaaaaaaaa1'
+    });
+    db.seed('transcript', {
+      videoId: video.id,
+      language: 'en',
+      source: 'upload',
+      segmentCount: CAPTIONS.length,
+      segments: { create: CAPTIONS.map(({ text, offset, duration }, position) => ({ position, text, offset, duration })) }
+    });
+    await videoProcessingService.processVideo(video.id);
+  });
+
+  afterEach(() => {
+    useProviders(['mock']);
+    mock.restoreAll();
+  });
+
+  it('leaves the stored transcript alone when only the index is rebuilt', async () => {
+    mock.method(db.client.video, 'update');
+
+    const result = await videoProcessingService.regenerate(video.id, { targets: ['index'] });
+
+    assert.deepEqual(result.targets, ['index']);
+    assert.equal(db.client.video.update.mock.callCount(), 0);
+  });
+
+  it('writes only the summary columns when the transcript is unchanged', async () => {
+    mock.method(db.client.video, 'update');
+
+    await videoProcessingService.regenerate(video.id, { targets: ['summary'] });
+
+    const { data } = db.client.video.update.mock.calls[0].arguments[0];
+    assert.equal('transcription' in data, false);
+    assert.ok(data.summaryJson);
+    assert.equal(db.rows('summaryVersion').length, 2);
+  });
+
+  it('stores a newer uploaded transcript when regenerating', async () => {
+    db.rows('video')[0].transcription = 'An older caption text.';
+
+    await videoProcessingService.regenerate(video.id, { targets: ['summary'] });
+
+    assert.equal(db.rows('video')[0].transcription, CAPTIONS.map(segment => segment.text).join(' '));
+  });
+
+  it('keeps summaries written by a fallback provider current', async () => {
+    useProviders(['openai', 'mock']);
+
+    assert.deepEqual((await videoProcessingService.findStale()).videos, []);
+  });
+
+  it('reports summaries whose provider left the chain or whose model changed', async () => {
+    useProviders(['openai']);
+    assert.deepEqual((await videoProcessingService.findStale()).videos[0].reasons, ['provider']);
+
+    useProviders(['openai', 'mock'], { mock: 'abstractive' });
+    assert.deepEqual((await videoProcessingService.findStale()).videos[0].reasons, ['model']);
+  });
+
+  it('reports summaries of a changed transcript', async () => {
+    db.rows('video')[0].transcription = 'A corrected transcript.';
+
+    assert.deepEqual((await videoProcessingService.findStale()).videos[0].reasons, ['transcript']);
+  });
+});
@@ -0,0 +1,246 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const db = require('./helpers/prisma');
+const videosRouter = require('../src/routes/videos.routes');
+require('../src/services/job-handlers');
+
+describe('videos routes', () => {
+  let server;
+  let baseUrl;
+
+  const request = async (method, path, body) => {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers: body ? { 'Content-Type': 'application/json' } : undefined,
+      body: body ? JSON.stringify(body) : undefined
+    });
+    return { status: response.status, body: await response.json() };
+  };
+
+  before(async () => {
+    const app = express();
+    app.use(express.json());
+    app.use('/api/videos', videosRouter);
+
+    server = app.listen(0);
+    await new Promise(resolve => server.once('listening', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}/api/videos`;
+  });
+
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  beforeEach(() => db.reset());
+
+  describe('GET /:id/transcript', () => {
+    let video;
+
+    beforeEach(() => {
+      video = db.seed('video', { title: 'Plants', source: 'youtube', sourceId: 'aaaaaaaaaa1', youtubeId: 'aaaaaaaaaa1' });
+      db.seed('transcript', {
+        videoId: video.id,
+        language: 'en',
+        source: 'captions',
+        segmentCount: 5,
+        segments: {
+          create: Array.from({ length: 5 }, (_, position) => ({
+            position,
+            offset: position * 10,
+            duration: 10,
+            text: `Segment ${position}`
+          }))
+        }
+      });
+    });
+
+    it('pages through the stored segments', async () => {
+      const { status, body } = await request('GET', `/${video.id}/transcript?limit=2&offset=1`);
+
+      assert.equal(status, 200);
+      assert.equal(body.total, 5);
+      assert.deepEqual(body.segments.map(segment => segment.text), ['Segment 1', 'Segment 2']);
+    });
+
+    it('returns the first page when limit and offset are absent', async () => {
+      const { status, body } = await request('GET', `/${video.id}/transcript`);
+
+      assert.equal(status, 200);
+      assert.equal(body.segments.length, 5);
+    });
+
+    for (const query of ['limit=abc', 'limit=-1', 'offset=-5', 'offset=1.5', 'start=soon']) {
+      it(`rejects ${query}`, async () => {
+        const { status, body } = await request('GET', `/${video.id}/transcript?${query}`);
+
+        assert.equal(status, 400);
+        assert.match(body.error, /must be/);
+      });
+    }
+  });
+
+  describe('caption upload and download', () => {
+    let video;
+
+    const upload = (content, extra = {}) => request('POST', `/${video.id}/transcript`, { content, ...extra });
+
+    const download = async (format) => {
+      const response = await fetch(`${baseUrl}/${video.id}/transcript/download?format=${format}`);
+      return { status: response.status, type: response.headers.get('content-type'), text: await response.text() };
+    };
+
+    const SRT = [
+      '1',
+      '00:00:01,500 --> 00:00:04,000',
+      'Photosynthesis turns light',
+      'into chemical energy.',
+      '',
+      '2',
+      '00:00:04,000 --> 00:01:02,250',
+      'Chlorophyll absorbs it.',
+      ''
+    ].join('\n');
+
+    // SRT as exported, multi-line cue text joined into one line
+    const EXPORTED_SRT = [
+      '1',
+      '00:00:01,500 --> 00:00:04,000',
+      'Photosynthesis turns light into chemical energy.',
+      '',
+      '2',
+      '00:00:04,000 --> 00:01:02,250',
+      'Chlorophyll absorbs it.',
+      ''
+    ].join('\n');
+
+    beforeEach(() => {
+      video = db.seed('video', { title: 'Plants', source: 'youtube', sourceId: 'aaaaaaaaaa1', youtubeId: 'aaaaaaaaaa1' });
+    });
+
+    it('downloads an uploaded SRT file as the same cues, joining multi-line text', async () => {
+      const uploaded = await upload(SRT, { filename: 'plants.srt', language: 'en' });
+      const { status, type, text } = await download('srt');
+
+      assert.equal(uploaded.status, 201);
+      assert.equal(uploaded.body.format, 'srt');
+      assert.equal(uploaded.body.segmentCount, 2);
+      assert.equal(status, 200);
+      assert.match(type, /application\/x-subrip/);
+      assert.equal(text, EXPORTED_SRT);
+    });
+
+    it('converts between the comma and period millisecond separators', async () => {
+      await upload(SRT);
+      const vtt = (await download('vtt')).text;
+
+      assert.equal(vtt, [
+        'WEBVTT',
+        '',
+        '00:00:01.500 --> 00:00:04.000',
+        'Photosynthesis turns light into chemical energy.',
+        '',
+        '00:00:04.000 --> 00:01:02.250',
+        'Chlorophyll absorbs it.',
+        ''
+      ].join('\n'));
+
+      // And back: the exported WebVTT uploads as the same cues
+      const uploaded = await upload(vtt);
+      assert.equal(uploaded.body.format, 'vtt');
+      assert.equal((await download('srt')).text, EXPORTED_SRT);
+    });
+
+    it('reads WebVTT headers, cue settings, voice tags and short timestamps', async () => {
+      const uploaded = await upload([
+        'WEBVTT - Plants',
+        '',
+        'NOTE exported by a caption editor',
+        '',
+        'intro',
+        '00:01.500 --> 00:04.000 align:start position:10%',
+        '<v Narrator>Photosynthesis turns light</v>',
+        'into chemical energy.',
+        '',
+        '00:00:04.000 --> 00:01:02.250',
+        'Chlorophyll absorbs it.'
+      ].join('\r\n'));
+
+      assert.equal(uploaded.status, 201);
+      assert.equal(uploaded.body.segmentCount, 2);
+      assert.equal((await download('srt')).text, EXPORTED_SRT);
+    });
+
+    it('accepts SRT files written with period separators', async () => {
+      const uploaded = await upload(SRT.replace(/,(\d{3})/g, '.$1'), { format: 'srt' });
+
+      assert.equal(uploaded.status, 201);
+      assert.equal((await download('srt')).text, EXPORTED_SRT);
+    });
+
+    it('skips malformed cues and keeps the rest', async () => {
+      const uploaded = await upload([
+        '1',
+        '00:00:aa,000 --> 00:00:02,000',
+        'Unreadable start time',
+        '',
+        '2',
+        '00:00:02,000 --> 00:00:03,000',
+        '',
+        '3',
+        'Lost its timing line',
+        '',
+        '4',
+        '00:00:05,000 --> 00:00:07,000',
+        'Still here.'
+      ].join('\n'), { format: 'srt' });
+
+      assert.equal(uploaded.status, 201);
+      assert.equal(uploaded.body.segmentCount, 1);
+      assert.equal((await download('srt')).text, '1\n00:00:05,000 --> 00:00:07,000\nStill here.\n');
+    });
+
+    it('rejects a caption file without any readable cue', async () => {
+      const { status, body } = await upload('1\n00:00:aa,000 --> 00:00:02,000\nUnreadable\n', { format: 'srt' });
+
+      assert.equal(status, 400);
+      assert.equal(body.error, 'No captions found in file');
+      assert.equal(db.rows('transcript').length, 0);
+    });
+  });
+
+  describe('POST /bulk/regenerate', () => {
+    it('queues a regeneration job for every listed video', async () => {
+      const videos = db.seed('video', [
+        { title: 'First', source: 'youtube', sourceId: 'aaaaaaaaaa1' },
+        { title: 'Second', source: 'youtube', sourceId: 'bbbbbbbbbb2' }
+      ]);
+
+      const { status, body } = await request('POST', '/bulk/regenerate', {
+        videoIds: videos.map(video => video.id),
+        targets: ['summary', 'index']
+      });
+
+      assert.equal(status, 202);
+      assert.deepEqual(body.jobs.map(job => job.videoId), videos.map(video => video.id));
+      assert.ok(body.jobs.every(job => job.type === 'regenerate-video'));
+      assert.deepEqual(body.jobs[0].payload, { targets: ['summary', 'index'] });
+    });
+
+    it('queues every stale summary when no videos are listed', async () => {
+      const [stale] = db.seed('video', [
+        { title: 'Old summary', source: 'youtube', sourceId: 'aaaaaaaaaa1', summaryJson: '{}' },
+        { title: 'Never summarized', source: 'youtube', sourceId: 'bbbbbbbbbb2' }
+      ]);
+
+      const { status, body } = await request('POST', '/bulk/regenerate', {});
+
+      assert.equal(status, 202);
+      assert.deepEqual(body.jobs.map(job => job.videoId), [stale.id]);
+    });
+
+    it('rejects unknown targets', async () => {
+      const { status } = await request('POST', '/bulk/regenerate', { targets: ['transcript'] });
+
+      assert.equal(status, 400);
+    });
+  });
+});
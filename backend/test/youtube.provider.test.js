@@ -0,0 +1,32 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const youtubeProvider = require('../src/services/providers/youtube.provider');
+const { serveCaptions } = require('./helpers/youtube-captions');
+
+const SRV3 = `<?xml version="1.0" encoding="utf-8" ?><timedtext format="3"><body>
+<p t="0" d="4200"><s>Photosynthesis</s><s> starts with light.</s></p>
+<p t="4200" d="3800"><s>Chlorophyll absorbs it.</s></p>
+<p t="61500" d="2500">Oxygen is released.</p>
+</body></timedtext>`;
+
+const CLASSIC = `<?xml version="1.0" encoding="utf-8" ?><transcript>
+<text start="0" dur="4.2">Photosynthesis starts with light.</text>
+<text start="4.2" dur="3.8">Chlorophyll absorbs it.</text>
+<text start="61.5" dur="2.5">Oxygen is released.</text>
+</transcript>`;
+
+describe('youtube provider', () => {
+  afterEach(() => mock.restoreAll());
+
+  for (const [format, xml] of [['srv3', SRV3], ['classic', CLASSIC]]) {
+    it(`returns ${format} caption timings in seconds`, async () => {
+      serveCaptions(xml);
+
+      const { segments, language } = await youtubeProvider.getTranscript('aaaaaaaaaa1');
+
+      assert.equal(language, 'en');
+      assert.deepEqual(segments.map(({ offset, duration }) => [offset, duration]), [[0, 4.2], [4.2, 3.8], [61.5, 2.5]]);
+      assert.equal(segments[2].text, 'Oxygen is released.');
+    });
+  }
+});
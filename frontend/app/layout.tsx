@@ -32,6 +32,9 @@ export default function RootLayout({
                 <a href="/graph" className="text-gray-700 hover:text-primary-600 px-3 py-2 rounded-md text-sm font-medium">
                   Knowledge Graph
                 </a>
+                <a href="/settings" className="text-gray-700 hover:text-primary-600 px-3 py-2 rounded-md text-sm font-medium">
+                  Settings
+                </a>
               </div>
             </div>
           </div>
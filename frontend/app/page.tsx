@@ -4,6 +4,7 @@ import React, { useEffect, useState } from 'react';
 import { FiVideo, FiCheckCircle, FiClock, FiFolder } from 'react-icons/fi';
 import VideoCard from '@/components/VideoCard';
 import { videoAPI, categoryAPI } from '@/lib/api';
+import { useLiveUpdates } from '@/lib/socket';
 import { useRouter } from 'next/navigation';
 
 export default function Dashboard() {
@@ -22,6 +23,13 @@ export default function Dashboard() {
     fetchDashboardData();
   }, []);
 
+  // Keep stats and recent videos current while videos are added, edited or removed elsewhere
+  useLiveUpdates({
+    'video:added': () => fetchDashboardData(),
+    'video:updated': () => fetchDashboardData(),
+    'video:deleted': () => fetchDashboardData(),
+  });
+
   const fetchDashboardData = async () => {
     try {
       // Fetch videos
@@ -0,0 +1,342 @@
+'use client';
+
+import React, { useEffect, useState } from 'react';
+import { FiArrowUp, FiArrowDown, FiCheckCircle, FiXCircle, FiZap, FiSave, FiRotateCcw } from 'react-icons/fi';
+import { settingsAPI } from '@/lib/api';
+
+const TASK_LABELS: Record<string, string> = {
+  summary: 'Summaries, study formats, key moments, chapters, translations',
+  chat: 'Chat',
+  categorization: 'Categorization',
+};
+
+export default function SettingsPage() {
+  const [settings, setSettings] = useState<any>(null);
+  const [providers, setProviders] = useState<any[]>([]);
+  const [tasks, setTasks] = useState<string[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [busy, setBusy] = useState<'test' | 'save' | 'reset' | null>(null);
+  const [results, setResults] = useState<any[] | null>(null);
+  const [message, setMessage] = useState<{ type: 'success' | 'error'; text: string } | null>(null);
+
+  useEffect(() => {
+    fetchSettings();
+  }, []);
+
+  const fetchSettings = async () => {
+    setLoading(true);
+    try {
+      const response = await settingsAPI.get();
+      setSettings(response.data.settings);
+      setProviders(response.data.providers);
+      setTasks(response.data.tasks);
+    } catch (error) {
+      console.error('Error fetching settings:', error);
+      setMessage({ type: 'error', text: 'Failed to load settings' });
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const toggleProvider = (name: string) => {
+    setSettings((prev: any) => ({
+      ...prev,
+      providers: prev.providers.includes(name)
+        ? prev.providers.filter((p: string) => p !== name)
+        : [...prev.providers, name],
+    }));
+  };
+
+  const moveProvider = (index: number, offset: number) => {
+    setSettings((prev: any) => {
+      const chain = [...prev.providers];
+      const [provider] = chain.splice(index, 1);
+      chain.splice(index + offset, 0, provider);
+      return { ...prev, providers: chain };
+    });
+  };
+
+  const setModel = (provider: string, model: string) => {
+    setSettings((prev: any) => ({ ...prev, models: { ...prev.models, [provider]: model } }));
+  };
+
+  const setTaskModel = (task: string, provider: string, model: string) => {
+    setSettings((prev: any) => ({
+      ...prev,
+      tasks: { ...prev.tasks, [task]: { ...prev.tasks[task], [provider]: model } },
+    }));
+  };
+
+  const handleTest = async () => {
+    setBusy('test');
+    setMessage(null);
+    try {
+      const response = await settingsAPI.test(settings);
+      setResults(response.data.results);
+    } catch (error: any) {
+      setResults(null);
+      setMessage({ type: 'error', text: error.response?.data?.error || 'Connectivity test failed' });
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const handleSave = async () => {
+    setBusy('save');
+    setMessage(null);
+    try {
+      const response = await settingsAPI.update(settings);
+      setSettings(response.data.settings);
+      setResults(response.data.results);
+      setMessage({ type: 'success', text: 'Settings saved' });
+    } catch (error: any) {
+      setResults(error.response?.data?.results || null);
+      setMessage({ type: 'error', text: error.response?.data?.error || 'Failed to save settings' });
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const handleReset = async () => {
+    if (!confirm('Discard saved settings and use the server environment defaults?')) {
+      return;
+    }
+
+    setBusy('reset');
+    setMessage(null);
+    try {
+      const response = await settingsAPI.reset();
+      setSettings(response.data.settings);
+      setResults(null);
+      setMessage({ type: 'success', text: 'Settings reset to defaults' });
+    } catch (error: any) {
+      setMessage({ type: 'error', text: error.response?.data?.error || 'Failed to reset settings' });
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <div className="animate-spin rounded-full h-12 w-12 border-b-2 border-primary-600"></div>
+      </div>
+    );
+  }
+
+  if (!settings) {
+    return (
+      <div className="card text-center py-12">
+        <p className="text-gray-600 mb-4">{message?.text || 'Settings are not available'}</p>
+        <button onClick={fetchSettings} className="btn btn-primary">
+          Retry
+        </button>
+      </div>
+    );
+  }
+
+  const unused = providers.filter((p) => !settings.providers.includes(p.name));
+
+  return (
+    <div className="max-w-4xl mx-auto space-y-6">
+      <div>
+        <h1 className="text-3xl font-bold text-gray-900">Settings</h1>
+        <p className="text-gray-600 mt-1">
+          LLM provider and models. Changes apply immediately; API keys are configured on the server.
+        </p>
+      </div>
+
+      {message && (
+        <div
+          className={`p-4 rounded-lg ${
+            message.type === 'success' ? 'bg-green-50 text-green-800' : 'bg-red-50 text-red-800'
+          }`}
+        >
+          {message.text}
+        </div>
+      )}
+
+      {/* Provider chain */}
+      <div className="card">
+        <h2 className="text-xl font-semibold mb-1">Providers</h2>
+        <p className="text-sm text-gray-600 mb-4">
+          Tried in order; when a provider fails, the request goes to the next one.
+        </p>
+
+        <div className="space-y-2">
+          {settings.providers.map((name: string, index: number) => {
+            const provider = providers.find((p) => p.name === name);
+            return (
+              <div key={name} className="flex items-center justify-between border rounded-lg px-4 py-2">
+                <div className="flex items-center gap-3">
+                  <span className="text-gray-500 text-sm w-5">{index + 1}.</span>
+                  <span className="font-medium">{name}</span>
+                  {provider && !provider.configured && (
+                    <span className="badge bg-yellow-100 text-yellow-800">not configured</span>
+                  )}
+                </div>
+                <div className="flex items-center gap-1">
+                  <button
+                    onClick={() => moveProvider(index, -1)}
+                    disabled={index === 0}
+                    className="p-2 text-gray-500 hover:text-primary-600 disabled:opacity-30"
+                    title="Move up"
+                  >
+                    <FiArrowUp />
+                  </button>
+                  <button
+                    onClick={() => moveProvider(index, 1)}
+                    disabled={index === settings.providers.length - 1}
+                    className="p-2 text-gray-500 hover:text-primary-600 disabled:opacity-30"
+                    title="Move down"
+                  >
+                    <FiArrowDown />
+                  </button>
+                  <button
+                    onClick={() => toggleProvider(name)}
+                    disabled={settings.providers.length === 1}
+                    className="text-sm text-red-600 hover:text-red-700 px-2 disabled:opacity-30"
+                  >
+                    Remove
+                  </button>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+
+        {unused.length > 0 && (
+          <div className="flex flex-wrap gap-2 mt-4">
+            {unused.map((provider) => (
+              <button key={provider.name} onClick={() => toggleProvider(provider.name)} className="btn btn-secondary text-sm">
+                + {provider.name}
+                {!provider.configured && <span className="text-yellow-700 ml-1">(not configured)</span>}
+              </button>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {/* Models */}
+      <div className="card">
+        <h2 className="text-xl font-semibold mb-1">Models</h2>
+        <p className="text-sm text-gray-600 mb-4">
+          The default model per provider, and optional overrides per task (leave empty to use the default).
+        </p>
+
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-600">
+                <th className="py-2 pr-4 font-medium">Task</th>
+                {providers.map((provider) => (
+                  <th key={provider.name} className="py-2 pr-4 font-medium">{provider.name}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              <tr>
+                <td className="py-2 pr-4 font-medium">Default</td>
+                {providers.map((provider) => (
+                  <td key={provider.name} className="py-2 pr-4">
+                    <input
+                      type="text"
+                      value={settings.models[provider.name] || ''}
+                      onChange={(e) => setModel(provider.name, e.target.value)}
+                      className="input"
+                    />
+                  </td>
+                ))}
+              </tr>
+              {tasks.map((task) => (
+                <tr key={task}>
+                  <td className="py-2 pr-4 text-gray-700">{TASK_LABELS[task] || task}</td>
+                  {providers.map((provider) => (
+                    <td key={provider.name} className="py-2 pr-4">
+                      <input
+                        type="text"
+                        value={settings.tasks[task]?.[provider.name] || ''}
+                        onChange={(e) => setTaskModel(task, provider.name, e.target.value)}
+                        placeholder={settings.models[provider.name]}
+                        className="input"
+                      />
+                    </td>
+                  ))}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      {/* Generation defaults */}
+      <div className="card">
+        <h2 className="text-xl font-semibold mb-1">Defaults</h2>
+        <p className="text-sm text-gray-600 mb-4">Used for requests that don&apos;t set their own values.</p>
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Temperature (0-2)</label>
+            <input
+              type="number"
+              min={0}
+              max={2}
+              step={0.1}
+              value={settings.temperature}
+              onChange={(e) => setSettings({ ...settings, temperature: parseFloat(e.target.value) })}
+              className="input"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Max tokens</label>
+            <input
+              type="number"
+              min={1}
+              step={100}
+              value={settings.maxTokens}
+              onChange={(e) => setSettings({ ...settings, maxTokens: parseInt(e.target.value) })}
+              className="input"
+            />
+          </div>
+        </div>
+      </div>
+
+      {/* Connectivity test results */}
+      {results && results.length > 0 && (
+        <div className="card">
+          <h2 className="text-xl font-semibold mb-4">Connectivity</h2>
+          <ul className="space-y-2">
+            {results.map((result) => (
+              <li key={`${result.provider}:${result.model}`} className="flex items-start gap-2 text-sm">
+                {result.ok ? (
+                  <FiCheckCircle className="text-green-600 mt-0.5 flex-shrink-0" />
+                ) : (
+                  <FiXCircle className="text-red-600 mt-0.5 flex-shrink-0" />
+                )}
+                <span>
+                  <span className="font-medium">{result.provider}</span> / {result.model}
+                  <span className="text-gray-500"> - {result.ok ? `${result.latencyMs} ms` : result.error}</span>
+                </span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      <div className="flex flex-wrap gap-3">
+        <button onClick={handleSave} disabled={busy !== null} className="btn btn-primary flex items-center gap-2 disabled:opacity-50">
+          <FiSave />
+          {busy === 'save' ? 'Testing and saving...' : 'Test & Save'}
+        </button>
+        <button onClick={handleTest} disabled={busy !== null} className="btn btn-secondary flex items-center gap-2 disabled:opacity-50">
+          <FiZap />
+          {busy === 'test' ? 'Testing...' : 'Test Connection'}
+        </button>
+        <button onClick={handleReset} disabled={busy !== null} className="btn btn-secondary flex items-center gap-2 disabled:opacity-50">
+          <FiRotateCcw />
+          Reset to Defaults
+        </button>
+      </div>
+    </div>
+  );
+}
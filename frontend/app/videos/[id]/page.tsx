@@ -2,9 +2,10 @@
 
 import React, { useEffect, useState } from 'react';
 import { useParams, useRouter } from 'next/navigation';
-import { FiArrowLeft, FiExternalLink, FiRefreshCw, FiEdit2 } from 'react-icons/fi';
-import { videoAPI, categoryAPI } from '@/lib/api';
+import { FiArrowLeft, FiExternalLink, FiRefreshCw, FiEdit2, FiUpload, FiDownload, FiMic, FiGlobe, FiLayers } from 'react-icons/fi';
+import { videoAPI, categoryAPI, jobAPI } from '@/lib/api';
 import CategoryBadge from '@/components/CategoryBadge';
+import SummaryFormatView, { SUMMARY_FORMATS } from '@/components/SummaryFormatView';
 
 export default function VideoDetailPage() {
   const params = useParams();
@@ -13,6 +14,22 @@ export default function VideoDetailPage() {
   const [categories, setCategories] = useState([]);
   const [loading, setLoading] = useState(true);
   const [processing, setProcessing] = useState(false);
+  const [job, setJob] = useState<any>(null);
+  const [refreshing, setRefreshing] = useState(false);
+  const [segments, setSegments] = useState<any[]>([]);
+  const [segmentTotal, setSegmentTotal] = useState(0);
+  const [transcriptInfo, setTranscriptInfo] = useState<any>(null);
+  const [transcribing, setTranscribing] = useState(false);
+  const [languages, setLanguages] = useState<any>({ available: [], stored: [], targetLanguage: null });
+  const [transcriptLanguage, setTranscriptLanguage] = useState('');
+  const [summaryLanguage, setSummaryLanguage] = useState('');
+  const [processLanguage, setProcessLanguage] = useState('');
+  const [translating, setTranslating] = useState(false);
+  const [summaryFormat, setSummaryFormat] = useState('');
+  const [formatResult, setFormatResult] = useState<any>(null);
+  const [formatLoading, setFormatLoading] = useState(false);
+  const [formatError, setFormatError] = useState('');
+  const [startAt, setStartAt] = useState<number | null>(null);
   const [editing, setEditing] = useState(false);
   const [editData, setEditData] = useState({
     categoryId: '',
@@ -23,9 +40,45 @@ export default function VideoDetailPage() {
     if (params.id) {
       fetchVideo();
       fetchCategories();
+      fetchTranscript(0);
+      fetchLanguages();
     }
   }, [params.id]);
 
+  const fetchLanguages = async () => {
+    try {
+      const response = await videoAPI.getTranscriptLanguages(params.id as string);
+      setLanguages(response.data);
+    } catch (error) {
+      console.error('Error fetching transcript languages:', error);
+    }
+  };
+
+  const fetchTranscript = async (offset: number, language = transcriptLanguage) => {
+    try {
+      const response = await videoAPI.getTranscript(params.id as string, {
+        offset,
+        limit: 200,
+        language: language || undefined,
+      });
+      setSegments((prev) => (offset === 0 ? response.data.segments : [...prev, ...response.data.segments]));
+      setSegmentTotal(response.data.total);
+      setTranscriptInfo({
+        source: response.data.source,
+        engine: response.data.engine,
+        language: response.data.language,
+        translatedFrom: response.data.translatedFrom,
+      });
+    } catch (error) {
+      // No stored segments yet (video not processed)
+      if (offset === 0) {
+        setSegments([]);
+        setSegmentTotal(0);
+        setTranscriptInfo(null);
+      }
+    }
+  };
+
   const fetchVideo = async () => {
     try {
       const response = await videoAPI.getOne(params.id as string);
@@ -53,20 +106,146 @@ export default function VideoDetailPage() {
   const handleProcess = async () => {
     setProcessing(true);
     try {
-      const response = await videoAPI.process(params.id as string);
-      setVideo(response.data);
-      alert('Video processed successfully!');
+      const response = await videoAPI.process(params.id as string, {
+        language: processLanguage || undefined,
+      });
+
+      // Processing runs as a background job; poll it until it finishes
+      let current = response.data;
+      setJob(current);
+      while (['queued', 'running'].includes(current.status)) {
+        await new Promise((resolve) => setTimeout(resolve, 2000));
+        current = (await jobAPI.getOne(current.id)).data;
+        setJob(current);
+      }
+
+      if (current.status === 'completed') {
+        await fetchVideo();
+        setTranscriptLanguage('');
+        setSummaryLanguage('');
+        fetchTranscript(0, '');
+        fetchLanguages();
+      } else if (current.status === 'failed') {
+        alert(current.error || 'Failed to process video');
+      }
     } catch (error: any) {
       alert(error.response?.data?.error || 'Failed to process video');
     } finally {
       setProcessing(false);
+      setJob(null);
+    }
+  };
+
+  const handleCancelProcess = async () => {
+    if (!job) return;
+
+    try {
+      const response = await jobAPI.cancel(job.id);
+      setJob(response.data);
+    } catch (error: any) {
+      alert(error.response?.data?.error || 'Failed to cancel processing');
+    }
+  };
+
+  const handleRefreshMetadata = async () => {
+    setRefreshing(true);
+    try {
+      const response = await videoAPI.refreshMetadata(params.id as string);
+      setVideo((prev: any) => ({ ...prev, ...response.data.video }));
+      if (response.data.status === 'failed') {
+        alert(`Could not fetch metadata: ${response.data.reason}`);
+      }
+    } catch (error: any) {
+      alert(error.response?.data?.error || 'Failed to refresh metadata');
+    } finally {
+      setRefreshing(false);
+    }
+  };
+
+  const handleCaptionUpload = async (e: React.ChangeEvent<HTMLInputElement>) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      const content = await file.text();
+      await videoAPI.uploadTranscript(params.id as string, { content, filename: file.name });
+      await fetchVideo();
+      setTranscriptLanguage('');
+      fetchTranscript(0, '');
+      fetchLanguages();
+    } catch (error: any) {
+      alert(error.response?.data?.error || 'Failed to upload captions');
     }
   };
 
+  const handleTranscribe = async (file?: File) => {
+    setTranscribing(true);
+    try {
+      await videoAPI.transcribeAudio(params.id as string, file);
+      await fetchVideo();
+      setTranscriptLanguage('');
+      fetchTranscript(0, '');
+      fetchLanguages();
+    } catch (error: any) {
+      alert(error.response?.data?.error || 'Failed to transcribe audio');
+    } finally {
+      setTranscribing(false);
+    }
+  };
+
+  const handleAudioUpload = (e: React.ChangeEvent<HTMLInputElement>) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (file) handleTranscribe(file);
+  };
+
+  const handleTranslate = async () => {
+    const language =
+      languages.targetLanguage || window.prompt('Translate to which language? (e.g. en, de, ja)', 'en');
+    if (!language) return;
+
+    setTranslating(true);
+    try {
+      await videoAPI.translate(params.id as string, { language, summary: Boolean(video.summaryJson) });
+      await fetchVideo();
+      await fetchLanguages();
+      setSummaryLanguage(video.summaryJson ? language : '');
+      setTranscriptLanguage(language);
+      fetchTranscript(0, language);
+    } catch (error: any) {
+      alert(error.response?.data?.error || 'Failed to translate');
+    } finally {
+      setTranslating(false);
+    }
+  };
+
+  const handleSummaryFormat = async (format: string, refresh = false) => {
+    setSummaryFormat(format);
+    setFormatError('');
+    if (!format) return;
+
+    setFormatResult(null);
+    setFormatLoading(true);
+    try {
+      const response = await videoAPI.getSummaryFormat(params.id as string, format, refresh);
+      setFormatResult(response.data);
+    } catch (error: any) {
+      setFormatError(error.response?.data?.error || 'Failed to generate this format');
+    } finally {
+      setFormatLoading(false);
+    }
+  };
+
+  const handleTranscriptLanguageChange = (language: string) => {
+    setTranscriptLanguage(language);
+    fetchTranscript(0, language);
+  };
+
   const handleUpdate = async () => {
     try {
       const response = await videoAPI.update(params.id as string, editData);
-      setVideo(response.data);
+      setVideo((prev: any) => ({ ...prev, ...response.data }));
       setEditing(false);
       alert('Video updated successfully!');
     } catch (error) {
@@ -95,7 +274,9 @@ export default function VideoDetailPage() {
     );
   }
 
-  const summary = video.summaryJson;
+  const translatedSummary = video.summaryTranslations?.find((t: any) => t.language === summaryLanguage);
+  const summary = translatedSummary ? translatedSummary.summaryJson : video.summaryJson;
+  const storedLanguages = Array.from(new Set(languages.stored.map((t: any) => t.language))) as string[];
 
   return (
     <div className="space-y-6">
@@ -109,16 +290,28 @@ export default function VideoDetailPage() {
       </button>
 
       {/* Video Player */}
-      <div className="card">
-        <div className="aspect-video bg-black rounded-lg overflow-hidden">
-          <iframe
-            src={`https://www.youtube.com/embed/${video.youtubeId}`}
-            title={video.title}
-            className="w-full h-full"
-            allowFullScreen
-          />
+      {video.youtubeId ? (
+        <div className="card">
+          <div className="aspect-video bg-black rounded-lg overflow-hidden">
+            <iframe
+              src={`https://www.youtube.com/embed/${video.youtubeId}${
+                startAt !== null ? `?start=${startAt}&autoplay=1` : ''
+              }`}
+              title={video.title}
+              className="w-full h-full"
+              allowFullScreen
+            />
+          </div>
         </div>
-      </div>
+      ) : video.source === 'podcast' ? (
+        <div className="card">
+          <audio src={video.url} controls className="w-full" />
+        </div>
+      ) : (
+        <div className="card text-gray-600">
+          Local media file: <span className="font-mono text-sm">{video.sourceId}</span>
+        </div>
+      )}
 
       {/* Video Info */}
       <div className="card">
@@ -130,16 +323,30 @@ export default function VideoDetailPage() {
             {video.author && (
               <p className="text-gray-600 mb-2">By {video.author}</p>
             )}
+            {video.metadataFallback && (
+              <p className="text-sm text-yellow-700 mb-2">
+                Only placeholder metadata could be fetched for this video.{' '}
+                <button
+                  onClick={handleRefreshMetadata}
+                  className="underline"
+                  disabled={refreshing}
+                >
+                  {refreshing ? 'Refreshing...' : 'Refresh metadata'}
+                </button>
+              </p>
+            )}
           </div>
-          <a
-            href={video.url}
-            target="_blank"
-            rel="noopener noreferrer"
-            className="btn btn-secondary"
-          >
-            <FiExternalLink className="inline mr-1" />
-            YouTube
-          </a>
+          {video.source !== 'local' && (
+            <a
+              href={video.url}
+              target="_blank"
+              rel="noopener noreferrer"
+              className="btn btn-secondary"
+            >
+              <FiExternalLink className="inline mr-1" />
+              {video.source === 'podcast' ? 'Episode' : 'YouTube'}
+            </a>
+          )}
         </div>
 
         {/* Metadata */}
@@ -202,6 +409,16 @@ export default function VideoDetailPage() {
           )}
         </div>
 
+        {/* Description */}
+        {video.description && (
+          <details className="mb-4">
+            <summary className="text-sm text-gray-600 cursor-pointer">Description</summary>
+            <p className="text-sm text-gray-700 whitespace-pre-wrap mt-2">
+              {video.description}
+            </p>
+          </details>
+        )}
+
         {/* Tags */}
         {video.tags && video.tags.length > 0 && (
           <div className="flex flex-wrap gap-2">
@@ -218,11 +435,106 @@ export default function VideoDetailPage() {
       </div>
 
       {/* Summary Section */}
-      {summary ? (
+      {summary && (
+        <div className="flex flex-wrap items-center gap-2">
+          <FiGlobe className="text-gray-500" />
+          <button
+            onClick={() => setSummaryLanguage('')}
+            className={`btn text-sm ${!translatedSummary ? 'btn-primary' : 'btn-secondary'}`}
+          >
+            Original{video.summaryLanguage ? ` (${video.summaryLanguage})` : ''}
+          </button>
+          {video.summaryTranslations?.map((t: any) => (
+            <button
+              key={t.language}
+              onClick={() => setSummaryLanguage(t.language)}
+              className={`btn text-sm ${summaryLanguage === t.language ? 'btn-primary' : 'btn-secondary'}`}
+            >
+              {t.language}
+            </button>
+          ))}
+          <button
+            onClick={handleTranslate}
+            className="btn btn-secondary text-sm"
+            disabled={translating}
+          >
+            {translating ? 'Translating...' : 'Translate'}
+          </button>
+        </div>
+      )}
+      {summary && (
+        <div className="flex flex-wrap items-center gap-2">
+          <FiLayers className="text-gray-500" />
+          <button
+            onClick={() => handleSummaryFormat('')}
+            className={`btn text-sm ${!summaryFormat ? 'btn-primary' : 'btn-secondary'}`}
+          >
+            Summary
+          </button>
+          {SUMMARY_FORMATS.map((format) => (
+            <button
+              key={format.id}
+              onClick={() => handleSummaryFormat(format.id)}
+              className={`btn text-sm ${summaryFormat === format.id ? 'btn-primary' : 'btn-secondary'}`}
+              disabled={formatLoading}
+            >
+              {format.label}
+            </button>
+          ))}
+        </div>
+      )}
+      {summary && summaryFormat ? (
+        <div className="card">
+          <div className="flex items-center justify-between mb-4">
+            <h3 className="font-bold text-lg">
+              {SUMMARY_FORMATS.find((f) => f.id === summaryFormat)?.label}
+            </h3>
+            <button
+              onClick={() => handleSummaryFormat(summaryFormat, true)}
+              className="btn btn-secondary text-sm flex items-center gap-2"
+              disabled={formatLoading}
+            >
+              <FiRefreshCw className={formatLoading ? 'animate-spin' : ''} />
+              Regenerate
+            </button>
+          </div>
+          {formatLoading && <p className="text-gray-500">Generating...</p>}
+          {formatError && <p className="text-red-600">{formatError}</p>}
+          {formatResult && (
+            <>
+              <SummaryFormatView format={formatResult.format} content={formatResult.content} />
+              <p className="text-xs text-gray-400 mt-4">
+                {formatResult.coverage < 1 && `Based on ${Math.round(formatResult.coverage * 100)}% of the transcript. `}
+                {formatResult.provider && `${formatResult.provider} / ${formatResult.model}, `}
+                {new Date(formatResult.generatedAt).toLocaleDateString()}
+              </p>
+            </>
+          )}
+        </div>
+      ) : summary ? (
         <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
           <div className="card">
             <h3 className="font-bold text-lg mb-3">Quick Summary</h3>
             <p className="text-gray-700">{summary.quickSummary}</p>
+            {typeof video.summaryJson?.coverage === 'number' && video.summaryJson.coverage < 1 && (
+              <p className="text-xs text-gray-500 mt-3">
+                Based on {Math.round(video.summaryJson.coverage * 100)}% of the transcript
+              </p>
+            )}
+            {video.summaryProvider && (
+              <p className="text-xs text-gray-400 mt-1">
+                {video.summaryProvider} / {video.summaryModel}
+                {video.summaryGeneratedAt && `, ${new Date(video.summaryGeneratedAt).toLocaleDateString()}`}
+              </p>
+            )}
+            {video.summaryPromptVersions && Object.keys(video.summaryPromptVersions).length > 0 && (
+              <p className="text-xs text-gray-400 mt-1">
+                Prompts:{' '}
+                {Object.entries(video.summaryPromptVersions)
+                  .map(([key, version]) => `${key} v${version}`)
+                  .join(', ')}
+              </p>
+            )}
           </div>
 
           <div className="card lg:col-span-2">
@@ -248,6 +560,21 @@ export default function VideoDetailPage() {
           <p className="text-gray-600 mb-4">
             No summary available for this video yet
           </p>
+          {languages.available.length > 1 && (
+            <select
+              value={processLanguage}
+              onChange={(e) => setProcessLanguage(e.target.value)}
+              className="input mr-2 w-auto inline-block"
+            >
+              <option value="">Default transcript language</option>
+              {languages.available.map((l: any) => (
+                <option key={l.language} value={l.language}>
+                  {l.name || l.language}
+                  {l.autoGenerated ? ' (auto-generated)' : ''}
+                </option>
+              ))}
+            </select>
+          )}
           <button
             onClick={handleProcess}
             className="btn btn-primary"
@@ -256,20 +583,218 @@ export default function VideoDetailPage() {
             <FiRefreshCw className={`inline mr-1 ${processing ? 'animate-spin' : ''}`} />
             {processing ? 'Processing...' : 'Generate Summary'}
           </button>
+          {job && (
+            <div className="mt-4 max-w-sm mx-auto text-sm text-gray-600">
+              <p className="mb-1">
+                {job.status === 'queued'
+                  ? job.attempts > 0
+                    ? `Retrying (attempt ${job.attempts + 1} of ${job.maxAttempts})...`
+                    : 'Waiting in queue...'
+                  : job.cancelRequested
+                    ? 'Cancelling...'
+                    : `Step: ${job.stage || 'starting'}`}
+              </p>
+              <div className="w-full bg-gray-200 rounded-full h-2 mb-2">
+                <div
+                  className="bg-primary-600 h-2 rounded-full transition-all"
+                  style={{ width: `${Math.round((job.progress || 0) * 100)}%` }}
+                />
+              </div>
+              {!job.cancelRequested && (
+                <button onClick={handleCancelProcess} className="text-red-600 hover:underline">
+                  Cancel
+                </button>
+              )}
+            </div>
+          )}
         </div>
       )}
 
-      {/* Transcription */}
-      {video.transcription && (
+      {/* Chapters */}
+      {video.chaptersJson && video.chaptersJson.length > 0 && (
+        <div className="card">
+          <h3 className="font-bold text-lg mb-3">Chapters</h3>
+          <ol className="space-y-2">
+            {video.chaptersJson.map((chapter: any) => (
+              <li key={chapter.index}>
+                <details>
+                  <summary className="cursor-pointer text-sm">
+                    {video.youtubeId ? (
+                      <button
+                        onClick={(e) => {
+                          e.preventDefault();
+                          setStartAt(Math.floor(chapter.start));
+                        }}
+                        className="text-primary-600 hover:underline font-mono mr-3"
+                      >
+                        {chapter.formattedTime}
+                      </button>
+                    ) : (
+                      <a
+                        href={chapter.link}
+                        target="_blank"
+                        rel="noopener noreferrer"
+                        className="text-primary-600 hover:underline font-mono mr-3"
+                      >
+                        {chapter.formattedTime}
+                      </a>
+                    )}
+                    <span className="font-medium text-gray-900">{chapter.title}</span>
+                  </summary>
+                  {chapter.summary && (
+                    <p className="text-sm text-gray-700 mt-1 ml-6">{chapter.summary}</p>
+                  )}
+                </details>
+              </li>
+            ))}
+          </ol>
+          {video.chaptersJson[0].source === 'llm' && (
+            <p className="text-xs text-gray-500 mt-3">Chapters generated from the transcript</p>
+          )}
+        </div>
+      )}
+
+      {/* Key Moments */}
+      {video.highlightsJson && video.highlightsJson.length > 0 && (
         <div className="card">
-          <h3 className="font-bold text-lg mb-3">Transcription</h3>
+          <h3 className="font-bold text-lg mb-3">Key Moments</h3>
+          <ul className="space-y-2">
+            {video.highlightsJson.map((highlight: any, idx: number) => (
+              <li key={idx} className="flex gap-3 text-sm">
+                {video.youtubeId ? (
+                  <button
+                    onClick={() => setStartAt(Math.floor(highlight.timestamp))}
+                    className="text-primary-600 hover:underline font-mono shrink-0"
+                  >
+                    {highlight.formattedTime}
+                  </button>
+                ) : (
+                  <a
+                    href={highlight.link}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    className="text-primary-600 hover:underline font-mono shrink-0"
+                  >
+                    {highlight.formattedTime}
+                  </a>
+                )}
+                <span className="text-gray-700">{highlight.text}</span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {/* Transcription */}
+      <div className="card">
+        <div className="flex items-center justify-between mb-3">
+          <h3 className="font-bold text-lg">Transcription</h3>
+          <div className="flex items-center gap-2">
+            {storedLanguages.length > 1 && (
+              <select
+                value={transcriptLanguage}
+                onChange={(e) => handleTranscriptLanguageChange(e.target.value)}
+                className="input text-sm w-auto"
+              >
+                <option value="">Original</option>
+                {storedLanguages.map((language) => (
+                  <option key={language} value={language}>
+                    {language}
+                  </option>
+                ))}
+              </select>
+            )}
+            {segments.length > 0 &&
+              (['srt', 'vtt', 'md'] as const).map((format) => (
+                <a
+                  key={format}
+                  href={videoAPI.transcriptDownloadUrl(params.id as string, format)}
+                  className="btn btn-secondary text-sm"
+                >
+                  <FiDownload className="inline mr-1" />
+                  {format.toUpperCase()}
+                </a>
+              ))}
+            <label className="btn btn-secondary text-sm cursor-pointer">
+              <FiUpload className="inline mr-1" />
+              Upload captions
+              <input
+                type="file"
+                accept=".srt,.vtt,.txt"
+                onChange={handleCaptionUpload}
+                className="hidden"
+              />
+            </label>
+            <button
+              onClick={() => handleTranscribe()}
+              className="btn btn-secondary text-sm"
+              disabled={transcribing}
+              title="Transcribe the audio with local speech-to-text"
+            >
+              <FiMic className={`inline mr-1 ${transcribing ? 'animate-pulse' : ''}`} />
+              {transcribing ? 'Transcribing...' : 'Transcribe audio'}
+            </button>
+            <label className="btn btn-secondary text-sm cursor-pointer" title="Transcribe your own audio file">
+              <FiUpload className="inline mr-1" />
+              Upload audio
+              <input
+                type="file"
+                accept="audio/*,video/*"
+                onChange={handleAudioUpload}
+                className="hidden"
+                disabled={transcribing}
+              />
+            </label>
+          </div>
+        </div>
+        {transcriptInfo?.source === 'stt' && (
+          <p className="text-xs text-gray-500 mb-2">
+            Transcribed locally by {transcriptInfo.engine || 'speech-to-text'}
+            {transcriptInfo.language && transcriptInfo.language !== 'unknown' && ` (${transcriptInfo.language})`}
+          </p>
+        )}
+        {transcriptInfo?.source === 'translation' && (
+          <p className="text-xs text-gray-500 mb-2">
+            Machine translation into {transcriptInfo.language}
+            {transcriptInfo.translatedFrom && ` from ${transcriptInfo.translatedFrom}`}
+          </p>
+        )}
+        {segments.length > 0 ? (
+          <div className="bg-gray-50 rounded p-4 max-h-96 overflow-y-auto space-y-1">
+            {segments.map((segment: any, idx: number) => (
+              <div key={idx} className="flex gap-3 text-sm">
+                <button
+                  onClick={() => setStartAt(Math.floor(segment.timestamp))}
+                  className="text-primary-600 hover:underline font-mono shrink-0"
+                  disabled={!video.youtubeId}
+                >
+                  {segment.formattedTime}
+                </button>
+                <span className="text-gray-700">{segment.text}</span>
+              </div>
+            ))}
+            {segments.length < segmentTotal && (
+              <button
+                onClick={() => fetchTranscript(segments.length)}
+                className="btn btn-secondary mt-2"
+              >
+                Load more
+              </button>
+            )}
+          </div>
+        ) : video.transcription ? (
           <div className="bg-gray-50 rounded p-4 max-h-96 overflow-y-auto">
             <p className="text-sm text-gray-700 whitespace-pre-wrap">
               {video.transcription}
             </p>
           </div>
-        </div>
-      )}
+        ) : (
+          <p className="text-sm text-gray-600">
+            No transcript yet. Generate a summary to fetch captions, upload an SRT, VTT or
+            text file, or transcribe the audio locally if the video has captions disabled.
+          </p>
+        )}
+      </div>
     </div>
   );
 }
@@ -6,11 +6,12 @@ import VideoCard from '@/components/VideoCard';
 import AddVideoModal from '@/components/AddVideoModal';
 import SearchBar from '@/components/SearchBar';
 import { videoAPI, categoryAPI } from '@/lib/api';
+import { useLiveUpdates } from '@/lib/socket';
 import { useRouter } from 'next/navigation';
 
 export default function VideosPage() {
   const router = useRouter();
-  const [videos, setVideos] = useState([]);
+  const [videos, setVideos] = useState<any[]>([]);
   const [categories, setCategories] = useState([]);
   const [loading, setLoading] = useState(true);
   const [showAddModal, setShowAddModal] = useState(false);
@@ -25,8 +26,18 @@ export default function VideosPage() {
     fetchData();
   }, [filters]);
 
-  const fetchData = async () => {
-    setLoading(true);
+  useLiveUpdates({
+    // Refetch so a new video only appears where the current filters and ordering put it
+    'video:added': () => fetchData(false),
+    'video:deleted': ({ videoIds }) => {
+      setVideos((prev) => prev.filter((v) => !videoIds.includes(v.id)));
+    },
+  });
+
+  const fetchData = async (showLoading = true) => {
+    if (showLoading) {
+      setLoading(true);
+    }
     try {
       const [videosResponse, categoriesResponse] = await Promise.all([
         videoAPI.getAll({
@@ -11,6 +11,20 @@ interface AddVideoModalProps {
   categories?: Array<{ id: string; name: string }>;
 }
 
+interface ImportReport {
+  playlistId: string;
+  total: number;
+  added: number;
+  skipped: number;
+  failed: number;
+  items: Array<{
+    youtubeId: string;
+    title?: string;
+    status: 'added' | 'skipped' | 'failed';
+    reason?: string;
+  }>;
+}
+
 export default function AddVideoModal({
   isOpen,
   onClose,
@@ -23,9 +37,22 @@ export default function AddVideoModal({
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState('');
   const [processImmediately, setProcessImmediately] = useState(true);
+  const [report, setReport] = useState<ImportReport | null>(null);
 
   if (!isOpen) return null;
 
+  const resetForm = () => {
+    setUrl('');
+    setCategoryId('');
+    setTags('');
+    setReport(null);
+  };
+
+  const handleClose = () => {
+    resetForm();
+    onClose();
+  };
+
   const handleSubmit = async (e: React.FormEvent) => {
     e.preventDefault();
     setError('');
@@ -43,15 +70,19 @@ export default function AddVideoModal({
         tags: tagArray
       });
 
-      // Process video immediately if requested
+      // Playlist URLs return an import report instead of a single video
+      if (response.data.items) {
+        setReport(response.data);
+        onSuccess();
+        return;
+      }
+
+      // Queue processing in the background if requested
       if (processImmediately && response.data.id) {
         await videoAPI.process(response.data.id);
       }
 
-      // Reset form
-      setUrl('');
-      setCategoryId('');
-      setTags('');
+      resetForm();
       onSuccess();
       onClose();
     } catch (err: any) {
@@ -67,109 +98,135 @@ export default function AddVideoModal({
         <div className="flex items-center justify-between p-6 border-b">
           <h2 className="text-2xl font-bold">Add YouTube Video</h2>
           <button
-            onClick={onClose}
+            onClick={handleClose}
             className="text-gray-400 hover:text-gray-600"
           >
             <FiX size={24} />
           </button>
         </div>
 
-        <form onSubmit={handleSubmit} className="p-6 space-y-4">
-          {error && (
-            <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded">
-              {error}
-            </div>
-          )}
-
-          <div>
-            <label className="block text-sm font-medium text-gray-700 mb-2">
-              YouTube URL or Video ID *
-            </label>
-            <input
-              type="text"
-              value={url}
-              onChange={(e) => setUrl(e.target.value)}
-              placeholder="https://www.youtube.com/watch?v=..."
-              className="input"
-              required
-            />
-            <p className="text-xs text-gray-500 mt-1">
-              Enter a YouTube video URL or just the video ID
+        {report ? (
+          <div className="p-6 space-y-4">
+            <p className="text-gray-700">
+              Playlist import finished: {report.added} added, {report.skipped} skipped
+              as duplicates, {report.failed} failed.
             </p>
+            {report.items.filter(item => item.status === 'failed').length > 0 && (
+              <ul className="text-sm text-red-700 list-disc list-inside space-y-1">
+                {report.items
+                  .filter(item => item.status === 'failed')
+                  .map((item) => (
+                    <li key={item.youtubeId}>
+                      {item.title || item.youtubeId}: {item.reason}
+                    </li>
+                  ))}
+              </ul>
+            )}
+            <div className="flex justify-end pt-4">
+              <button onClick={handleClose} className="btn btn-primary">
+                Done
+              </button>
+            </div>
           </div>
+        ) : (
+          <form onSubmit={handleSubmit} className="p-6 space-y-4">
+            {error && (
+              <div className="bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded">
+                {error}
+              </div>
+            )}
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                YouTube URL, Video ID or Playlist URL *
+              </label>
+              <input
+                type="text"
+                value={url}
+                onChange={(e) => setUrl(e.target.value)}
+                placeholder="https://www.youtube.com/watch?v=..."
+                className="input"
+                required
+              />
+              <p className="text-xs text-gray-500 mt-1">
+                Enter a YouTube video URL, the video ID, or a playlist URL to import every video in it.
+                Podcast episodes (podcast:&lt;feed URL&gt;#&lt;guid&gt;) and local media files are accepted too.
+              </p>
+            </div>
 
-          <div>
-            <label className="block text-sm font-medium text-gray-700 mb-2">
-              Category
-            </label>
-            <select
-              value={categoryId}
-              onChange={(e) => setCategoryId(e.target.value)}
-              className="input"
-            >
-              <option value="">No Category</option>
-              {categories.map((cat) => (
-                <option key={cat.id} value={cat.id}>
-                  {cat.name}
-                </option>
-              ))}
-            </select>
-          </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Category
+              </label>
+              <select
+                value={categoryId}
+                onChange={(e) => setCategoryId(e.target.value)}
+                className="input"
+              >
+                <option value="">No Category</option>
+                {categories.map((cat) => (
+                  <option key={cat.id} value={cat.id}>
+                    {cat.name}
+                  </option>
+                ))}
+              </select>
+            </div>
 
-          <div>
-            <label className="block text-sm font-medium text-gray-700 mb-2">
-              Tags
-            </label>
-            <input
-              type="text"
-              value={tags}
-              onChange={(e) => setTags(e.target.value)}
-              placeholder="programming, tutorial, javascript"
-              className="input"
-            />
-            <p className="text-xs text-gray-500 mt-1">
-              Separate tags with commas
-            </p>
-          </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                Tags
+              </label>
+              <input
+                type="text"
+                value={tags}
+                onChange={(e) => setTags(e.target.value)}
+                placeholder="programming, tutorial, javascript"
+                className="input"
+              />
+              <p className="text-xs text-gray-500 mt-1">
+                Separate tags with commas
+              </p>
+            </div>
 
-          <div className="flex items-center">
-            <input
-              type="checkbox"
-              id="processImmediately"
-              checked={processImmediately}
-              onChange={(e) => setProcessImmediately(e.target.checked)}
-              className="mr-2"
-            />
-            <label htmlFor="processImmediately" className="text-sm text-gray-700">
-              Get transcription and summary immediately
-            </label>
-          </div>
+            <div className="flex items-center">
+              <input
+                type="checkbox"
+                id="processImmediately"
+                checked={processImmediately}
+                onChange={(e) => setProcessImmediately(e.target.checked)}
+                className="mr-2"
+              />
+              <label htmlFor="processImmediately" className="text-sm text-gray-700">
+                Get transcription and summary immediately
+              </label>
+            </div>
 
-          <div className="flex justify-end gap-3 pt-4">
-            <button
-              type="button"
-              onClick={onClose}
-              className="btn btn-secondary"
-              disabled={loading}
-            >
-              Cancel
-            </button>
-            <button
-              type="submit"
-              className="btn btn-primary"
-              disabled={loading}
-            >
-              {loading ? (
-                <>Processing...</>
-              ) : (
-                <>
-                  <FiPlus className="inline mr-1" />
-                  Add Video
-                </>
-              )}
-            </button>
-          </div>
-        </form>
+            <div className="flex justify-end gap-3 pt-4">
+              <button
+                type="button"
+                onClick={handleClose}
+                className="btn btn-secondary"
+                disabled={loading}
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                className="btn btn-primary"
+                disabled={loading}
+              >
+                {loading ? (
+                  <>Processing...</>
+                ) : (
+                  <>
+                    <FiPlus className="inline mr-1" />
+                    Add Video
+                  </>
+                )}
+              </button>
+            </div>
+          </form>
+        )}
       </div>
     </div>
   );
@@ -0,0 +1,129 @@
+'use client';
+
+import React from 'react';
+
+export const SUMMARY_FORMATS = [
+  { id: 'outline', label: 'Outline' },
+  { id: 'cornell', label: 'Cornell Notes' },
+  { id: 'eli5', label: 'ELI5' },
+  { id: 'mindmap', label: 'Mind Map' },
+  { id: 'definitions', label: 'Key Definitions' },
+];
+
+interface MindMapNode {
+  label: string;
+  children?: MindMapNode[];
+}
+
+interface SummaryFormatViewProps {
+  format: string;
+  content: any;
+}
+
+function MindMapBranch({ node, depth }: { node: MindMapNode; depth: number }) {
+  return (
+    <li>
+      <span
+        className={`inline-block rounded px-2 py-1 text-sm ${
+          depth === 0 ? 'bg-primary-600 text-white font-semibold' : depth === 1 ? 'bg-primary-100 text-primary-800 font-medium' : 'bg-gray-100 text-gray-800'
+        }`}
+      >
+        {node.label}
+      </span>
+      {node.children && node.children.length > 0 && (
+        <ul className="ml-4 mt-2 pl-4 border-l-2 border-gray-200 space-y-2">
+          {node.children.map((child, idx) => (
+            <MindMapBranch key={idx} node={child} depth={depth + 1} />
+          ))}
+        </ul>
+      )}
+    </li>
+  );
+}
+
+export default function SummaryFormatView({ format, content }: SummaryFormatViewProps) {
+  switch (format) {
+    case 'outline':
+      return (
+        <ol className="list-decimal list-inside space-y-4">
+          {content.sections.map((section: any, idx: number) => (
+            <li key={idx} className="font-semibold text-gray-900">
+              {section.heading}
+              <ul className="list-disc ml-6 mt-1 space-y-1 font-normal text-gray-700">
+                {section.points.map((point: string, i: number) => (
+                  <li key={i}>{point}</li>
+                ))}
+              </ul>
+              {section.subsections?.map((sub: any, i: number) => (
+                <div key={i} className="ml-6 mt-2">
+                  <p className="font-medium text-gray-800">{sub.heading}</p>
+                  <ul className="list-disc ml-6 mt-1 space-y-1 font-normal text-gray-700">
+                    {sub.points.map((point: string, j: number) => (
+                      <li key={j}>{point}</li>
+                    ))}
+                  </ul>
+                </div>
+              ))}
+            </li>
+          ))}
+        </ol>
+      );
+
+    case 'cornell':
+      return (
+        <div className="border rounded-lg overflow-hidden">
+          {content.cues.map((item: any, idx: number) => (
+            <div key={idx} className="grid grid-cols-3 border-b">
+              <div className="p-3 bg-gray-50 font-medium text-gray-900 border-r">{item.cue}</div>
+              <ul className="col-span-2 p-3 list-disc list-inside space-y-1 text-gray-700">
+                {item.notes.map((note: string, i: number) => (
+                  <li key={i}>{note}</li>
+                ))}
+              </ul>
+            </div>
+          ))}
+          <div className="p-3">
+            <p className="text-xs font-semibold text-gray-500 uppercase mb-1">Summary</p>
+            <p className="text-gray-700">{content.summary}</p>
+          </div>
+        </div>
+      );
+
+    case 'eli5':
+      return (
+        <div className="space-y-4">
+          <p className="text-gray-700 whitespace-pre-wrap">{content.explanation}</p>
+          {content.analogy && (
+            <p className="text-gray-700 bg-yellow-50 rounded-lg p-3">
+              <span className="font-medium">Think of it like this: </span>
+              {content.analogy}
+            </p>
+          )}
+        </div>
+      );
+
+    case 'mindmap':
+      return (
+        <ul>
+          <MindMapBranch node={content} depth={0} />
+        </ul>
+      );
+
+    case 'definitions':
+      return content.definitions.length > 0 ? (
+        <dl className="space-y-3">
+          {content.definitions.map((item: any, idx: number) => (
+            <div key={idx}>
+              <dt className="font-semibold text-gray-900">{item.term}</dt>
+              <dd className="text-gray-700 ml-4">{item.definition}</dd>
+            </div>
+          ))}
+        </dl>
+      ) : (
+        <p className="text-gray-600">The video doesn&apos;t define any key terms.</p>
+      );
+
+    default:
+      return <pre className="text-sm whitespace-pre-wrap">{JSON.stringify(content, null, 2)}</pre>;
+  }
+}
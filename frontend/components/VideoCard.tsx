@@ -1,11 +1,14 @@
 'use client';
 
-import React from 'react';
-import { FiClock, FiUser, FiTag } from 'react-icons/fi';
+import React, { useEffect, useState } from 'react';
+import { FiClock, FiUser, FiTag, FiFilm, FiMic, FiRefreshCw } from 'react-icons/fi';
+import { useLiveUpdates } from '@/lib/socket';
 
 interface Video {
   id: string;
-  youtubeId: string;
+  source?: string;
+  youtubeId?: string;
+  thumbnail?: string;
   title: string;
   author?: string;
   duration?: number;
@@ -13,7 +16,7 @@ interface Video {
   category?: {
     name: string;
     color?: string;
-  };
+  } | null;
   tags?: string[];
 }
 
@@ -22,8 +25,44 @@ interface VideoCardProps {
   onSelect?: (video: Video) => void;
 }
 
-export default function VideoCard({ video, onSelect }: VideoCardProps) {
-  const thumbnail = `https://img.youtube.com/vi/${video.youtubeId}/maxresdefault.jpg`;
+export default function VideoCard({ video: initialVideo, onSelect }: VideoCardProps) {
+  const [live, setLive] = useState<Partial<Video>>({});
+  const [processingStage, setProcessingStage] = useState<string | null>(null);
+  const [summaryReady, setSummaryReady] = useState(false);
+
+  // A refetched video from the parent replaces live changes
+  useEffect(() => {
+    setLive({});
+  }, [initialVideo]);
+
+  useLiveUpdates({
+    'video:updated': ({ video: updated }) => {
+      if (updated.id === initialVideo.id) {
+        setLive({ watchStatus: updated.watchStatus, category: updated.category, tags: updated.tags });
+      }
+    },
+    'video:categorized': ({ videoId, category, tags }) => {
+      if (videoId === initialVideo.id) {
+        setLive((prev) => ({ ...prev, category, tags }));
+      }
+    },
+    'video:processing': ({ videoId, status, stage }) => {
+      if (videoId === initialVideo.id) {
+        setProcessingStage(['queued', 'running'].includes(status) ? stage || status : null);
+      }
+    },
+    'video:summary-ready': ({ videoId }) => {
+      if (videoId === initialVideo.id) {
+        setSummaryReady(true);
+      }
+    },
+  });
+
+  const video = { ...initialVideo, ...live };
+
+  const thumbnail = video.youtubeId
+    ? `https://img.youtube.com/vi/${video.youtubeId}/maxresdefault.jpg`
+    : video.thumbnail;
 
   const formatDuration = (seconds?: number) => {
     if (!seconds) return 'Unknown';
@@ -52,14 +91,22 @@ export default function VideoCard({ video, onSelect }: VideoCardProps) {
       onClick={() => onSelect?.(video)}
     >
       <div className="relative pb-[56.25%] mb-4 rounded-lg overflow-hidden bg-gray-200">
-        <img
-          src={thumbnail}
-          alt={video.title}
-          className="absolute inset-0 w-full h-full object-cover"
-          onError={(e) => {
-            (e.target as HTMLImageElement).src = `https://img.youtube.com/vi/${video.youtubeId}/hqdefault.jpg`;
-          }}
-        />
+        {thumbnail ? (
+          <img
+            src={thumbnail}
+            alt={video.title}
+            className="absolute inset-0 w-full h-full object-cover"
+            onError={(e) => {
+              if (video.youtubeId) {
+                (e.target as HTMLImageElement).src = `https://img.youtube.com/vi/${video.youtubeId}/hqdefault.jpg`;
+              }
+            }}
+          />
+        ) : (
+          <div className="absolute inset-0 flex items-center justify-center text-gray-400">
+            {video.source === 'podcast' ? <FiMic size={48} /> : <FiFilm size={48} />}
+          </div>
+        )}
         {video.duration && (
           <div className="absolute bottom-2 right-2 bg-black bg-opacity-80 text-white px-2 py-1 rounded text-xs font-medium">
             {formatDuration(video.duration)}
@@ -79,9 +126,19 @@ export default function VideoCard({ video, onSelect }: VideoCardProps) {
       )}
 
       <div className="flex items-center justify-between mt-4">
-        <span className={`badge ${getStatusColor(video.watchStatus)}`}>
-          {video.watchStatus}
-        </span>
+        <div className="flex items-center gap-1">
+          <span className={`badge ${getStatusColor(video.watchStatus)}`}>
+            {video.watchStatus}
+          </span>
+          {processingStage ? (
+            <span className="badge bg-blue-100 text-blue-800">
+              <FiRefreshCw className="inline mr-1 animate-spin" />
+              {processingStage}
+            </span>
+          ) : summaryReady && (
+            <span className="badge bg-purple-100 text-purple-800">summary ready</span>
+          )}
+        </div>
 
         {video.category && (
           <span
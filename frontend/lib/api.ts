@@ -1,6 +1,6 @@
 import axios from 'axios';
 
-const API_BASE_URL = process.env.NEXT_PUBLIC_BACKEND_URL || 'http://localhost:4000';
+export const API_BASE_URL = process.env.NEXT_PUBLIC_BACKEND_URL || 'http://localhost:4000';
 
 const api = axios.create({
   baseURL: `${API_BASE_URL}/api`,
@@ -16,7 +16,38 @@ export const videoAPI = {
   create: (data: any) => api.post('/videos', data),
   update: (id: string, data: any) => api.put(`/videos/${id}`, data),
   delete: (id: string) => api.delete(`/videos/${id}`),
-  process: (id: string) => api.post(`/videos/${id}/process`),
+  process: (id: string, data?: any) => api.post(`/videos/${id}/process`, data || {}),
+  bulkProcess: (videoIds: string[], data?: any) => api.post('/videos/bulk/process', { ...data, videoIds }),
+  translate: (id: string, data?: any) => api.post(`/videos/${id}/translate`, data || {}),
+  getSummaryFormat: (id: string, format: string, refresh = false) =>
+    api.get(`/videos/${id}/summaries/${format}`, { params: refresh ? { refresh: true } : undefined }),
+  importPlaylist: (data: any) => api.post('/videos/batch', data),
+  getTranscript: (id: string, params?: any) => api.get(`/videos/${id}/transcript`, { params }),
+  getTranscriptLanguages: (id: string) => api.get(`/videos/${id}/transcript/languages`),
+  uploadTranscript: (id: string, data: any) => api.post(`/videos/${id}/transcript`, data),
+  transcribeAudio: (id: string, file?: File) =>
+    api.post(`/videos/${id}/transcribe`, file || null, {
+      headers: file ? { 'Content-Type': file.type || 'application/octet-stream' } : undefined,
+    }),
+  transcriptDownloadUrl: (id: string, format: 'srt' | 'vtt' | 'md') =>
+    `${API_BASE_URL}/api/videos/${id}/transcript/download?format=${format}`,
+  refreshMetadata: (id: string) => api.post(`/videos/${id}/refresh-metadata`),
+  refreshStaleMetadata: (data?: any) => api.post('/videos/bulk/refresh-metadata', data || {}),
+};
+
+// Background job APIs
+export const jobAPI = {
+  getAll: (params?: any) => api.get('/jobs', { params }),
+  getOne: (id: string) => api.get(`/jobs/${id}`),
+  cancel: (id: string) => api.post(`/jobs/${id}/cancel`),
+  retry: (id: string) => api.post(`/jobs/${id}/retry`),
+};
+
+// Import APIs (watch history / bookmark exports)
+export const importAPI = {
+  preview: (data: any) => api.post('/import', { ...data, dryRun: true }),
+  commit: (data: any) => api.post('/import', { ...data, dryRun: false }),
+  getFormats: () => api.get('/import/formats'),
 };
 
 // Category APIs
@@ -42,4 +73,72 @@ export const chatAPI = {
   getAll: () => api.get('/chat'),
 };
 
+// Settings APIs
+export const settingsAPI = {
+  get: () => api.get('/settings'),
+  update: (data: any) => api.put('/settings', data),
+  test: (data: any) => api.post('/settings/test', data),
+  reset: () => api.delete('/settings'),
+};
+
+export interface ChatStreamHandlers {
+  onToken?: (text: string) => void;
+  onSources?: (sources: any[]) => void;
+  onDone?: (message: any) => void;
+  onError?: (error: string) => void;
+}
+
+/**
+ * Send a chat message and read the answer as it is generated (Server-Sent Events over POST).
+ * Abort the signal to stop; the backend then discards the unfinished answer.
+ */
+export const streamChatMessage = async (
+  id: string,
+  message: string,
+  handlers: ChatStreamHandlers,
+  signal?: AbortSignal
+) => {
+  const response = await fetch(`${API_BASE_URL}/api/chat/${id}/message/stream`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ message }),
+    signal,
+  });
+
+  if (!response.ok || !response.body) {
+    const body = await response.json().catch(() => null);
+    throw new Error(body?.error || `Chat request failed (${response.status})`);
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      const block = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+
+      let event = 'message';
+      let data = '';
+      for (const line of block.split('\n')) {
+        if (line.startsWith('event: ')) event = line.slice(7);
+        else if (line.startsWith('data: ')) data += line.slice(6);
+      }
+      if (!data) continue;
+
+      const payload = JSON.parse(data);
+      if (event === 'token') handlers.onToken?.(payload.text);
+      else if (event === 'sources') handlers.onSources?.(payload.sources);
+      else if (event === 'done') handlers.onDone?.(payload.message);
+      else if (event === 'error') handlers.onError?.(payload.error);
+    }
+  }
+};
+
 export default api;
@@ -0,0 +1,51 @@
+'use client';
+
+import { useEffect, useRef } from 'react';
+import { io, Socket } from 'socket.io-client';
+import { API_BASE_URL } from './api';
+
+// Events broadcast by the backend (see backend/src/services/realtime.service.js)
+export type LiveEvent =
+  | 'video:added'
+  | 'video:updated'
+  | 'video:categorized'
+  | 'video:processing'
+  | 'video:summary-ready'
+  | 'video:deleted'
+  | 'job:updated';
+
+export type LiveHandlers = Partial<Record<LiveEvent, (payload: any) => void>>;
+
+let socket: Socket | null = null;
+
+// One connection per browser tab, shared by every component using the hook
+export const getSocket = () => {
+  if (!socket) {
+    socket = io(API_BASE_URL);
+  }
+  return socket;
+};
+
+/**
+ * Subscribe to live backend events for the lifetime of the component.
+ * Handlers may change between renders; the latest ones are always called.
+ */
+export function useLiveUpdates(handlers: LiveHandlers) {
+  const handlersRef = useRef(handlers);
+  handlersRef.current = handlers;
+
+  const events = Object.keys(handlers).sort().join(',');
+
+  useEffect(() => {
+    const client = getSocket();
+    const listeners = (events ? events.split(',') : []).map((event) => {
+      const listener = (payload: any) => handlersRef.current[event as LiveEvent]?.(payload);
+      client.on(event, listener);
+      return { event, listener };
+    });
+
+    return () => {
+      listeners.forEach(({ event, listener }) => client.off(event, listener));
+    };
+  }, [events]);
+}